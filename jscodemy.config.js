@@ -0,0 +1,175 @@
+/**
+ * JSCODEMY Commit Convention
+ * Shared by the commit wizards, the git hooks and commitlint
+ */
+
+// Commit types with emojis and their changelog section titles
+const types = [
+  {
+    value: "feat",
+    emoji: "✨",
+    section: "Features",
+    description: "A new feature",
+  },
+  { value: "fix", emoji: "🐛", section: "Bug Fixes", description: "A bug fix" },
+  {
+    value: "docs",
+    emoji: "📚",
+    section: "Documentation",
+    description: "Documentation only changes",
+  },
+  {
+    value: "style",
+    emoji: "💄",
+    section: "Styles",
+    description: "Changes that do not affect the meaning of the code",
+  },
+  {
+    value: "refactor",
+    emoji: "♻️",
+    section: "Code Refactoring",
+    description: "A code change that neither fixes a bug nor adds a feature",
+  },
+  {
+    value: "perf",
+    emoji: "⚡",
+    section: "Performance Improvements",
+    description: "A code change that improves performance",
+  },
+  {
+    value: "test",
+    emoji: "🧪",
+    section: "Tests",
+    description: "Adding missing tests or correcting existing tests",
+  },
+  {
+    value: "build",
+    emoji: "🛠️",
+    section: "Build System",
+    description:
+      "Changes that affect the build system or external dependencies",
+  },
+  {
+    value: "ci",
+    emoji: "👷",
+    section: "Continuous Integration",
+    description: "Changes to our CI configuration files and scripts",
+  },
+  {
+    value: "chore",
+    emoji: "🧹",
+    section: "Chores",
+    description: "Other changes that don't modify src or test files",
+  },
+  {
+    value: "revert",
+    emoji: "⏪",
+    section: "Reverts",
+    description: "Reverts a previous commit",
+  },
+];
+
+// Common scopes
+const scopes = [
+  { value: "api", description: "API-related changes" },
+  { value: "ui", description: "User interface related" },
+  { value: "auth", description: "Authentication/Authorization" },
+  { value: "core", description: "Core functionality" },
+  { value: "data", description: "Data models or handling" },
+  { value: "deps", description: "Dependencies" },
+  { value: "config", description: "Configuration changes" },
+];
+
+// Branch prefixes that carry a scope (e.g., feat/auth-login → auth)
+const branchPrefixes = ["feature", ...types.map((type) => type.value)];
+
+// type/scope[-ISSUE-12]-slug, e.g., feat/auth-login or fix/ui-ORG-42-menu
+const branchNamePattern = new RegExp(
+  `^(?:${branchPrefixes.join("|")})\\/[a-z0-9]+(?:-(?:[A-Z][A-Z0-9]*-)?\\d+)?(?:-[a-z0-9]+)+$`,
+);
+
+export default {
+  types,
+  scopes,
+  branch: {
+    prefixes: branchPrefixes,
+    scopePattern: new RegExp(`^(?:${branchPrefixes.join("|")})\\/([^-]+)`),
+    namePattern: branchNamePattern,
+    // Long-lived branches that don't follow the naming convention
+    exempt: ["main", "master", "develop"],
+    // Where new branches start from by default
+    base: "main",
+    slugMaxLength: 40,
+  },
+  scope: {
+    case: "kebab-case",
+    // Scope suggestions from staged file paths. The first matching rule
+    // wins for each file, and "$1" is replaced by the first capture group.
+    rules: [
+      { pattern: /^src\/components\/ui\//, scope: "ui" },
+      { pattern: /^src\/components\//, scope: "components" },
+      { pattern: /^src\/app\/(?:\([^/]+\)\/)*([^/[(]+)\//, scope: "$1" },
+      { pattern: /^src\/app\//, scope: "app" },
+      { pattern: /^src\/data\//, scope: "data" },
+      { pattern: /^src\/lib\//, scope: "core" },
+      { pattern: /^(?:scripts|\.husky)\//, scope: "tooling" },
+      { pattern: /^(?:package\.json|pnpm-lock\.yaml)$/, scope: "deps" },
+      {
+        pattern: /^(?:src\/config\/|[^/]+\.config\.[cm]?[jt]s$)/,
+        scope: "config",
+      },
+    ],
+  },
+  subject: {
+    case: "sentence-case",
+    fullStop: ".",
+  },
+  body: {
+    maxLineLength: 100,
+  },
+  push: {
+    // Remote branches that need extra care before pushing to them.
+    // "warn" asks for confirmation, "block" refuses the push.
+    protectedBranches: ["main", "master"],
+    protectedPolicy: "warn",
+    // package.json scripts that can run before a push
+    checks: ["lint", "build"],
+  },
+  guard: {
+    // Staged files bigger than this (in bytes) are flagged
+    maxFileSize: 500 * 1024,
+    // Where binary files (images, fonts, ...) belong
+    binaryPaths: ["public/**"],
+    // Tokens at least this long with at least this much Shannon entropy
+    // (bits per character) look like secrets. Hex tokens carry 4 bits per
+    // character at most, so they have their own threshold.
+    entropy: { minLength: 20, threshold: 4.2, hexThreshold: 3.5 },
+    // Findings that are fine to commit, one path glob per line
+    allowlistFile: ".jscodemy-allowlist",
+  },
+  // Commit message templates offered by the commit wizards. "{name}" is a
+  // placeholder, filled in when the template is picked.
+  templates: [
+    {
+      name: "dependency-bump",
+      description: "Update a dependency",
+      type: "build",
+      scope: "deps",
+      subject: "Bump {package} from {from} to {to}",
+      body: "Updates {package} from {from} to {to}.",
+    },
+    {
+      name: "release",
+      description: "Cut a release by hand",
+      type: "chore",
+      scope: "release",
+      subject: "Release v{version}",
+      body: "See CHANGELOG.md for the changes in v{version}.",
+    },
+  ],
+  release: {
+    tagPrefix: "v",
+    // Version bump per commit type; breaking changes always bump major
+    bumps: { feat: "minor", fix: "patch", perf: "patch" },
+  },
+};
@@ -1,7 +1,27 @@
 import type { NextConfig } from "next";
 
+// The playground worker runs code from shared links on the site's origin.
+// Browsers apply a worker's CSP from the response to its script, and this one
+// keeps the code off the network: no fetch, sockets, fonts or workers, and
+// scripts only from the site itself, where the worker's own chunks are.
+const PLAYGROUND_WORKER_CSP = [
+  "default-src 'none'",
+  "script-src 'self' 'unsafe-eval'",
+  "worker-src 'none'",
+].join("; ");
+
 const nextConfig: NextConfig = {
-  /* config options here */
+  async headers() {
+    return [
+      {
+        // The chunk is named in use-runner.ts
+        source: "/_next/static/chunks/:file(playground-worker\\..*)",
+        headers: [
+          { key: "Content-Security-Policy", value: PLAYGROUND_WORKER_CSP },
+        ],
+      },
+    ];
+  },
 };
 
 export default nextConfig;
@@ -2,154 +2,293 @@
 
 /**
  * JSCODEMY Interactive Add CLI
- * A stylish way to select and stage files for commit
+ * A stylish way to select and stage files for commit, and to unstage,
+ * discard or stash them
  */
 
 import prompts from "prompts";
-import { execSync } from "child_process";
+import fs from "fs";
 import path from "path";
 
-// ANSI color codes for styling (matching other scripts)
-const styles = {
-  title: (text) => `\x1b[38;5;105m${text}\x1b[0m`,
-  subtitle: (text) => `\x1b[38;5;39m${text}\x1b[0m`,
-  success: (text) => `\x1b[38;5;82m${text}\x1b[0m`,
-  error: (text) => `\x1b[38;5;196m${text}\x1b[0m`,
-  warning: (text) => `\x1b[38;5;214m${text}\x1b[0m`,
-  highlight: (text) => `\x1b[38;5;226m${text}\x1b[0m`,
-  muted: (text) => `\x1b[38;5;245m${text}\x1b[0m`,
-  progress: (text) => `\x1b[38;5;33m${text}\x1b[0m`,
-  command: (text) => `\x1b[38;5;208m${text}\x1b[0m`,
-  added: (text) => `\x1b[38;5;46m${text}\x1b[0m`,
-  modified: (text) => `\x1b[38;5;214m${text}\x1b[0m`,
-  deleted: (text) => `\x1b[38;5;196m${text}\x1b[0m`,
-  untracked: (text) => `\x1b[38;5;39m${text}\x1b[0m`,
+import { runCommit } from "./commit.js";
+import { confirm, readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, isDirectRun, runWizard } from "./lib/cli.js";
+import { getCurrentBranch, git, gitInherit, refExists } from "./lib/git.js";
+import { getStatus } from "./lib/git-status.js";
+import { matchPaths, splitPatterns } from "./lib/glob.js";
+import {
+  collectWorktreeFiles,
+  filterAllowed,
+  printFindings,
+  readAllowlist,
+  scanFiles,
+} from "./lib/guard.js";
+import { formatFileStatus, printBanner, styles } from "./lib/ui.js";
+
+// Everything the wizard can do
+const ACTIONS = [
+  { title: "➕ Stage changes", value: "stage" },
+  { title: "➖ Unstage files", value: "unstage" },
+  { title: "🗑️  Discard changes", value: "discard" },
+  { title: "📦 Stash changes", value: "stash" },
+  { title: "📚 List stashes", value: "list" },
+  { title: "📤 Apply a stash", value: "apply" },
+  { title: "⏏️  Pop a stash", value: "pop" },
+];
+
+const cancelAdd = () => {
+  console.log(styles.error("\n🚫 Add wizard canceled"));
+  exitWizard(EXIT_CODES.CANCELED);
 };
 
-// File status indicators
-const fileStatus = {
-  MODIFIED: "M",
-  ADDED: "A",
-  DELETED: "D",
-  RENAMED: "R",
-  UNTRACKED: "?",
-  UNMERGED: "U",
-};
+// Get list of changed files (extra arguments go to git status). Files that
+// are only partly staged are both staged and unstaged.
+function getChangedFiles(statusArgs = []) {
+  try {
+    return getStatus(statusArgs).files.filter(
+      (file) => file.kind !== "ignored",
+    );
+  } catch (error) {
+    console.error(styles.error("Error getting changed files:"), error.message);
+    return [];
+  }
+}
 
-// Get list of changed files
-function getChangedFiles() {
+// Parse the unstaged diff of a file into its header and individual hunks
+function getFileHunks(filePath) {
   try {
-    // Get status of working tree
-    const statusOutput = execSync("git status --porcelain", {
-      encoding: "utf-8",
+    const diffOutput = git([
+      "diff",
+      "--no-color",
+      "--no-ext-diff",
+      "--",
+      filePath,
+    ]);
+
+    const header = [];
+    const hunks = [];
+    let current = null;
+
+    diffOutput.split("\n").forEach((line) => {
+      const hunkMatch = line.match(
+        /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/,
+      );
+
+      if (hunkMatch) {
+        current = {
+          filePath,
+          oldStart: Number(hunkMatch[1]),
+          oldLines: hunkMatch[2] === undefined ? 1 : Number(hunkMatch[2]),
+          newStart: Number(hunkMatch[3]),
+          newLines: hunkMatch[4] === undefined ? 1 : Number(hunkMatch[4]),
+          context: hunkMatch[5].trim(),
+          lines: [],
+        };
+        hunks.push(current);
+      } else if (current) {
+        // The trailing newline of the diff output yields one empty entry
+        if (line !== "") current.lines.push(line);
+      } else if (line !== "") {
+        header.push(line);
+      }
     });
 
-    // Parse the status output
-    const files = statusOutput
-      .split("\n")
-      .filter(Boolean)
-      .map((line) => {
-        const status = line.substring(0, 2).trim();
-        const filePath = line.substring(3);
-
-        let displayStatus = "";
-        let color = styles.muted;
-
-        if (status.includes(fileStatus.MODIFIED)) {
-          displayStatus = "Modified";
-          color = styles.modified;
-        } else if (status.includes(fileStatus.ADDED)) {
-          displayStatus = "Added";
-          color = styles.added;
-        } else if (status.includes(fileStatus.DELETED)) {
-          displayStatus = "Deleted";
-          color = styles.deleted;
-        } else if (status.includes(fileStatus.RENAMED)) {
-          displayStatus = "Renamed";
-          color = styles.modified;
-        } else if (status.includes(fileStatus.UNTRACKED)) {
-          displayStatus = "Untracked";
-          color = styles.untracked;
-        } else if (status.includes(fileStatus.UNMERGED)) {
-          displayStatus = "Unmerged";
-          color = styles.error;
+    // Binary files and mode-only changes have no textual hunks to pick from
+    return { filePath, header, hunks };
+  } catch (error) {
+    console.error(
+      styles.error(`Error reading diff for ${filePath}:`),
+      error.message,
+    );
+    return { filePath, header: [], hunks: [] };
+  }
+}
+
+// Print a hunk with colored additions, deletions and context
+function printHunk(hunk, index) {
+  console.log(
+    styles.highlight(`  ${index}. ${hunk.filePath}`),
+    styles.command(
+      `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+    ),
+    styles.muted(hunk.context),
+  );
+
+  hunk.lines.forEach((line) => {
+    if (line.startsWith("+")) console.log(styles.added(`    ${line}`));
+    else if (line.startsWith("-")) console.log(styles.deleted(`    ${line}`));
+    else console.log(styles.muted(`    ${line}`));
+  });
+
+  console.log("");
+}
+
+// Build a patch containing only the selected hunks of each file
+function buildPatch(fileDiffs, selectedHunks) {
+  return fileDiffs
+    .map((fileDiff) => {
+      // Skipped hunks shift the line numbers of the ones that follow them
+      let skippedOffset = 0;
+      const body = [];
+
+      fileDiff.hunks.forEach((hunk) => {
+        if (!selectedHunks.includes(hunk)) {
+          skippedOffset += hunk.newLines - hunk.oldLines;
+          return;
         }
 
-        // Check if the file is already staged
-        const isStaged =
-          status[0] === "M" ? false : status[0] !== " " && status[0] !== "?";
+        body.push(
+          `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart - skippedOffset},${hunk.newLines} @@`,
+          ...hunk.lines,
+        );
+      });
+
+      if (body.length === 0) return "";
 
-        return {
-          status,
-          displayStatus,
-          filePath,
-          color,
-          isStaged,
-        };
+      return [...fileDiff.header, ...body].join("\n") + "\n";
+    })
+    .join("");
+}
+
+// The lines the selected hunks add, numbered as in the working tree, in the
+// shape the guard scans
+function getHunkFiles(hunks) {
+  const files = new Map();
+
+  hunks.forEach((hunk) => {
+    if (!files.has(hunk.filePath)) {
+      files.set(hunk.filePath, {
+        filePath: hunk.filePath,
+        size: fs.statSync(hunk.filePath).size,
+        binary: false,
+        lines: [],
       });
+    }
 
-    return files;
-  } catch (error) {
-    console.error(styles.error("Error getting changed files:"), error.message);
-    return [];
-  }
+    let number = hunk.newStart;
+    hunk.lines.forEach((line) => {
+      if (line.startsWith("+")) {
+        files.get(hunk.filePath).lines.push({ number, text: line.slice(1) });
+      }
+      if (!line.startsWith("-") && !line.startsWith("\\")) number++;
+    });
+  });
+
+  return [...files.values()];
 }
 
-// Display current branch
-function getCurrentBranch() {
-  try {
-    return execSync("git branch --show-current", { encoding: "utf-8" }).trim();
-  } catch (error) {
-    console.error(styles.error("Error getting current branch:"), error.message);
-    return "unknown";
-  }
+// Ask for glob patterns, listing the matching files while they are typed
+async function askPatterns(candidates) {
+  const { patterns } = await prompts({
+    type: "autocomplete",
+    name: "patterns",
+    message: "Enter glob patterns (e.g., src/**/*.js !src/legacy/**)",
+    choices: [],
+    limit: 12,
+    fallback: "Type one or more patterns",
+    // Every line submits the typed patterns; the list is only a preview
+    suggest: async (input) => {
+      if (!input.trim()) return [];
+
+      const matches = matchPaths(candidates, splitPatterns(input));
+      if (matches.length === 0) {
+        return [{ title: "No files match yet", value: input }];
+      }
+
+      return [
+        { title: `✔ Stage ${matches.length} matching file(s)`, value: input },
+        ...matches.map((file) => ({ title: `  ${file}`, value: input })),
+      ];
+    },
+  });
+
+  return patterns;
+}
+
+// Show the index and worktree state of every changed file
+function printStagingArea() {
+  console.log(styles.highlight("📦 Current staging area:"));
+
+  getStatus().files.forEach(({ index, worktree, filePath, origPath }) => {
+    let lineStyle = styles.muted;
+
+    if (index === "M") lineStyle = styles.modified;
+    else if (index === "A") lineStyle = styles.added;
+    else if (index === "D") lineStyle = styles.deleted;
+    else if (index === "R") lineStyle = styles.modified;
+
+    const renamed = origPath ? `${origPath} → ` : "";
+    console.log(lineStyle(`  ${index}${worktree} ${renamed}${filePath}`));
+  });
+
+  console.log("");
 }
 
-// Display header
-console.log("\n");
-console.log(styles.title("╔════════════════════════════════════════════════╗"));
-console.log(styles.title("║                                                ║"));
-console.log(
-  styles.title("║             📁 JSCODEMY ADD WIZARD 📁             ║"),
-);
-console.log(styles.title("║                                                ║"));
-console.log(styles.title("╚════════════════════════════════════════════════╝"));
-console.log("\n");
-console.log(styles.subtitle("Select files to stage for your next commit"));
-console.log(styles.muted("Choose which changes you want to include"));
-console.log("\n");
-
-async function main() {
-  // Get current branch
-  const currentBranch = getCurrentBranch();
+// Stage changes. Offers to continue with the commit wizard unless it runs
+// as part of a flow, which moves on by itself.
+export async function runAdd({
+  answers,
+  nonInteractive,
+  banner = true,
+  offerCommit = true,
+}) {
+  if (banner) {
+    printBanner(
+      "📁 JSCODEMY ADD WIZARD 📁",
+      "Select files to stage for your next commit",
+      "Or unstage, discard and stash changes you don't want in it",
+    );
+  }
+
+  // Hand over to the commit wizard with the same answers
+  const continueToCommit = async () => {
+    console.log(styles.success("\n🚀 Launching commit wizard...\n"));
+    await runCommit({ answers, nonInteractive });
+  };
+
+  let currentBranch;
+  try {
+    currentBranch = getCurrentBranch();
+  } catch {
+    console.log(styles.error("❌ Not in a git repository"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
   console.log(
     styles.highlight(`🔍 Current branch:`),
     styles.command(currentBranch),
   );
   console.log("");
 
+  if (
+    answers.action !== undefined &&
+    !ACTIONS.some((action) => action.value === answers.action)
+  ) {
+    console.log(
+      styles.error(
+        `❌ --action must be one of: ${ACTIONS.map((action) => action.value).join(", ")}`,
+      ),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
   // Get changed files
   const changedFiles = getChangedFiles();
 
+  // Group files by status for better presentation
+  const stagedFiles = changedFiles.filter((file) => file.isStaged);
+  const unstagedFiles = changedFiles.filter((file) => file.hasUnstagedChanges);
+
   if (changedFiles.length === 0) {
     console.log(
-      styles.warning("⚠️  No changes detected in the working directory"),
+      styles.warning("⚠️  No changes detected in the working directory\n"),
     );
-    console.log(styles.muted("Make some changes before running this command"));
-    process.exit(0);
   }
 
-  // Group files by status for better presentation
-  const stagedFiles = changedFiles.filter((file) => file.isStaged);
-  const unstagedFiles = changedFiles.filter((file) => !file.isStaged);
-
   // Show already staged files
   if (stagedFiles.length > 0) {
     console.log(styles.success("🎯 Files already staged:"));
     stagedFiles.forEach((file) => {
-      console.log(
-        `  ${file.color(`[${file.displayStatus}]`)} ${styles.muted(file.filePath)}`,
-      );
+      console.log(`  ${formatFileStatus(file, "index")}`);
     });
     console.log("");
   }
@@ -158,29 +297,57 @@ async function main() {
   if (unstagedFiles.length > 0) {
     console.log(styles.highlight("📄 Changes available to stage:"));
     unstagedFiles.forEach((file, i) => {
-      console.log(
-        `  ${i + 1}. ${file.color(`[${file.displayStatus}]`)} ${file.filePath}`,
-      );
+      console.log(`  ${i + 1}. ${formatFileStatus(file)}`);
     });
     console.log("");
-  } else {
+  }
+
+  const { action } =
+    answers.action || nonInteractive
+      ? { action: answers.action || "stage" }
+      : await prompts(
+          {
+            type: "select",
+            name: "action",
+            message: "What do you want to do?",
+            choices: ACTIONS,
+            initial: 0,
+          },
+          { onCancel: cancelAdd },
+        );
+
+  const context = { answers, nonInteractive };
+  if (action === "unstage") return unstageFiles(stagedFiles, context);
+  if (action === "discard") return discardChanges(unstagedFiles, context);
+  if (action === "stash") return stashChanges(changedFiles, context);
+  if (action === "list") return listStashes();
+  if (action === "apply" || action === "pop") {
+    return restoreStash(action, context);
+  }
+
+  if (changedFiles.length === 0) {
+    console.log(styles.muted("Make some changes before running this command"));
+    return;
+  }
+
+  if (unstagedFiles.length === 0) {
     console.log(styles.warning("⚠️  No unstaged changes available"));
     console.log(styles.muted("All changes are already staged"));
 
-    // Ask if user wants to proceed to commit
-    const { proceedToCommit } = await prompts({
-      type: "confirm",
-      name: "proceedToCommit",
-      message: "All changes are staged. Would you like to proceed to commit?",
-      initial: true,
-    });
+    if (!offerCommit) return;
 
-    if (proceedToCommit) {
-      console.log(styles.success("\n🚀 Launching commit wizard...\n"));
-      execSync("node scripts/commit.js", { stdio: "inherit" });
-    }
+    // Ask if user wants to proceed to commit (non-interactive runs only
+    // continue when commit answers were given)
+    const proceedToCommit = nonInteractive
+      ? Boolean(answers.subject)
+      : await confirm(
+          false,
+          "All changes are staged. Would you like to proceed to commit?",
+        );
+
+    if (proceedToCommit) await continueToCommit();
 
-    process.exit(0);
+    return;
   }
 
   // Selection options
@@ -189,21 +356,51 @@ async function main() {
     { title: "Select individual files", value: "individual" },
     { title: "Stage by file type", value: "type" },
     { title: "Stage by pattern", value: "pattern" },
+    { title: "Select individual hunks", value: "hunks" },
   ];
 
-  // Ask user how they want to select files
-  const { selectionMode } = await prompts({
-    type: "select",
-    name: "selectionMode",
-    message: "How would you like to select files?",
-    choices: options,
-    initial: 0,
-  });
+  // Files given with --files or --pattern replace the selection prompts
+  let selectionMode = answers.files ? "flags" : answers.pattern && "pattern";
+  if (!selectionMode) {
+    if (nonInteractive) {
+      console.log(
+        styles.error("❌ --files or --pattern is required without prompts"),
+      );
+      exitWizard(EXIT_CODES.USAGE);
+    }
+
+    // Ask user how they want to select files
+    ({ selectionMode } = await prompts({
+      type: "select",
+      name: "selectionMode",
+      message: "How would you like to select files?",
+      choices: options,
+      initial: 0,
+    }));
+  }
 
   let filesToStage = [];
+  let hunkPatch = "";
+  let hunksToStage = [];
 
   // Handle different selection modes
-  if (selectionMode === "all") {
+  if (selectionMode === "flags") {
+    // Files inside untracked directories can be named one by one as well
+    const stageable = new Set(
+      [...unstagedFiles, ...getChangedFiles(["--untracked-files=all"])]
+        .filter((file) => file.hasUnstagedChanges)
+        .map((file) => file.filePath),
+    );
+    const unknownFiles = answers.files.filter((file) => !stageable.has(file));
+
+    if (unknownFiles.length > 0) {
+      console.log(styles.error("❌ No unstaged changes for:"));
+      unknownFiles.forEach((file) => console.log(styles.muted(`  - ${file}`)));
+      exitWizard(EXIT_CODES.USAGE);
+    }
+
+    filesToStage = answers.files;
+  } else if (selectionMode === "all") {
     filesToStage = unstagedFiles.map((file) => file.filePath);
   } else if (selectionMode === "individual") {
     const { selectedFiles } = await prompts({
@@ -211,7 +408,7 @@ async function main() {
       name: "selectedFiles",
       message: "Select files to stage",
       choices: unstagedFiles.map((file) => ({
-        title: `${file.color(`[${file.displayStatus}]`)} ${file.filePath}`,
+        title: formatFileStatus(file),
         value: file.filePath,
       })),
       min: 1,
@@ -251,42 +448,84 @@ async function main() {
       )
       .map((file) => file.filePath);
   } else if (selectionMode === "pattern") {
-    const { pattern } = await prompts({
-      type: "text",
-      name: "pattern",
-      message: "Enter a glob pattern (e.g., src/*.js)",
-    });
+    // Untracked directories are expanded so patterns reach the files inside
+    const candidates = getChangedFiles(["--untracked-files=all"])
+      .filter((file) => file.hasUnstagedChanges)
+      .map((file) => file.filePath);
+
+    const patternInput = answers.pattern
+      ? answers.pattern.join(" ")
+      : await askPatterns(candidates);
 
-    if (!pattern) {
+    if (!patternInput) {
       console.log(styles.error("❌ No pattern entered"));
-      process.exit(1);
+      exitWizard(EXIT_CODES.FAILURE);
     }
 
-    try {
-      const patternOutput = execSync(
-        `git ls-files --modified --others --exclude-standard | grep -E "${pattern}"`,
-        {
-          encoding: "utf-8",
-        },
-      ).trim();
+    filesToStage = matchPaths(candidates, splitPatterns(patternInput));
 
-      filesToStage = patternOutput.split("\n").filter(Boolean);
+    if (filesToStage.length === 0) {
+      console.log(
+        styles.warning(`⚠️  No files match the pattern: ${patternInput}`),
+      );
+      exitWizard(EXIT_CODES.FAILURE);
+    }
+  } else if (selectionMode === "hunks") {
+    // Untracked files have no diff yet, and conflicts and submodules can't
+    // be split, so only regular tracked changes are
+    const fileDiffs = unstagedFiles
+      .filter(
+        (file) =>
+          ["changed", "renamed", "copied"].includes(file.kind) &&
+          !file.submodule,
+      )
+      .map((file) => getFileHunks(file.filePath))
+      .filter((fileDiff) => fileDiff.hunks.length > 0);
 
-      if (filesToStage.length === 0) {
-        console.log(
-          styles.warning(`⚠️  No files match the pattern: ${pattern}`),
-        );
-        process.exit(1);
-      }
-    } catch {
-      console.log(styles.warning(`⚠️  No files match the pattern: ${pattern}`));
-      process.exit(1);
+    const hunks = fileDiffs.flatMap((fileDiff) => fileDiff.hunks);
+
+    if (hunks.length === 0) {
+      console.log(styles.warning("⚠️  No hunks available to stage"));
+      console.log(
+        styles.muted("Untracked and binary files can only be staged whole"),
+      );
+      exitWizard(EXIT_CODES.FAILURE);
+    }
+
+    console.log(styles.highlight("🧩 Hunks available to stage:\n"));
+    hunks.forEach((hunk, i) => printHunk(hunk, i + 1));
+
+    const { selectedHunks } = await prompts({
+      type: "multiselect",
+      name: "selectedHunks",
+      message: "Select hunks to stage",
+      choices: hunks.map((hunk, i) => {
+        const added = hunk.lines.filter((line) => line.startsWith("+")).length;
+        const removed = hunk.lines.filter((line) =>
+          line.startsWith("-"),
+        ).length;
+
+        return {
+          title: `${i + 1}. ${hunk.filePath} ${styles.added(`+${added}`)} ${styles.deleted(`-${removed}`)}`,
+          description: hunk.context || `line ${hunk.oldStart}`,
+          value: hunk,
+        };
+      }),
+      min: 1,
+    });
+
+    if (selectedHunks && selectedHunks.length > 0) {
+      hunksToStage = selectedHunks;
+      hunkPatch = buildPatch(fileDiffs, selectedHunks);
+      filesToStage = Array.from(
+        new Set(selectedHunks.map((hunk) => hunk.filePath)),
+      );
     }
   }
 
-  if (filesToStage.length === 0) {
+  if (!filesToStage || filesToStage.length === 0) {
     console.log(styles.error("❌ No files selected"));
-    process.exit(1);
+    exitWizard(EXIT_CODES.FAILURE);
   }
 
   // Preview selected files
@@ -296,74 +535,442 @@ async function main() {
   });
   console.log("");
 
-  const { confirmStage } = await prompts({
-    type: "confirm",
-    name: "confirmStage",
-    message: `Stage ${filesToStage.length} file(s)?`,
-    initial: true,
-  });
+  await guardStaging(
+    hunkPatch ? getHunkFiles(hunksToStage) : collectWorktreeFiles(filesToStage),
+    { answers, nonInteractive },
+  );
+
+  const confirmStage = await confirm(
+    nonInteractive,
+    hunkPatch
+      ? `Stage the selected hunks from ${filesToStage.length} file(s)?`
+      : `Stage ${filesToStage.length} file(s)?`,
+  );
 
   if (!confirmStage) {
     console.log(styles.error("\n🚫 Staging canceled"));
-    process.exit(0);
+    exitWizard(EXIT_CODES.SUCCESS);
   }
 
   // Execute git add for each file
   console.log(styles.progress("\n🔄 Staging files..."));
 
   try {
-    // Stage all selected files with a single command
-    execSync(`git add ${filesToStage.map((file) => `"${file}"`).join(" ")}`, {
-      stdio: "pipe",
-    });
+    if (hunkPatch) {
+      // Apply the partial patch to the index only, leaving the rest unstaged
+      git(["apply", "--cached", "-"], { input: hunkPatch });
+    } else {
+      // Stage all selected files with a single command
+      git(["add", "--", ...filesToStage]);
+    }
 
     console.log(styles.success("✅ Files staged successfully!\n"));
+    printStagingArea();
+  } catch (error) {
+    console.error(styles.error("\n❌ Failed to stage files:"), error.message);
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  if (!offerCommit) return;
+
+  const proceedToCommit = nonInteractive
+    ? Boolean(answers.subject)
+    : await confirm(false, "Would you like to proceed to commit?");
+
+  if (proceedToCommit) {
+    await continueToCommit();
+  } else {
+    console.log(
+      styles.muted(
+        "\nRun 'pnpm commit' when you're ready to commit your changes.",
+      ),
+    );
+  }
+}
+
+// Scan what is about to be staged for secrets, large files and binaries.
+// Findings stop the wizard unless they are explicitly accepted, with a
+// prompt or with --allow-findings.
+async function guardStaging(files, { answers, nonInteractive }) {
+  const findings = filterAllowed(scanFiles(files), readAllowlist());
+  if (findings.length === 0) return;
+
+  printFindings(findings);
+
+  if (nonInteractive && !answers["allow-findings"]) {
+    console.log(
+      styles.error("❌ Not staging files with findings without prompts"),
+    );
+    console.log(styles.muted("Pass --allow-findings to stage them anyway"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
 
-    const statusOutput = execSync("git status -s", { encoding: "utf-8" });
-    console.log(styles.highlight("📦 Current staging area:"));
+  const override =
+    nonInteractive ||
+    (await confirm(
+      false,
+      `Stage anyway, with ${findings.length} finding(s)? They will be committed`,
+      false,
+    ));
 
-    statusOutput
+  if (!override) {
+    console.log(styles.error("\n🚫 Staging canceled"));
+    console.log(
+      styles.muted("Remove the findings, or allowlist the expected ones"),
+    );
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  console.log(styles.warning("⚠️  Staging despite the findings\n"));
+}
+
+// Pick files from a list, or take the ones given with --files
+async function selectFiles({
+  files,
+  side,
+  message,
+  preselected = false,
+  answers,
+  nonInteractive,
+}) {
+  if (answers.files) {
+    const unknownFiles = answers.files.filter(
+      (filePath) => !files.some((file) => file.filePath === filePath),
+    );
+
+    if (unknownFiles.length > 0) {
+      console.log(styles.error("❌ Not available for this action:"));
+      unknownFiles.forEach((file) => console.log(styles.muted(`  - ${file}`)));
+      exitWizard(EXIT_CODES.USAGE);
+    }
+
+    return files.filter((file) => answers.files.includes(file.filePath));
+  }
+
+  if (nonInteractive) {
+    console.log(styles.error("❌ --files is required without prompts"));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const { selected = [] } = await prompts(
+    {
+      type: "multiselect",
+      name: "selected",
+      message,
+      choices: files.map((file) => ({
+        title: formatFileStatus(file, side),
+        value: file,
+        selected: preselected,
+      })),
+      min: 1,
+      instructions: false,
+      hint: "- Space to select. Return to submit",
+    },
+    { onCancel: cancelAdd },
+  );
+
+  return selected;
+}
+
+// The index paths of some files; a staged rename covers both its paths,
+// though only the new one is in the working tree
+function toPaths(files) {
+  return files.flatMap((file) =>
+    file.origPath ? [file.origPath, file.filePath] : [file.filePath],
+  );
+}
+
+// Take files out of the index, keeping their changes in the working tree
+async function unstageFiles(stagedFiles, { answers, nonInteractive }) {
+  if (stagedFiles.length === 0) {
+    console.log(styles.warning("⚠️  Nothing is staged"));
+    return;
+  }
+
+  const files = await selectFiles({
+    files: stagedFiles,
+    side: "index",
+    message: "Select files to unstage",
+    answers,
+    nonInteractive,
+  });
+
+  console.log(styles.highlight("\n📋 Files selected for unstaging:"));
+  files.forEach((file) => console.log(`  ${formatFileStatus(file, "index")}`));
+  console.log("");
+
+  const confirmUnstage = await confirm(
+    nonInteractive,
+    `Unstage ${files.length} file(s)?`,
+  );
+
+  if (!confirmUnstage) {
+    console.log(styles.error("\n🚫 Unstaging canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  // Before the first commit there is no HEAD to restore the index from
+  const paths = toPaths(files);
+  const unstageArgs = refExists("HEAD")
+    ? ["restore", "--staged", "--", ...paths]
+    : ["rm", "--cached", "-r", "--quiet", "--", ...paths];
+
+  try {
+    git(unstageArgs);
+  } catch (error) {
+    console.error(styles.error("\n❌ Failed to unstage files:"), error.message);
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(styles.success("\n✅ Files unstaged successfully!\n"));
+  printStagingArea();
+}
+
+// Throw away working tree changes. Staged changes are kept, and untracked
+// files are deleted.
+async function discardChanges(unstagedFiles, { answers, nonInteractive }) {
+  // Conflicts and submodules have to be sorted out with git itself
+  const discardable = unstagedFiles.filter(
+    (file) => file.kind !== "unmerged" && !file.submodule,
+  );
+
+  if (discardable.length === 0) {
+    console.log(styles.warning("⚠️  No changes to discard"));
+    return;
+  }
+
+  if (nonInteractive && !answers.force) {
+    console.log(
+      styles.error("❌ Discarding changes without prompts needs --force"),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const files = await selectFiles({
+    files: discardable,
+    side: "worktree",
+    message: "Select changes to discard",
+    answers,
+    nonInteractive,
+  });
+
+  const untracked = files.filter((file) => file.kind === "untracked");
+  const tracked = files.filter((file) => file.kind !== "untracked");
+
+  console.log(styles.warning("\n⚠️  These changes will be lost for good:"));
+  tracked.forEach((file) => console.log(`  ${formatFileStatus(file)}`));
+  untracked.forEach((file) =>
+    console.log(`  ${formatFileStatus(file)} ${styles.error("(deleted)")}`),
+  );
+  console.log("");
+
+  const confirmDiscard = await confirm(
+    nonInteractive,
+    `Discard the changes to ${files.length} file(s)? This can't be undone`,
+    false,
+  );
+
+  if (!confirmDiscard) {
+    console.log(styles.error("\n🚫 Discard canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  try {
+    if (tracked.length > 0) {
+      // Only the new path of a staged rename is in the working tree
+      git([
+        "restore",
+        "--worktree",
+        "--",
+        ...tracked.map((file) => file.filePath),
+      ]);
+    }
+    if (untracked.length > 0) {
+      git(["clean", "-d", "--force", "--quiet", "--", ...toPaths(untracked)]);
+    }
+  } catch (error) {
+    console.error(
+      styles.error("\n❌ Failed to discard changes:"),
+      error.message,
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(styles.success("\n✅ Changes discarded\n"));
+  printStagingArea();
+}
+
+// Put changes to some files aside in a new stash
+async function stashChanges(changedFiles, { answers, nonInteractive }) {
+  const stashable = changedFiles.filter((file) => file.kind !== "unmerged");
+
+  if (stashable.length === 0) {
+    console.log(styles.warning("⚠️  No changes to stash"));
+    return;
+  }
+
+  // Without prompts, everything is stashed unless --files says otherwise
+  const files =
+    nonInteractive && !answers.files
+      ? stashable
+      : await selectFiles({
+          files: stashable,
+          side: "worktree",
+          message: "Select files to stash",
+          preselected: true,
+          answers,
+          nonInteractive,
+        });
+
+  const { message } =
+    answers.message !== undefined || nonInteractive
+      ? { message: answers.message || "" }
+      : await prompts(
+          {
+            type: "text",
+            name: "message",
+            message: "Stash message (optional):",
+            format: (value) => value.trim(),
+          },
+          { onCancel: cancelAdd },
+        );
+
+  const includeUntracked = files.some((file) => file.kind === "untracked");
+  const stashArgs = [
+    "stash",
+    "push",
+    ...(includeUntracked ? ["--include-untracked"] : []),
+    ...(message ? ["--message", message] : []),
+    "--",
+    ...toPaths(files),
+  ];
+
+  console.log(styles.highlight("\n📦 Files selected for stashing:"));
+  files.forEach((file) => console.log(`  ${formatFileStatus(file)}`));
+  console.log("");
+
+  const confirmStash = await confirm(
+    nonInteractive,
+    `Stash ${files.length} file(s)?`,
+  );
+
+  if (!confirmStash) {
+    console.log(styles.error("\n🚫 Stash canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  try {
+    git(stashArgs);
+  } catch (error) {
+    console.error(styles.error("\n❌ Failed to stash files:"), error.message);
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(styles.success("\n✅ Changes stashed as stash@{0}\n"));
+  console.log(styles.muted("Bring them back later with:"));
+  console.log(styles.command("  jscodemy add --action pop\n"));
+}
+
+// Get the stashes, newest first
+function getStashes() {
+  try {
+    return git(["stash", "list", "--format=%gd%x1f%cr%x1f%gs"])
       .split("\n")
       .filter(Boolean)
-      .forEach((line) => {
-        const status = line.substring(0, 2);
+      .map((line) => {
+        const [ref, age, subject] = line.split("\x1f");
+        return { ref, age, subject };
+      });
+  } catch {
+    return [];
+  }
+}
 
-        let lineStyle = styles.muted;
+// Show the stashes with how old they are
+function listStashes() {
+  const stashes = getStashes();
 
-        if (status[0] === "M") lineStyle = styles.modified;
-        else if (status[0] === "A") lineStyle = styles.added;
-        else if (status[0] === "D") lineStyle = styles.deleted;
-        else if (status[0] === "R") lineStyle = styles.modified;
+  if (stashes.length === 0) {
+    console.log(styles.success("✅ No stashes"));
+    return;
+  }
 
-        console.log(lineStyle(`  ${line}`));
-      });
+  console.log(styles.highlight("📚 Stashes:"));
+  stashes.forEach(({ ref, age, subject }) => {
+    console.log(`  ${styles.command(ref)} ${subject} ${styles.muted(age)}`);
+  });
+  console.log("");
+}
 
-    console.log("");
+// Bring a stash back with `git stash apply` or `git stash pop`
+async function restoreStash(action, { answers, nonInteractive }) {
+  const stashes = getStashes();
 
-    const { proceedToCommit } = await prompts({
-      type: "confirm",
-      name: "proceedToCommit",
-      message: "Would you like to proceed to commit?",
-      initial: true,
-    });
+  if (stashes.length === 0) {
+    console.log(styles.warning(`⚠️  No stashes to ${action}`));
+    return;
+  }
 
-    if (proceedToCommit) {
-      console.log(styles.success("\n🚀 Launching commit wizard...\n"));
-      execSync("node scripts/commit.js", { stdio: "inherit" });
-    } else {
+  // --stash 2 is short for --stash stash@{2}; the newest one is the default
+  let ref = stashes[0].ref;
+  if (answers.stash !== undefined) {
+    ref = /^\d+$/.test(answers.stash)
+      ? `stash@{${answers.stash}}`
+      : answers.stash;
+
+    if (!stashes.some((stash) => stash.ref === ref)) {
       console.log(
-        styles.muted(
-          "\nRun 'pnpm commit' when you're ready to commit your changes.",
+        styles.error(
+          `❌ --stash must be one of: ${stashes.map((stash) => stash.ref).join(", ")}`,
         ),
       );
+      exitWizard(EXIT_CODES.USAGE);
     }
-  } catch (error) {
-    console.error(styles.error("\n❌ Failed to stage files:"), error.message);
-    process.exit(1);
+  } else if (!nonInteractive) {
+    ({ ref } = await prompts(
+      {
+        type: "select",
+        name: "ref",
+        message: `Select a stash to ${action}:`,
+        choices: stashes.map((stash) => ({
+          title: `${stash.ref} ${stash.subject}`,
+          description: stash.age,
+          value: stash.ref,
+        })),
+        initial: 0,
+      },
+      { onCancel: cancelAdd },
+    ));
   }
+
+  const confirmRestore = await confirm(
+    nonInteractive,
+    action === "pop" ? `Apply and drop ${ref}?` : `Apply ${ref} and keep it?`,
+  );
+
+  if (!confirmRestore) {
+    console.log(styles.error("\n🚫 Stash canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  console.log("");
+  if (!gitInherit(["stash", action, "--quiet", ref])) {
+    // git keeps the stash when it can't be applied cleanly
+    console.log(
+      styles.error(`\n❌ Could not ${action} ${ref}; the stash is kept`),
+    );
+    console.log(styles.muted("Resolve the conflicts, then stage the files"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(
+    styles.success(
+      action === "pop" ? `✅ Popped ${ref}\n` : `✅ Applied ${ref}\n`,
+    ),
+  );
+  printStagingArea();
 }
 
-main().catch((err) => {
-  console.error(styles.error("❌ Error:"), err);
-  process.exit(1);
-});
+if (isDirectRun(import.meta.url)) {
+  runWizard(() => runAdd(readAnswers()));
+}
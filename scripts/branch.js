@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Interactive Branch CLI
+ * Creates branches that follow the naming convention and cleans up merged ones
+ */
+
+import prompts from "prompts";
+
+import convention from "../jscodemy.config.js";
+import { confirm, readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, isDirectRun, runWizard } from "./lib/cli.js";
+import { getCurrentBranch, git, gitInherit } from "./lib/git.js";
+import {
+  buildBranchName,
+  isExemptBranch,
+  slugify,
+  validateBranchName,
+  validateBranchScope,
+  validateIssueKey,
+} from "./lib/branch-name.js";
+import { printBanner, styles } from "./lib/ui.js";
+
+// Branch types from the shared convention
+const BRANCH_TYPES = convention.types.map((type) => ({
+  title: `${type.emoji} ${type.value}`,
+  description: type.description,
+  value: type.value,
+}));
+
+// Everything the wizard can do
+const ACTIONS = [
+  { title: "🌱 Create or switch to a branch", value: "create" },
+  { title: "📋 List merged branches", value: "list" },
+  { title: "🧹 Delete merged branches", value: "clean" },
+];
+
+const cancelBranch = () => {
+  console.log(styles.error("\n🚫 Branch wizard canceled"));
+  exitWizard(EXIT_CODES.CANCELED);
+};
+
+// Get local branch names, or remote-tracking ones (origin/main)
+function getBranchNames(refs) {
+  try {
+    const output = git(["for-each-ref", "--format=%(refname:short)", refs]);
+    return output.split("\n").filter((name) => name && !name.endsWith("/HEAD"));
+  } catch {
+    return [];
+  }
+}
+
+// Branches fully merged into the base, except the ones we keep around
+function getMergedBranches(base, currentBranch) {
+  try {
+    const output = git([
+      "branch",
+      "--merged",
+      base,
+      "--format=%(refname:short)",
+    ]);
+
+    return output
+      .split("\n")
+      .filter(
+        (name) =>
+          name &&
+          name !== base &&
+          name !== currentBranch &&
+          !isExemptBranch(name),
+      );
+  } catch {
+    return [];
+  }
+}
+
+// Create or switch to a convention branch, or clean up merged ones
+export async function runBranch({ answers, nonInteractive, banner = true }) {
+  if (banner) {
+    printBanner(
+      "🌿 JSCODEMY BRANCH WIZARD 🌿",
+      "Create branches that follow our naming convention",
+      "Follow the prompts to create or clean up branches",
+    );
+  }
+
+  let currentBranch;
+  try {
+    currentBranch = getCurrentBranch();
+  } catch {
+    console.log(styles.error("❌ Not in a git repository"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  const localBranches = getBranchNames("refs/heads");
+  const remoteBranches = getBranchNames("refs/remotes");
+  const bases = [...localBranches, ...remoteBranches];
+  const defaultBase = bases.includes(convention.branch.base)
+    ? convention.branch.base
+    : currentBranch || bases[0];
+
+  // Validate what was given up front
+  const flagErrors = [
+    answers.action !== undefined &&
+      !ACTIONS.some((action) => action.value === answers.action) &&
+      `--action must be one of: ${ACTIONS.map((action) => action.value).join(", ")}`,
+    answers.type !== undefined &&
+      !BRANCH_TYPES.some((type) => type.value === answers.type) &&
+      `--type must be one of: ${BRANCH_TYPES.map((type) => type.value).join(", ")}`,
+    answers.scope !== undefined &&
+      validateBranchScope(answers.scope) !== true &&
+      `--scope: ${validateBranchScope(answers.scope)}`,
+    answers.issue !== undefined &&
+      validateIssueKey(answers.issue) !== true &&
+      `--issue: ${validateIssueKey(answers.issue)}`,
+    answers.slug !== undefined &&
+      !slugify(answers.slug) &&
+      "--slug must contain letters or digits",
+    answers.base !== undefined &&
+      !bases.includes(answers.base) &&
+      `--base must be an existing branch (e.g., ${defaultBase})`,
+  ].filter(Boolean);
+
+  const action = answers.action ?? (nonInteractive ? "create" : undefined);
+  if (nonInteractive && action === "create") {
+    ["type", "scope", "slug"]
+      .filter((name) => answers[name] === undefined)
+      .forEach((name) => flagErrors.push(`--${name} is required`));
+  }
+
+  if (flagErrors.length > 0) {
+    flagErrors.forEach((error) => console.log(styles.error(`❌ ${error}`)));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  // Pre-answer the prompts covered by flags, or take the defaults when
+  // running non-interactively
+  prompts.override({
+    ...(nonInteractive && { issue: "", base: defaultBase }),
+    ...(action !== undefined && { action }),
+    ...(answers.type !== undefined && { type: answers.type }),
+    ...(answers.scope !== undefined && { scope: answers.scope }),
+    ...(answers.issue !== undefined && { issue: answers.issue }),
+    ...(answers.slug !== undefined && { slug: answers.slug }),
+    ...(answers.base !== undefined && { base: answers.base }),
+  });
+
+  const response = await prompts(
+    {
+      type: "select",
+      name: "action",
+      message: "What do you want to do?",
+      choices: ACTIONS,
+      initial: 0,
+    },
+    { onCancel: cancelBranch },
+  );
+
+  const baseQuestion = {
+    type: "select",
+    name: "base",
+    choices: bases.map((base) => ({ title: base, value: base })),
+    initial: Math.max(bases.indexOf(defaultBase), 0),
+  };
+
+  if (response.action === "create") {
+    await createBranch({
+      currentBranch,
+      localBranches,
+      baseQuestion,
+      nonInteractive,
+    });
+  } else {
+    const { base } = await prompts(
+      { ...baseQuestion, message: "Find branches merged into:" },
+      { onCancel: cancelBranch },
+    );
+    const merged = getMergedBranches(base, currentBranch);
+
+    if (response.action === "list") {
+      listMergedBranches(base, merged);
+    } else {
+      await cleanMergedBranches(base, merged, nonInteractive);
+    }
+  }
+}
+
+// Build a branch name from its parts, then create or switch to it
+async function createBranch({
+  currentBranch,
+  localBranches,
+  baseQuestion,
+  nonInteractive,
+}) {
+  const parts = await prompts(
+    [
+      {
+        type: "select",
+        name: "type",
+        message: "Select the type of work:",
+        choices: BRANCH_TYPES,
+        initial: 0,
+      },
+      {
+        type: "text",
+        name: "scope",
+        message: "Scope (one lowercase word, e.g., auth):",
+        validate: validateBranchScope,
+      },
+      {
+        type: "text",
+        name: "issue",
+        message: "Issue key (optional, e.g., ORG-42 or #42):",
+        validate: validateIssueKey,
+        format: (value) => value.trim(),
+      },
+      {
+        type: "text",
+        name: "slug",
+        message: "Short description:",
+        validate: (value) =>
+          slugify(value) ? true : "Description must contain letters or digits",
+      },
+    ],
+    { onCancel: cancelBranch },
+  );
+
+  const branchName = buildBranchName(parts);
+  const validation = validateBranchName(branchName);
+
+  console.log(styles.highlight("\n🌿 Branch name:"));
+  console.log(styles.command(`  ${branchName}\n`));
+
+  if (validation !== true) {
+    console.log(styles.error(`❌ ${validation}`));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  if (branchName === currentBranch) {
+    console.log(styles.success(`✅ Already on ${branchName}`));
+    return;
+  }
+
+  // An existing branch is switched to instead of created again
+  if (localBranches.includes(branchName)) {
+    const switchBranch = await confirm(
+      nonInteractive,
+      `${branchName} already exists. Switch to it?`,
+    );
+
+    if (!switchBranch) {
+      console.log(styles.error("\n🚫 Branch wizard canceled"));
+      exitWizard(EXIT_CODES.SUCCESS);
+    }
+
+    if (!gitInherit(["switch", branchName])) {
+      console.log(
+        styles.error(
+          "\n❌ Could not switch branches. Commit or stash your changes first.",
+        ),
+      );
+      exitWizard(EXIT_CODES.FAILURE);
+    }
+
+    console.log(styles.success(`\n✅ Switched to ${branchName}`));
+    return;
+  }
+
+  const { base } = await prompts(
+    { ...baseQuestion, message: "Create the branch from:" },
+    { onCancel: cancelBranch },
+  );
+
+  const createArgs = ["switch", "--no-track", "-c", branchName, base];
+  console.log(styles.highlight("\n🔄 Executing:"));
+  console.log(styles.command(`  git ${createArgs.join(" ")}\n`));
+
+  const confirmCreate = await confirm(
+    nonInteractive,
+    `Create ${branchName} from ${base}?`,
+  );
+
+  if (!confirmCreate) {
+    console.log(styles.error("\n🚫 Branch wizard canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  if (!gitInherit(createArgs)) {
+    console.log(styles.error(`\n❌ Could not create ${branchName}`));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(styles.success(`\n✅ Created and switched to ${branchName}`));
+  console.log(styles.muted("Push it when ready with:"));
+  console.log(styles.command("  pnpm push\n"));
+}
+
+// Show the branches that are safe to delete
+function listMergedBranches(base, merged) {
+  if (merged.length === 0) {
+    console.log(styles.success(`\n✅ No branches merged into ${base}`));
+    return;
+  }
+
+  console.log(styles.highlight(`\n📋 Branches merged into ${base}:`));
+  merged.forEach((name) => console.log(styles.muted(`  - ${name}`)));
+  console.log("");
+}
+
+// Delete local branches that are merged into the base
+async function cleanMergedBranches(base, merged, nonInteractive) {
+  if (merged.length === 0) {
+    console.log(styles.success(`\n✅ No merged branches to delete`));
+    return;
+  }
+
+  const { branches = [] } = nonInteractive
+    ? { branches: merged }
+    : await prompts(
+        {
+          type: "multiselect",
+          name: "branches",
+          message: `Select branches merged into ${base} to delete:`,
+          choices: merged.map((name) => ({
+            title: name,
+            value: name,
+            selected: true,
+          })),
+          instructions: false,
+          hint: "- Space to select. Return to submit",
+        },
+        { onCancel: cancelBranch },
+      );
+
+  if (branches.length === 0) {
+    console.log(styles.warning("\n⚠️  No branches selected"));
+    return;
+  }
+
+  const confirmDelete = await confirm(
+    nonInteractive,
+    `Delete ${branches.length} branch(es)?`,
+  );
+
+  if (!confirmDelete) {
+    console.log(styles.error("\n🚫 Branch wizard canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  // Every listed branch is merged into the base, so -D loses no work even
+  // when the base isn't checked out
+  const failed = branches.filter((name) => !gitInherit(["branch", "-D", name]));
+
+  if (failed.length > 0) {
+    console.log(styles.error(`\n❌ Could not delete: ${failed.join(", ")}`));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(styles.success(`\n✅ Deleted ${branches.length} branch(es)`));
+}
+
+if (isDirectRun(import.meta.url)) {
+  runWizard(() => runBranch(readAnswers()));
+}
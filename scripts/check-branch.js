@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Branch Name Check
+ * Run by the post-commit hook to warn about branches off the naming convention
+ */
+
+import { validateBranchName } from "./lib/branch-name.js";
+import { getCurrentBranch } from "./lib/git.js";
+import { styles } from "./lib/ui.js";
+
+let currentBranch = "";
+try {
+  currentBranch = getCurrentBranch();
+} catch {
+  // Not a branch we can check
+}
+
+// Detached HEAD (e.g., during a rebase) has no branch name to check
+const validation = currentBranch ? validateBranchName(currentBranch) : true;
+
+if (validation !== true) {
+  console.log("");
+  console.log(styles.warning(`⚠️  ${validation}`));
+  console.log(styles.muted("Create branches with the branch wizard:"));
+  console.log(styles.command("  pnpm branch"));
+  console.log(styles.muted("Or rename this one:"));
+  console.log(styles.command("  git branch -m <type>/<scope>-<description>"));
+  console.log("");
+}
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Commit Format Guide
+ * Printed by the commit-msg hook when commitlint rejects a message
+ */
+
+import convention from "../jscodemy.config.js";
+import { styles } from "./lib/ui.js";
+
+const typeWidth = Math.max(
+  ...convention.types.map((type) => type.value.length),
+);
+const [firstScope] = convention.scopes;
+
+console.log(styles.subtitle("📝 COMMIT FORMAT GUIDE:"));
+console.log(
+  styles.highlight(
+    "   <type>[optional scope]: <Subject starting with capital letter>",
+  ),
+);
+console.log("");
+
+console.log(styles.subtitle("🔄 AVAILABLE TYPES:"));
+convention.types.forEach((type) => {
+  console.log(
+    `   ${styles.command(type.value)}:${" ".repeat(typeWidth - type.value.length + 1)}${type.description}`,
+  );
+});
+console.log("");
+
+console.log(styles.subtitle("📋 EXAMPLES:"));
+console.log(styles.muted("   feat: Add user authentication"));
+console.log(
+  styles.muted(
+    `   fix(${firstScope ? firstScope.value : "api"}): Fix timeout issues`,
+  ),
+);
+console.log(styles.muted("   docs: Update README"));
+console.log("");
@@ -6,89 +6,101 @@
  */
 
 import prompts from "prompts";
-import { execSync } from "child_process";
-
-// ANSI color codes for styling
-const styles = {
-  title: (text) => `\x1b[38;5;105m${text}\x1b[0m`,
-  subtitle: (text) => `\x1b[38;5;39m${text}\x1b[0m`,
-  success: (text) => `\x1b[38;5;82m${text}\x1b[0m`,
-  error: (text) => `\x1b[38;5;196m${text}\x1b[0m`,
-  warning: (text) => `\x1b[38;5;214m${text}\x1b[0m`,
-  highlight: (text) => `\x1b[38;5;226m${text}\x1b[0m`,
-  muted: (text) => `\x1b[38;5;245m${text}\x1b[0m`,
-};
+
+import convention from "../jscodemy.config.js";
+import { confirm, readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, isDirectRun, runWizard } from "./lib/cli.js";
+import { lintCommitMessage, ruleTarget } from "./lib/commitlint.js";
+import { clearDraft, loadDraft, saveDraft } from "./lib/drafts.js";
+import { git, gitInherit, gitSucceeds, splitNul } from "./lib/git.js";
+import { suggestScopes } from "./lib/scopes.js";
+import {
+  fillTemplate,
+  findTemplate,
+  getPlaceholders,
+  parseTemplateValues,
+  promptTemplate,
+  promptTemplateValues,
+} from "./lib/templates.js";
+import { suggestType } from "./lib/type-suggestion.js";
+import { printBanner, styles } from "./lib/ui.js";
 
 // Commit types with emojis
-const COMMIT_TYPES = [
-  { title: "✨ feat", description: "A new feature", value: "feat" },
-  { title: "🐛 fix", description: "A bug fix", value: "fix" },
-  {
-    title: "📚 docs",
-    description: "Documentation only changes",
-    value: "docs",
-  },
-  {
-    title: "💄 style",
-    description: "Changes that do not affect the meaning of the code",
-    value: "style",
-  },
-  {
-    title: "♻️ refactor",
-    description: "A code change that neither fixes a bug nor adds a feature",
-    value: "refactor",
-  },
-  {
-    title: "⚡ perf",
-    description: "A code change that improves performance",
-    value: "perf",
-  },
-  {
-    title: "🧪 test",
-    description: "Adding missing tests or correcting existing tests",
-    value: "test",
-  },
-  {
-    title: "🛠️ build",
-    description:
-      "Changes that affect the build system or external dependencies",
-    value: "build",
-  },
-  {
-    title: "👷 ci",
-    description: "Changes to our CI configuration files and scripts",
-    value: "ci",
-  },
+const COMMIT_TYPES = convention.types.map((type) => ({
+  title: `${type.emoji} ${type.value}`,
+  description: type.description,
+  value: type.value,
+}));
+
+// Common scopes
+const COMMON_SCOPES = [
+  ...convention.scopes.map((scope) => ({
+    title: scope.value,
+    description: scope.description,
+    value: scope.value,
+  })),
+  { title: "other", description: "Custom scope (specify)", value: "other" },
+];
+
+// Footer tokens, in the order they follow the BREAKING CHANGE footer
+const FOOTER_TOKENS = [
+  { title: "Closes", description: "Closes an issue", value: "Closes" },
+  { title: "Fixes", description: "Fixes a reported bug", value: "Fixes" },
+  { title: "Refs", description: "Relates to an issue", value: "Refs" },
   {
-    title: "🧹 chore",
-    description: "Other changes that don't modify src or test files",
-    value: "chore",
+    title: "Reviewed-by",
+    description: "Reviewer (Name <email>)",
+    value: "Reviewed-by",
   },
   {
-    title: "⏪ revert",
-    description: "Reverts a previous commit",
-    value: "revert",
+    title: "Co-authored-by",
+    description: "Co-author (Name <email>)",
+    value: "Co-authored-by",
   },
 ];
 
-// Common scopes
-const COMMON_SCOPES = [
-  { title: "api", description: "API-related changes", value: "api" },
-  { title: "ui", description: "User interface related", value: "ui" },
-  { title: "auth", description: "Authentication/Authorization", value: "auth" },
-  { title: "core", description: "Core functionality", value: "core" },
-  { title: "data", description: "Data models or handling", value: "data" },
-  { title: "deps", description: "Dependencies", value: "deps" },
-  { title: "config", description: "Configuration changes", value: "config" },
-  { title: "other", description: "Custom scope (specify)", value: "other" },
+// Footer tokens that take issue references rather than people
+const ISSUE_TOKENS = ["Closes", "Fixes", "Refs"];
+
+// #123 or ORG-123
+const ISSUE_REFERENCE_PATTERN = /^(?:#\d+|[A-Z][A-Z0-9]*-\d+)$/;
+
+// Jane Doe <jane@example.com>
+const PERSON_PATTERN = /^[^<>]+ <[^<>\s]+@[^<>\s]+>$/;
+
+// The parts of a draft that are saved between runs
+const DRAFT_FIELDS = [
+  "type",
+  "scope",
+  "subject",
+  "body",
+  "breaking",
+  "breakingMarker",
+  "breakingBody",
+  "footers",
 ];
 
+// Point at the saved draft when stopping before the commit exists
+const printDraftHint = () => {
+  if (loadDraft()) {
+    console.log(
+      styles.muted(
+        "💾 Your answers are saved. Run the wizard again to resume.",
+      ),
+    );
+  }
+};
+
+const cancelCommit = () => {
+  console.log(styles.error("\n🚫 Commit creation canceled"));
+  printDraftHint();
+  exitWizard(EXIT_CODES.CANCELED);
+};
+
 // Check for staged files
 function getStagedFiles() {
   try {
-    return execSync("git diff --cached --name-only", { encoding: "utf-8" })
-      .split("\n")
-      .filter(Boolean);
+    return splitNul(git(["diff", "--cached", "--name-only", "-z"]));
   } catch (error) {
     console.error(
       styles.error("Error checking for staged files:"),
@@ -98,40 +110,448 @@ function getStagedFiles() {
   }
 }
 
+// Read package.json from a revision ("HEAD", or "" for the index)
+function readPackageJson(revision) {
+  try {
+    return JSON.parse(git(["show", `${revision}:package.json`]));
+  } catch {
+    return null;
+  }
+}
+
+// Check whether the staged diff only changes whitespace
+function isWhitespaceOnlyDiff() {
+  return gitSucceeds([
+    "diff",
+    "--cached",
+    "--quiet",
+    "-w",
+    "--ignore-blank-lines",
+  ]);
+}
+
 // Extract scope suggestion from branch
 function getScopeSuggestion() {
   try {
-    const currentBranch = execSync("git branch --show-current", {
-      encoding: "utf-8",
-    })
-      .toString()
-      .trim();
-    const branchMatch = currentBranch.match(
-      /^(?:feature|feat|fix|docs|style|refactor|perf|test|build|ci|chore|revert)\/([^-]+)/,
-    );
+    const currentBranch = git(["branch", "--show-current"]).trim();
+    const branchMatch = currentBranch.match(convention.branch.scopePattern);
     return branchMatch && branchMatch[1] ? branchMatch[1] : "";
   } catch {
     return "";
   }
 }
 
-// Display header
-console.log("\n");
-console.log(styles.title("╔════════════════════════════════════════════════╗"));
-console.log(styles.title("║                                                ║"));
-console.log(
-  styles.title("║          ✨ JSCODEMY COMMIT WIZARD ✨           ║"),
-);
-console.log(styles.title("║                                                ║"));
-console.log(styles.title("╚════════════════════════════════════════════════╝"));
-console.log("\n");
-console.log(
-  styles.subtitle("Create beautiful conventional commit messages with ease"),
-);
-console.log(styles.muted("Follow the prompts to craft your commit message"));
-console.log("\n");
-
-async function main() {
+// Validate the subject against the shared convention
+function validateSubject(value) {
+  if (!value) return "Description is required";
+  if (value[0] !== value[0].toUpperCase())
+    return "Description must start with uppercase letter";
+  if (value.endsWith(convention.subject.fullStop))
+    return `Description should not end with "${convention.subject.fullStop}"`;
+  return true;
+}
+
+// Validate a footer value for its token
+function validateFooterValue(token, value) {
+  if (ISSUE_TOKENS.includes(token)) {
+    return (
+      ISSUE_REFERENCE_PATTERN.test(value) ||
+      `"${value}" is not an issue reference (e.g., #123 or ORG-123)`
+    );
+  }
+  return (
+    PERSON_PATTERN.test(value) ||
+    `"${value}" should look like "Name <email@example.com>"`
+  );
+}
+
+// Split "#12, ORG-3 #14" into separate references
+function splitReferences(value) {
+  return value.split(/[\s,]+/).filter(Boolean);
+}
+
+// Footers given as flags: --issues "Fixes #12, #13" and --footer "Token: value"
+function parseFooterAnswers(answers) {
+  const footers = [];
+
+  if (answers.issues) {
+    const [, token = "Closes", references] = answers.issues.match(
+      /^(?:(Closes|Fixes|Refs):?\s+)?(.*)$/i,
+    );
+    const issueToken = ISSUE_TOKENS.find(
+      (issue) => issue.toLowerCase() === token.toLowerCase(),
+    );
+    splitReferences(references).forEach((value) => {
+      footers.push({ token: issueToken, value });
+    });
+  }
+
+  [].concat(answers.footer || []).forEach((footer) => {
+    const [, token = "", value = ""] = footer.match(/^([\w-]+):\s*(.*)$/) || [];
+    const footerToken = FOOTER_TOKENS.find(
+      (candidate) => candidate.value.toLowerCase() === token.toLowerCase(),
+    );
+    footers.push({ token: footerToken ? footerToken.value : token, value });
+  });
+
+  return footers;
+}
+
+// Sort footers by token, keeping the order they were added in otherwise
+function sortFooters(footers) {
+  const rank = (footer) =>
+    FOOTER_TOKENS.findIndex((token) => token.value === footer.token);
+  return [...footers].sort((a, b) => rank(a) - rank(b));
+}
+
+// Ask for footers one at a time until the user is done
+async function promptFooters(footers = []) {
+  const collected = [...footers];
+
+  for (;;) {
+    const { token } = await prompts(
+      {
+        type: "select",
+        name: "token",
+        message: collected.length
+          ? "Add another footer?"
+          : "Select a footer to add:",
+        choices: [...FOOTER_TOKENS, { title: "Done", value: null }],
+        initial: 0,
+      },
+      { onCancel: cancelCommit },
+    );
+
+    if (!token) return collected;
+
+    if (ISSUE_TOKENS.includes(token)) {
+      const { references } = await prompts(
+        {
+          type: "text",
+          name: "references",
+          message: `${token} (e.g., #123, ORG-45):`,
+          validate: (value) => {
+            const references = splitReferences(value);
+            if (references.length === 0) return "Enter at least one reference";
+            const invalid = references.find(
+              (reference) => validateFooterValue(token, reference) !== true,
+            );
+            return invalid ? validateFooterValue(token, invalid) : true;
+          },
+        },
+        { onCancel: cancelCommit },
+      );
+
+      // Every reference gets its own footer line
+      splitReferences(references).forEach((value) => {
+        collected.push({ token, value });
+      });
+    } else {
+      const { person } = await prompts(
+        {
+          type: "text",
+          name: "person",
+          message: `${token} (Name <email>):`,
+          validate: (value) => validateFooterValue(token, value.trim()),
+        },
+        { onCancel: cancelCommit },
+      );
+      collected.push({ token, value: person.trim() });
+    }
+
+    console.log(
+      styles.muted(
+        sortFooters(collected)
+          .map((footer) => `  ${footer.token}: ${footer.value}`)
+          .join("\n"),
+      ),
+    );
+  }
+}
+
+// Validate answers passed as flags or an answers file
+function validateAnswers(answers, nonInteractive) {
+  const errors = [];
+
+  parseFooterAnswers(answers).forEach(({ token, value }) => {
+    if (!FOOTER_TOKENS.some((footer) => footer.value === token)) {
+      errors.push(
+        `--footer token must be one of: ${FOOTER_TOKENS.map((footer) => footer.value).join(", ")}`,
+      );
+    } else {
+      const footerCheck = validateFooterValue(token, value);
+      if (footerCheck !== true) errors.push(`${token}: ${footerCheck}`);
+    }
+  });
+
+  if (answers.type === undefined) {
+    if (nonInteractive) errors.push("--type is required");
+  } else if (!COMMIT_TYPES.some((type) => type.value === answers.type)) {
+    errors.push(
+      `--type must be one of: ${COMMIT_TYPES.map((type) => type.value).join(", ")}`,
+    );
+  }
+
+  if (answers.subject !== undefined || nonInteractive) {
+    const subjectCheck = validateSubject(answers.subject);
+    if (subjectCheck !== true) errors.push(`--subject: ${subjectCheck}`);
+  }
+
+  if (answers.scope && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(answers.scope)) {
+    errors.push(`--scope must be ${convention.scope.case}`);
+  }
+
+  return errors;
+}
+
+// Build the commit message from the wizard answers
+function buildCommitMessage(draft) {
+  // Format scope if provided
+  const scopeText = draft.scope ? `(${draft.scope})` : "";
+
+  // "!" flags a breaking change right in the header
+  const marker = draft.breaking && draft.breakingMarker ? "!" : "";
+
+  let commitMessage = `${draft.type}${scopeText}${marker}: ${draft.subject}`;
+
+  // Add body if provided
+  if (draft.body) {
+    commitMessage += `\n\n${draft.body}`;
+  }
+
+  // Footers form one block: the breaking change first, then the trailers.
+  // With the "!" marker the BREAKING CHANGE footer is optional.
+  const footers = [];
+
+  if (draft.breaking && (draft.breakingBody || !draft.breakingMarker)) {
+    footers.push(
+      `BREAKING CHANGE: ${draft.breakingBody || "Breaking changes introduced"}`,
+    );
+  }
+
+  sortFooters(draft.footers || []).forEach((footer) => {
+    footers.push(`${footer.token}: ${footer.value}`);
+  });
+
+  if (footers.length > 0) {
+    commitMessage += `\n\n${footers.join("\n")}`;
+  }
+
+  return commitMessage;
+}
+
+// Preselect the scope type that fits a default scope: common when it is
+// one of the choices, custom when it isn't, none when it is empty
+function getScopeTypeIndex(scope, scopeChoices) {
+  if (scope === undefined) return 0;
+  if (!scope) return 2;
+  return scopeChoices.some((choice) => choice.value === scope) ? 0 : 1;
+}
+
+// Resolve the scope from the scope prompts answered so far
+function resolveScope(answers) {
+  if (answers.useCommonScope === true && answers.commonScope !== "other") {
+    return answers.commonScope;
+  }
+  if (answers.useCommonScope === false) return answers.customScope;
+  return "";
+}
+
+// Lint the message built from a draft and report the errors that concern
+// the given parts of it, in the format prompts expects from validate()
+async function lintDraft(draft, targets) {
+  const report = await lintCommitMessage(buildCommitMessage(draft));
+  const errors = report.errors.filter((error) =>
+    targets.includes(ruleTarget(error.name)),
+  );
+
+  return errors.length === 0
+    ? true
+    : errors.map((error) => error.message).join("; ");
+}
+
+// Fields the user can go back to, by the part of the message a rule checks
+function fieldsForErrors(errors, draft) {
+  const fields = new Set();
+
+  errors.forEach((error) => {
+    const target = ruleTarget(error.name);
+
+    if (target === "type") fields.add("type");
+    else if (target === "scope") fields.add("scope");
+    else if (target === "body") fields.add("body");
+    else if (target === "footer") {
+      if (draft.breaking) fields.add("breakingBody");
+      if (draft.footers && draft.footers.length > 0) fields.add("footers");
+    } else fields.add("subject");
+  });
+
+  return Array.from(fields);
+}
+
+// Prompt for a single field again, keeping the current value as a start
+function editFieldPrompt(field, draft) {
+  switch (field) {
+    case "type":
+      return {
+        type: "select",
+        name: field,
+        message: "Select the type of change:",
+        choices: COMMIT_TYPES,
+        initial: Math.max(
+          COMMIT_TYPES.findIndex((type) => type.value === draft.type),
+          0,
+        ),
+      };
+    case "scope":
+      return {
+        type: "text",
+        name: field,
+        message: "Enter scope (leave empty for none):",
+        initial: draft.scope || "",
+        validate: (value) => lintDraft({ ...draft, scope: value }, ["scope"]),
+      };
+    case "subject":
+      return {
+        type: "text",
+        name: field,
+        message: "Enter a short description:",
+        initial: draft.subject,
+        validate: async (value) => {
+          const subjectCheck = validateSubject(value);
+          if (subjectCheck !== true) return subjectCheck;
+          return lintDraft({ ...draft, subject: value }, ["subject", "header"]);
+        },
+      };
+    case "body":
+      return {
+        type: "text",
+        name: field,
+        message: "Provide a longer description (optional):",
+        initial: draft.body || "",
+        validate: (value) => lintDraft({ ...draft, body: value }, ["body"]),
+      };
+    default:
+      return {
+        type: "text",
+        name: field,
+        message: "Describe the breaking changes:",
+        initial: draft[field] || "",
+        validate: (value) =>
+          lintDraft({ ...draft, [field]: value }, ["body", "footer"]),
+      };
+  }
+}
+
+// Keep the draft fields of the answers given so far
+function toDraft(values) {
+  return Object.fromEntries(
+    DRAFT_FIELDS.filter((field) => values[field] !== undefined).map((field) => [
+      field,
+      values[field],
+    ]),
+  );
+}
+
+// Fill in the template given with --template. Without prompts its values
+// become answers (flags still win); otherwise they are offered as defaults.
+async function applyTemplateFlag(answers, nonInteractive) {
+  const template = findTemplate(answers.template);
+  if (!template) {
+    console.log(
+      styles.error(
+        `❌ --template must be one of: ${convention.templates.map((candidate) => candidate.name).join(", ")}`,
+      ),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const values = parseTemplateValues(answers.var);
+
+  if (!nonInteractive) {
+    return {
+      answers,
+      defaults: await promptTemplateValues(template, values, cancelCommit),
+    };
+  }
+
+  const missing = getPlaceholders(template).filter((name) => !values[name]);
+  if (missing.length > 0) {
+    missing.forEach((name) =>
+      console.log(styles.error(`❌ --var ${name}=<value> is required`)),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  return {
+    answers: { ...fillTemplate(template, values), ...answers },
+    defaults: {},
+  };
+}
+
+// Offer to resume the draft of an unfinished commit. Returns its answers,
+// or null when there is none or it is dismissed (which discards it).
+async function resumeDraft() {
+  const savedDraft = loadDraft();
+  if (!savedDraft) return null;
+
+  const header =
+    savedDraft.type && savedDraft.subject
+      ? buildCommitMessage(savedDraft).split("\n")[0]
+      : `${savedDraft.type || "?"}: ${savedDraft.subject || "…"}`;
+
+  console.log(
+    styles.highlight("💾 Unfinished commit from"),
+    styles.muted(new Date(savedDraft.savedAt).toLocaleString()),
+  );
+  console.log(styles.muted(`  ${header}`));
+  console.log("");
+
+  const { resume } = await prompts(
+    {
+      type: "confirm",
+      name: "resume",
+      message: "Resume this draft?",
+      initial: true,
+    },
+    { onCancel: cancelCommit },
+  );
+
+  if (!resume) {
+    clearDraft();
+    return null;
+  }
+
+  return toDraft(savedDraft);
+}
+
+// Build a conventional commit message and commit the staged changes.
+// Interactive answers are saved as a draft until the commit exists.
+export async function runCommit({
+  answers: givenAnswers,
+  nonInteractive,
+  banner = true,
+}) {
+  if (banner) {
+    printBanner(
+      "✨ JSCODEMY COMMIT WIZARD ✨",
+      "Create beautiful conventional commit messages with ease",
+      "Follow the prompts to craft your commit message",
+    );
+  }
+
+  // Answers and defaults from --template, if given
+  const { answers, defaults: templateDefaults } =
+    givenAnswers.template === undefined
+      ? { answers: givenAnswers, defaults: null }
+      : await applyTemplateFlag(givenAnswers, nonInteractive);
+
+  const answerErrors = validateAnswers(answers, nonInteractive);
+  if (answerErrors.length > 0) {
+    answerErrors.forEach((error) => console.log(styles.error(`❌ ${error}`)));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
   // Check for staged files
   const stagedFiles = getStagedFiles();
   if (stagedFiles.length === 0) {
@@ -141,15 +561,142 @@ async function main() {
       ),
     );
     console.log(styles.muted("  git add <files>"));
-    process.exit(1);
+    exitWizard(EXIT_CODES.FAILURE);
   }
 
   console.log(styles.highlight("🔍 Files to be committed:"));
   stagedFiles.forEach((file) => console.log(styles.muted(`  - ${file}`)));
   console.log("\n");
 
-  // Scope suggestion
-  const scopeSuggestion = getScopeSuggestion();
+  // Type suggestion from what is staged
+  const typeSuggestion = suggestType({
+    files: stagedFiles,
+    packageJson: stagedFiles.includes("package.json")
+      ? { before: readPackageJson("HEAD"), after: readPackageJson("") }
+      : null,
+    whitespaceOnly: isWhitespaceOnlyDiff(),
+  });
+
+  if (typeSuggestion) {
+    console.log(
+      styles.highlight("💡 Suggested type:"),
+      styles.success(typeSuggestion.type),
+      styles.muted(`(${typeSuggestion.reason})`),
+    );
+    console.log("");
+  }
+
+  // Scope suggestions, ranked by the number of staged files they cover,
+  // followed by the one from the branch name
+  const fileScopes = suggestScopes(stagedFiles);
+  const branchScope = getScopeSuggestion();
+  const scopeSuggestion =
+    branchScope || (fileScopes[0] && fileScopes[0].scope) || "";
+
+  if (fileScopes.length > 0) {
+    console.log(styles.highlight("💡 Suggested scopes:"));
+    fileScopes.forEach(({ scope, files }) => {
+      console.log(styles.muted(`  - ${scope} (${files.length} file(s))`));
+    });
+    console.log("");
+  }
+
+  if (fileScopes.length > 1) {
+    console.log(
+      styles.warning(
+        `⚠️  The staged files span ${fileScopes.length} scopes. Consider splitting this commit.`,
+      ),
+    );
+    console.log("");
+  }
+
+  const suggestedScopes = [
+    ...fileScopes.map(({ scope, files }) => ({
+      title: `💡 ${scope}`,
+      description: `Suggested from ${files.length} staged file(s)`,
+      value: scope,
+    })),
+    ...(branchScope && !fileScopes.some(({ scope }) => scope === branchScope)
+      ? [
+          {
+            title: `💡 ${branchScope}`,
+            description: "Suggested from the branch name",
+            value: branchScope,
+          },
+        ]
+      : []),
+  ];
+  const scopeChoices = [
+    ...suggestedScopes,
+    ...COMMON_SCOPES.filter(
+      (common) =>
+        !suggestedScopes.some((suggested) => suggested.value === common.value),
+    ),
+  ];
+
+  // Prompt defaults: a saved draft, or a template (--template or picked)
+  let defaults = templateDefaults || {};
+  if (!nonInteractive && !templateDefaults) {
+    const savedDraft = await resumeDraft();
+
+    if (savedDraft) {
+      defaults = savedDraft;
+    } else if (answers.type === undefined) {
+      const template = await promptTemplate(cancelCommit);
+      if (template) {
+        defaults = await promptTemplateValues(
+          template,
+          parseTemplateValues(answers.var),
+          cancelCommit,
+        );
+      }
+    }
+  }
+
+  // Footers passed as flags, or kept in the draft
+  const flagFooters = parseFooterAnswers(answers);
+  const startFooters = flagFooters.length
+    ? flagFooters
+    : defaults.footers || [];
+
+  // Pre-answer the prompts covered by flags. The rest are still asked,
+  // unless the wizard runs non-interactively and takes their defaults.
+  const preAnswered = {
+    ...(nonInteractive && {
+      useCommonScope: null,
+      body: "",
+      breaking: false,
+      addFooters: false,
+    }),
+    type: answers.type,
+    ...(answers.scope && { useCommonScope: false, customScope: answers.scope }),
+    subject: answers.subject,
+    ...(answers.body !== undefined && { body: answers.body }),
+    // --breaking alone, or with --breaking-note; answers files may also
+    // give the note as "breaking"
+    ...((answers.breaking || answers["breaking-note"]) && {
+      breaking: true,
+      breakingMarker: true,
+      breakingBody:
+        answers["breaking-note"] ??
+        (typeof answers.breaking === "string" ? answers.breaking : ""),
+    }),
+  };
+  prompts.override(preAnswered);
+
+  // Answers submitted so far, used to lint each field as it is entered
+  let answered = { ...preAnswered };
+  const draftWith = (values) => {
+    const current = { ...answered, ...values };
+    return { ...current, scope: resolveScope(current) };
+  };
+
+  // Flag answers skip the live check, since prompts validates overrides
+  // synchronously; they are linted with the full message further down
+  const liveLint = (name, targets) => (value) =>
+    preAnswered[name] !== undefined
+      ? true
+      : lintDraft(draftWith({ [name]: value }), targets);
 
   // Interactive prompts
   const response = await prompts(
@@ -159,7 +706,22 @@ async function main() {
         name: "type",
         message: "Select the type of change:",
         choices: COMMIT_TYPES,
-        initial: 0,
+        hint: typeSuggestion
+          ? `Suggested: ${typeSuggestion.type}, ${typeSuggestion.reason}`
+          : undefined,
+        initial: defaults.type
+          ? Math.max(
+              COMMIT_TYPES.findIndex((type) => type.value === defaults.type),
+              0,
+            )
+          : typeSuggestion
+            ? Math.max(
+                COMMIT_TYPES.findIndex(
+                  (type) => type.value === typeSuggestion.type,
+                ),
+                0,
+              )
+            : 0,
       },
       {
         type: "select",
@@ -170,69 +732,92 @@ async function main() {
           { title: "Custom scope", value: false },
           { title: "No scope", value: null },
         ],
-        initial: 0,
+        initial: getScopeTypeIndex(defaults.scope, scopeChoices),
       },
       {
         type: (prev) => (prev === true ? "select" : null),
         name: "commonScope",
         message: "Select scope:",
-        choices: COMMON_SCOPES,
-        initial: 0,
+        choices: scopeChoices,
+        initial: Math.max(
+          scopeChoices.findIndex((choice) => choice.value === defaults.scope),
+          0,
+        ),
       },
       {
         type: (prev) => (prev === false ? "text" : null),
         name: "customScope",
         message: "Enter custom scope:",
-        initial: scopeSuggestion,
+        initial: defaults.scope || scopeSuggestion,
       },
       {
         type: "text",
         name: "subject",
         message: "Enter a short description:",
+        initial: defaults.subject,
         validate: (value) => {
-          if (!value) return "Description is required";
-          if (value[0] !== value[0].toUpperCase())
-            return "Description must start with uppercase letter";
-          if (value.endsWith("."))
-            return "Description should not end with a period";
-          return true;
+          const subjectCheck = validateSubject(value);
+          if (subjectCheck !== true) return subjectCheck;
+          return liveLint("subject", ["type", "scope", "subject", "header"])(
+            value,
+          );
         },
       },
       {
         type: "text",
         name: "body",
         message: "Provide a longer description (optional):",
+        initial: defaults.body,
+        validate: liveLint("body", ["body"]),
       },
       {
         type: "confirm",
         name: "breaking",
         message: "Does this change contain breaking changes?",
-        initial: false,
+        initial: Boolean(defaults.breaking),
       },
       {
-        type: (prev) => (prev ? "text" : null),
+        type: (prev) => (prev ? "confirm" : null),
+        name: "breakingMarker",
+        message: 'Mark the header with "!" as well?',
+        initial: defaults.breakingMarker ?? true,
+      },
+      {
+        type: (prev, values) => (values.breaking ? "text" : null),
         name: "breakingBody",
-        message: "Describe the breaking changes:",
+        message: (prev) =>
+          prev
+            ? "Describe the breaking changes (optional):"
+            : "Describe the breaking changes:",
+        initial: defaults.breakingBody,
+        validate: liveLint("breakingBody", ["body", "footer"]),
       },
       {
         type: "confirm",
-        name: "issues",
-        message: "Does this change affect any open issues?",
+        name: "addFooters",
+        message: startFooters.length
+          ? "Add more footers (issues, reviewers, co-authors)?"
+          : "Add footers (issues, reviewers, co-authors)?",
         initial: false,
       },
-      {
-        type: (prev) => (prev ? "text" : null),
-        name: "issuesBody",
-        message: 'Add issue references (e.g., "Fixes #123"):',
-      },
     ],
     {
-      onCancel: () => {
-        console.log(styles.error("\n🚫 Commit creation canceled"));
-        process.exit(1);
+      onSubmit: (prompt, answer, answers) => {
+        answered = { ...preAnswered, ...answers };
+        if (!nonInteractive) {
+          // The scope is only known once its prompts are answered. Defaults
+          // fill in the prompts not reached yet.
+          const current = draftWith({ footers: startFooters });
+          if (answered.useCommonScope === undefined) delete current.scope;
+          saveDraft({ ...toDraft(defaults), ...toDraft(current) });
+        }
       },
+      onCancel: cancelCommit,
     },
   );
+  // The fix-up prompts below reuse these names, and must not be answered
+  // with the flag values again
+  prompts.override({});
 
   // Handle scope selection
   let scope = "";
@@ -240,39 +825,89 @@ async function main() {
     scope = response.commonScope;
     if (scope === "other") {
       // If they selected "other" from common scopes but didn't provide a custom one
-      const { otherScope } = await prompts({
-        type: "text",
-        name: "otherScope",
-        message: "Enter custom scope:",
-        initial: scopeSuggestion,
-      });
+      const { otherScope } = await prompts(
+        {
+          type: "text",
+          name: "otherScope",
+          message: "Enter custom scope:",
+          initial: scopeSuggestion,
+        },
+        { onCancel: cancelCommit },
+      );
       scope = otherScope;
     }
   } else if (response.useCommonScope === false) {
     scope = response.customScope;
   }
 
-  // Format scope if provided
-  const scopeText = scope ? `(${scope})` : "";
+  // Footers are collected one by one, starting from the ones given as flags
+  const footers = response.addFooters
+    ? await promptFooters(startFooters)
+    : startFooters;
 
-  // Build commit message
-  let commitMessage = `${response.type}${scopeText}: ${response.subject}`;
+  const draft = { ...response, scope, footers };
+  if (!nonInteractive) saveDraft(toDraft(draft));
 
-  // Add body if provided
-  if (response.body) {
-    commitMessage += `\n\n${response.body}`;
-  }
+  // Build commit message and check it against the commitlint rules
+  let commitMessage = buildCommitMessage(draft);
+  let report = await lintCommitMessage(commitMessage);
 
-  // Add breaking change note if applicable
-  if (response.breaking) {
-    commitMessage += `\n\nBREAKING CHANGE: ${response.breakingBody || "Breaking changes introduced"}`;
-  }
+  // Refuse to continue until the message passes, re-editing only the
+  // fields the failing rules point at
+  while (!report.valid) {
+    console.log(
+      styles.error("\n❌ The commit message breaks the commit rules:"),
+    );
+    report.errors.forEach((error) => {
+      console.log(
+        styles.error(`  - ${error.message}`),
+        styles.muted(`[${error.name}]`),
+      );
+    });
+
+    if (nonInteractive) exitWizard(EXIT_CODES.FAILURE);
+
+    const fields = fieldsForErrors(report.errors, draft);
+    const { field } = await prompts(
+      {
+        type: "select",
+        name: "field",
+        message: "Which part would you like to fix?",
+        choices: [
+          ...fields.map((name) => ({ title: name, value: name })),
+          { title: "Cancel commit", value: null },
+        ],
+        initial: 0,
+      },
+      { onCancel: cancelCommit },
+    );
 
-  // Add issue reference if applicable
-  if (response.issues && response.issuesBody) {
-    commitMessage += `\n\n${response.issuesBody}`;
+    if (!field) {
+      console.log(styles.error("\n🚫 Commit creation canceled"));
+      exitWizard(EXIT_CODES.CANCELED);
+    }
+
+    if (field === "footers") {
+      draft.footers = await promptFooters();
+    } else {
+      const edited = await prompts(editFieldPrompt(field, draft), {
+        onCancel: cancelCommit,
+      });
+      draft[field] = edited[field];
+    }
+    saveDraft(toDraft(draft));
+
+    commitMessage = buildCommitMessage(draft);
+    report = await lintCommitMessage(commitMessage);
   }
 
+  report.warnings.forEach((warning) => {
+    console.log(
+      styles.warning(`⚠️  ${warning.message}`),
+      styles.muted(`[${warning.name}]`),
+    );
+  });
+
   // Preview the commit message
   console.log("\n");
   console.log(styles.highlight("📝 Generated Commit Message:"));
@@ -301,35 +936,30 @@ async function main() {
   console.log("╰─" + "─".repeat(50) + "╯");
 
   // Confirm commit
-  const { confirmCommit } = await prompts({
-    type: "confirm",
-    name: "confirmCommit",
-    message: "Create commit with this message?",
-    initial: true,
-  });
+  const confirmCommit = await confirm(
+    nonInteractive,
+    "Create commit with this message?",
+  );
 
   if (confirmCommit) {
-    try {
-      // Execute git commit with the formatted message
-      execSync(`git commit -m "${commitMessage.replace(/"/g, '\\"')}"`, {
-        stdio: "inherit",
-      });
-      console.log(styles.success("\n✅ Commit created successfully!"));
-    } catch (error) {
-      console.error(
-        styles.error("\n❌ Failed to create commit:"),
-        error.message,
-      );
-      process.exit(1);
+    // Kept until the commit exists, in case a hook rejects it
+    saveDraft(toDraft(draft));
+
+    // Read the message from stdin, so quotes and backticks reach git as-is
+    if (!gitInherit(["commit", "-F", "-"], { input: commitMessage })) {
+      console.error(styles.error("\n❌ Failed to create commit"));
+      printDraftHint();
+      exitWizard(EXIT_CODES.FAILURE);
     }
+    clearDraft();
+    console.log(styles.success("\n✅ Commit created successfully!"));
   } else {
     console.log(styles.error("\n❌ Commit cancelled"));
-    process.exit(1);
+    printDraftHint();
+    exitWizard(EXIT_CODES.SUCCESS);
   }
 }
 
-// Execute main function
-main().catch((err) => {
-  console.error(styles.error("❌ Error:"), err);
-  process.exit(1);
-});
+if (isDirectRun(import.meta.url)) {
+  runWizard(() => runCommit(readAnswers()));
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Guard Check
+ * Run by the pre-commit hook to stop secrets, large files and stray binaries
+ * from being committed
+ */
+
+import { confirm } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, runWizard } from "./lib/cli.js";
+import {
+  collectStagedFiles,
+  filterAllowed,
+  printFindings,
+  readAllowlist,
+  scanFiles,
+} from "./lib/guard.js";
+import { styles } from "./lib/ui.js";
+
+// Set to 1 to commit despite the findings when there is no terminal to ask
+const OVERRIDE_VARIABLE = "JSCODEMY_GUARD_OVERRIDE";
+
+// Scan the staged changes and ask before committing what was found
+async function runGuard() {
+  const findings = filterAllowed(
+    scanFiles(collectStagedFiles()),
+    readAllowlist(),
+  );
+
+  if (findings.length === 0) {
+    console.log(styles.success("🔐 No secrets or large files staged"));
+    return;
+  }
+
+  printFindings(findings);
+
+  if (process.env[OVERRIDE_VARIABLE] === "1") {
+    console.log(
+      styles.warning(`⚠️  Committing anyway (${OVERRIDE_VARIABLE}=1)\n`),
+    );
+    return;
+  }
+
+  if (!process.stdin.isTTY) {
+    console.log(styles.error("❌ Commit blocked"));
+    console.log(
+      styles.muted(
+        `Unstage the files, or set ${OVERRIDE_VARIABLE}=1 to commit anyway\n`,
+      ),
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  const override = await confirm(
+    false,
+    `Commit anyway, with ${findings.length} finding(s)?`,
+    false,
+  );
+
+  if (!override) {
+    console.log(styles.error("\n🚫 Commit blocked"));
+    console.log(styles.muted("Unstage the files with: pnpm stage\n"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(styles.warning("⚠️  Committing despite the findings\n"));
+}
+
+runWizard(runGuard);
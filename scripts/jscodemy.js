@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY CLI
+ * One entry point for every wizard: jscodemy <command> [options]
+ */
+
+import fs from "fs";
+
+import { runAdd } from "./add.js";
+import { runBranch } from "./branch.js";
+import { runCommit } from "./commit.js";
+import { runPush } from "./push.js";
+import { runRelease } from "./release.js";
+import { runStatus } from "./status.js";
+import { runTidy } from "./tidy.js";
+import { readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, runWizard } from "./lib/cli.js";
+import { gitSucceeds } from "./lib/git.js";
+import { printBanner, printStep, styles } from "./lib/ui.js";
+
+// Every subcommand with the flags it understands
+const COMMANDS = {
+  add: {
+    run: runAdd,
+    description: "Stage, unstage, discard or stash changes",
+    options: [
+      "--action <stage|unstage|discard|stash|list|apply|pop>",
+      "--files <path>",
+      "--pattern <glob>",
+      "--allow-findings",
+      "--force",
+      "--message <text>",
+      "--stash <n>",
+    ],
+  },
+  commit: {
+    run: runCommit,
+    description: "Write a conventional commit",
+    options: [
+      "--type <type>",
+      "--scope <scope>",
+      "--subject <text>",
+      "--body <text>",
+      "--breaking",
+      "--breaking-note <text>",
+      "--issues <refs>",
+      "--footer <token: value>",
+      "--template <name>",
+      "--var <placeholder=value>",
+    ],
+  },
+  push: {
+    run: runPush,
+    description: "Run the pre-flight checks and push",
+    options: [
+      "--remote <name>",
+      "--branch <name>",
+      "--branches <a,b>",
+      "--tags <a,b>",
+      "--set-upstream",
+      "--checks <a,b>",
+      "--rebase",
+      "--force",
+    ],
+  },
+  branch: {
+    run: runBranch,
+    description: "Create a convention branch or clean up merged ones",
+    options: [
+      "--action <create|list|clean>",
+      "--type <type>",
+      "--scope <scope>",
+      "--issue <key>",
+      "--slug <text>",
+      "--base <branch>",
+    ],
+  },
+  status: {
+    run: runStatus,
+    description: "Show the branch, remote and working tree, and what's next",
+    options: [],
+  },
+  flow: {
+    run: runFlow,
+    description: "Stage, commit and push in one go",
+    options: ["Any add, commit and push option"],
+  },
+  tidy: {
+    run: runTidy,
+    description: "Squash, reword or drop unpushed commits",
+    options: ["--action <tidy|restore|abort>", "--todo <hash=action,...>"],
+  },
+  release: {
+    run: runRelease,
+    description: "Write the changelog and tag a release",
+    options: [
+      "--from <ref>",
+      "--to <ref>",
+      "--format <markdown|json>",
+      "--release",
+      "--prerelease <id>",
+      "--dry-run",
+    ],
+  },
+};
+
+// Flags that every subcommand understands
+const COMMON_OPTIONS = [
+  ["-y, --yes", "Run without prompts, confirming every step"],
+  [
+    "--answers <file>",
+    "Read the answers from a JSON file (implies --yes, except for risky pushes)",
+  ],
+  ["-h, --help", "Show help"],
+  ["-v, --version", "Show the version"],
+];
+
+// Read the version from package.json
+function getVersion() {
+  const packageJson = JSON.parse(
+    fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8"),
+  );
+  return packageJson.version;
+}
+
+// Print the usage of the bin, or of one subcommand
+function printHelp(command) {
+  const pad = (text) => text.padEnd(30);
+
+  if (command) {
+    console.log(`\n${styles.title(`Usage: jscodemy ${command} [options]`)}`);
+    console.log(`\n${COMMANDS[command].description}\n`);
+
+    if (COMMANDS[command].options.length > 0) {
+      console.log(styles.highlight("Options:"));
+      COMMANDS[command].options.forEach((option) =>
+        console.log(`  ${styles.command(option)}`),
+      );
+      console.log("");
+    }
+  } else {
+    console.log(`\n${styles.title("Usage: jscodemy <command> [options]")}\n`);
+    console.log(styles.highlight("Commands:"));
+    Object.entries(COMMANDS).forEach(([name, { description }]) =>
+      console.log(`  ${styles.command(pad(name))}${description}`),
+    );
+    console.log("");
+  }
+
+  console.log(styles.highlight("Common options:"));
+  COMMON_OPTIONS.forEach(([flags, description]) =>
+    console.log(`  ${styles.command(pad(flags))}${description}`),
+  );
+  console.log("");
+
+  if (!command) {
+    console.log(
+      styles.muted("Run jscodemy <command> --help for its options\n"),
+    );
+  }
+}
+
+// Check if anything is staged
+function hasStagedChanges() {
+  return !gitSucceeds(["diff", "--cached", "--quiet"]);
+}
+
+// Stage, commit and push in one process. Every step reads the same answers,
+// so the flags of all three wizards can be given at once.
+async function runFlow({ answers, nonInteractive }) {
+  printBanner(
+    "🔁 JSCODEMY FLOW 🔁",
+    "Stage, commit and push in one go",
+    "Each step picks up where the previous one left off",
+  );
+
+  const context = { answers, nonInteractive, banner: false };
+
+  printStep(1, 3, "Stage");
+  if (nonInteractive && !answers.files) {
+    // Without --files, whatever is already staged gets committed
+    console.log(styles.muted("No --files given, keeping what is staged"));
+  } else {
+    await runAdd({
+      ...context,
+      answers: { ...answers, action: "stage" },
+      offerCommit: false,
+    });
+  }
+
+  printStep(2, 3, "Commit");
+  if (hasStagedChanges()) {
+    await runCommit(context);
+  } else {
+    console.log(styles.warning("⚠️  Nothing staged, skipping the commit"));
+  }
+
+  printStep(3, 3, "Push");
+  await runPush(context);
+}
+
+// Pick the subcommand and hand the rest of the arguments to it
+async function main(args) {
+  const [command, ...rest] = args;
+
+  if (command === "--version" || command === "-v") {
+    console.log(getVersion());
+    return;
+  }
+
+  if (!command || command === "--help" || command === "-h") {
+    printHelp();
+    return;
+  }
+
+  if (!Object.hasOwn(COMMANDS, command)) {
+    console.error(styles.error(`❌ Unknown command: ${command}`));
+    printHelp();
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+
+  if (rest.includes("--help") || rest.includes("-h")) {
+    printHelp(command);
+    return;
+  }
+
+  await runWizard(() => COMMANDS[command].run(readAnswers(rest)));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,137 @@
+/**
+ * JSCODEMY Wizard Answers
+ * Lets the wizards take their answers from CLI flags or a JSON answers file
+ */
+
+import fs from "fs";
+import { parseArgs } from "util";
+import prompts from "prompts";
+
+import { EXIT_CODES, exitWizard } from "./cli.js";
+import { styles } from "./ui.js";
+
+// Flags understood by every wizard, so one argument list can be forwarded
+// from one wizard to the next (e.g., add → commit)
+const ANSWER_OPTIONS = {
+  type: { type: "string" },
+  scope: { type: "string" },
+  subject: { type: "string" },
+  body: { type: "string" },
+  breaking: { type: "boolean" },
+  "breaking-note": { type: "string" },
+  issues: { type: "string" },
+  footer: { type: "string", multiple: true },
+  template: { type: "string" },
+  var: { type: "string", multiple: true },
+  files: { type: "string", multiple: true },
+  pattern: { type: "string", multiple: true },
+  remote: { type: "string" },
+  branch: { type: "string" },
+  branches: { type: "string" },
+  tags: { type: "string" },
+  "set-upstream": { type: "boolean" },
+  action: { type: "string" },
+  issue: { type: "string" },
+  slug: { type: "string" },
+  base: { type: "string" },
+  todo: { type: "string" },
+  message: { type: "string" },
+  stash: { type: "string" },
+  checks: { type: "string" },
+  rebase: { type: "boolean" },
+  force: { type: "boolean" },
+  "allow-findings": { type: "boolean" },
+  from: { type: "string" },
+  to: { type: "string" },
+  format: { type: "string" },
+  release: { type: "boolean" },
+  prerelease: { type: "string" },
+  "dry-run": { type: "boolean" },
+  answers: { type: "string" },
+  yes: { type: "boolean", short: "y" },
+};
+
+// Set by readAnswers: whether --yes or an answers file confirms every step,
+// and whether --yes itself was given (on the command line or in the file)
+let confirmsAll = false;
+let saidYes = false;
+
+// Read answers from the command line and the optional --answers file.
+// Flags take precedence over the file. The wizard runs without prompting
+// when --yes or an answers file is given, or when stdin is not a TTY; only
+// the first two also confirm for the user.
+export function readAnswers(args = process.argv.slice(2)) {
+  const { values } = parseArgs({ args, options: ANSWER_OPTIONS });
+  const { answers: answersFile, yes, ...flags } = values;
+
+  let fileAnswers = {};
+  if (answersFile) {
+    try {
+      fileAnswers = JSON.parse(fs.readFileSync(answersFile, "utf-8"));
+    } catch (error) {
+      throw new Error(
+        `Could not read answers file "${answersFile}": ${error.message}`,
+      );
+    }
+  }
+
+  const answers = { ...fileAnswers, ...flags };
+  delete answers.yes;
+
+  // Files may be repeated (--files a --files b) or listed in an array in the
+  // answers file, and those names are kept exactly as given. Only a single
+  // string is comma-separated (--files a,b), with "\," for a comma in a name.
+  const files = flags.files?.length === 1 ? flags.files[0] : answers.files;
+  if (files !== undefined) {
+    answers.files = Array.isArray(files)
+      ? files.map(String).filter(Boolean)
+      : String(files)
+          .split(/(?<!\\),/)
+          .map((file) => file.replaceAll("\\,", ",").trim())
+          .filter(Boolean);
+  }
+
+  saidYes = Boolean(yes || fileAnswers.yes);
+  confirmsAll = saidYes || Boolean(answersFile);
+
+  return {
+    answers,
+    nonInteractive: confirmsAll || !process.stdin.isTTY,
+  };
+}
+
+// Ask for confirmation. Without prompts, only --yes or an answers file
+// confirms: a piped or CI run stops here rather than discarding, deleting
+// or pushing on its own.
+export async function confirm(nonInteractive, message, initial = true) {
+  if (nonInteractive) {
+    if (confirmsAll) return true;
+
+    console.log(styles.error(`❌ Can't ask "${message}" without a terminal`));
+    console.log(styles.muted("Pass --yes to confirm without prompts"));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const { confirmed } = await prompts({
+    type: "confirm",
+    name: "confirmed",
+    message,
+    initial,
+  });
+
+  return confirmed;
+}
+
+// Ask before a step that can't be taken back, such as pushing to a
+// protected branch. Without prompts, only an explicit --yes confirms it; an
+// answers file without "yes" is refused.
+export async function confirmRisky(nonInteractive, message) {
+  if (nonInteractive) {
+    if (saidYes) return true;
+
+    console.log(styles.error(`❌ "${message}" needs an explicit --yes`));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  return confirm(false, message, false);
+}
@@ -0,0 +1,60 @@
+/**
+ * JSCODEMY Branch Names
+ * Builds and checks branch names such as feat/auth-login or fix/ui-ORG-42-menu
+ */
+
+import convention from "../../jscodemy.config.js";
+import { gitSucceeds } from "./git.js";
+
+// ORG-42, #42 or 42
+const ISSUE_KEY_PATTERN = /^(?:[A-Z][A-Z0-9]*-\d+|#?\d+)$/;
+
+// Turn free text into a lowercase, hyphenated slug
+export function slugify(text, maxLength = convention.branch.slugMaxLength) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
+}
+
+// The scope is read back up to the first hyphen, so it can't contain one
+export function validateBranchScope(value) {
+  if (!value) return "Scope is required";
+  if (!/^[a-z0-9]+$/.test(value)) {
+    return "Scope must be a single lowercase word (letters and digits)";
+  }
+  return true;
+}
+
+export function validateIssueKey(value) {
+  if (!value || ISSUE_KEY_PATTERN.test(value)) return true;
+  return "Issue key must look like ORG-42 or #42";
+}
+
+// type/scope[-ISSUE-42]-slug
+export function buildBranchName({ type, scope, issue = "", slug }) {
+  const issuePart = issue ? `-${issue.replace(/^#/, "")}` : "";
+  return `${type}/${scope}${issuePart}-${slugify(slug)}`;
+}
+
+// Long-lived branches are allowed to break the convention
+export function isExemptBranch(name) {
+  return convention.branch.exempt.includes(name);
+}
+
+// Check a branch name against git's rules and the naming convention
+export function validateBranchName(name) {
+  if (!gitSucceeds(["check-ref-format", "--branch", name])) {
+    return `"${name}" is not a valid git branch name`;
+  }
+
+  if (isExemptBranch(name) || convention.branch.namePattern.test(name)) {
+    return true;
+  }
+
+  return `"${name}" doesn't follow the type/scope-slug convention (e.g., feat/auth-login)`;
+}
@@ -0,0 +1,180 @@
+/**
+ * JSCODEMY Changelog
+ * Parses conventional commits and renders them as release notes
+ */
+
+import convention from "../../jscodemy.config.js";
+
+// type(scope)!: Subject
+const HEADER_PATTERN = /^(\w+)(?:\(([^)]+)\))?(!)?: (.+)$/;
+
+// BREAKING CHANGE: ... (also the hyphenated spelling allowed by the spec)
+const BREAKING_PATTERN = /^BREAKING[ -]CHANGE: ?(.*)$/;
+
+// Closes: #12, Fixes #3 ORG-45, Refs: #7 ...
+const REFERENCE_LINE_PATTERN =
+  /^(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?|refs?):?\s+(.+)$/i;
+const REFERENCE_PATTERN = /#\d+|\b[A-Z][A-Z0-9]+-\d+\b/g;
+
+// Any other git trailer (Reviewed-by: ..., Co-authored-by: ...)
+const TRAILER_PATTERN = /^[\w-]+(?:: | #)/;
+
+// Parse a full commit message into its conventional parts.
+// Returns null when the header does not follow the convention.
+export function parseCommit(hash, message) {
+  const [header, ...rest] = message.trim().split("\n");
+  const headerMatch = header.match(HEADER_PATTERN);
+  if (!headerMatch) return null;
+
+  const [, type, scope = "", bang, subject] = headerMatch;
+  const breakingNotes = [];
+  const references = [];
+  let currentNote = null;
+
+  rest.forEach((line) => {
+    const breakingMatch = line.match(BREAKING_PATTERN);
+    const referenceMatch = line.match(REFERENCE_LINE_PATTERN);
+
+    if (breakingMatch) {
+      currentNote = breakingMatch[1];
+      breakingNotes.push(currentNote);
+    } else if (referenceMatch) {
+      currentNote = null;
+      references.push(...(referenceMatch[1].match(REFERENCE_PATTERN) || []));
+    } else if (TRAILER_PATTERN.test(line)) {
+      currentNote = null;
+    } else if (currentNote !== null && line.trim()) {
+      // Breaking change notes may continue over several lines
+      currentNote = `${currentNote} ${line.trim()}`;
+      breakingNotes[breakingNotes.length - 1] = currentNote;
+    } else {
+      currentNote = null;
+    }
+  });
+
+  // The "!" shorthand without a footer still marks a breaking change
+  if (bang && breakingNotes.length === 0) breakingNotes.push(subject);
+
+  return {
+    hash,
+    shortHash: hash.slice(0, 7),
+    type,
+    scope,
+    subject,
+    breaking: breakingNotes.length > 0,
+    breakingNotes,
+    references: Array.from(new Set(references)),
+  };
+}
+
+// Group commits into changelog sections, in the order of the convention
+export function groupCommits(commits) {
+  const breaking = commits.flatMap((commit) =>
+    commit.breakingNotes.map((note) => ({ ...commit, note })),
+  );
+
+  const sections = convention.types
+    .map((type) => {
+      const scopes = {};
+
+      commits
+        .filter((commit) => commit.type === type.value)
+        .forEach((commit) => {
+          scopes[commit.scope] = scopes[commit.scope] || [];
+          scopes[commit.scope].push(commit);
+        });
+
+      return {
+        type: type.value,
+        title: type.section,
+        emoji: type.emoji,
+        scopes,
+      };
+    })
+    .filter((section) => Object.keys(section.scopes).length > 0);
+
+  return { breaking, sections };
+}
+
+// Turn a GitHub/GitLab remote URL into its https web URL
+export function toRepoUrl(remoteUrl) {
+  if (!remoteUrl) return "";
+
+  const url = remoteUrl
+    .trim()
+    .replace(/^git@([^:]+):/, "https://$1/")
+    .replace(/^ssh:\/\/git@/, "https://")
+    .replace(/\.git$/, "");
+
+  // Local paths and other transports have nothing to link to
+  return /^https?:\/\//.test(url) ? url : "";
+}
+
+// Link a commit hash or an issue reference when the repo URL is known
+function formatReference(reference, repoUrl) {
+  if (repoUrl && reference.startsWith("#")) {
+    return `[${reference}](${repoUrl}/issues/${reference.slice(1)})`;
+  }
+  return reference;
+}
+
+function formatEntry(commit, text, repoUrl) {
+  const scope = commit.scope ? `**${commit.scope}:** ` : "";
+  const hash = repoUrl
+    ? `([${commit.shortHash}](${repoUrl}/commit/${commit.hash}))`
+    : `(${commit.shortHash})`;
+  const references = commit.references.length
+    ? `, closes ${commit.references
+        .map((reference) => formatReference(reference, repoUrl))
+        .join(", ")}`
+    : "";
+
+  return `- ${scope}${text} ${hash}${references}`;
+}
+
+// Render grouped commits as a Markdown changelog entry
+export function renderMarkdown({ title, date, breaking, sections }, repoUrl) {
+  const lines = [`## ${title} (${date})`, ""];
+
+  if (breaking.length > 0) {
+    lines.push("### ⚠ BREAKING CHANGES", "");
+    breaking.forEach((commit) => {
+      lines.push(formatEntry(commit, commit.note, repoUrl));
+    });
+    lines.push("");
+  }
+
+  sections.forEach((section) => {
+    lines.push(`### ${section.emoji} ${section.title}`, "");
+
+    // Unscoped entries first, then scopes alphabetically
+    Object.keys(section.scopes)
+      .sort()
+      .forEach((scope) => {
+        section.scopes[scope].forEach((commit) => {
+          lines.push(formatEntry(commit, commit.subject, repoUrl));
+        });
+      });
+    lines.push("");
+  });
+
+  if (breaking.length === 0 && sections.length === 0) {
+    lines.push("_No notable changes._", "");
+  }
+
+  return lines.join("\n");
+}
+
+// Insert a rendered entry at the top of an existing changelog
+export function prependToChangelog(existing, entry) {
+  const heading = "# Changelog";
+
+  if (!existing.trim()) return `${heading}\n\n${entry}`;
+
+  if (existing.startsWith(heading)) {
+    const rest = existing.slice(heading.length).replace(/^\n+/, "");
+    return `${heading}\n\n${entry}\n${rest}`;
+  }
+
+  return `${heading}\n\n${entry}\n${existing}`;
+}
@@ -0,0 +1,70 @@
+/**
+ * JSCODEMY CLI Runtime
+ * Exit codes and error handling shared by the wizards and the jscodemy bin
+ */
+
+import path from "path";
+import { pathToFileURL } from "url";
+
+import { styles } from "./ui.js";
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  // Something went wrong (git failed, a check failed, ...)
+  FAILURE: 1,
+  // Unknown command, or invalid flags
+  USAGE: 2,
+  // The user pressed Ctrl+C or Esc at a prompt
+  CANCELED: 130,
+};
+
+// Thrown to stop a wizard; the runner turns it into the exit code. Declining
+// a confirmation stops with SUCCESS, since nothing went wrong.
+export class WizardExit extends Error {
+  constructor(exitCode) {
+    super(`Wizard stopped with exit code ${exitCode}`);
+    this.name = "WizardExit";
+    this.exitCode = exitCode;
+  }
+}
+
+// Stop the running wizard (and the rest of a flow)
+export function exitWizard(exitCode = EXIT_CODES.FAILURE) {
+  throw new WizardExit(exitCode);
+}
+
+// Exit code for an error thrown out of a wizard, reporting unexpected ones
+export function handleError(error) {
+  if (error instanceof WizardExit) return error.exitCode;
+
+  // Unknown or malformed flags, from parseArgs or the answers file
+  if (
+    error.code?.startsWith("ERR_PARSE_ARGS") ||
+    error.message?.startsWith("Could not read answers file")
+  ) {
+    console.error(styles.error(`❌ ${error.message}`));
+    console.error(styles.muted("Run jscodemy --help to see the options"));
+    return EXIT_CODES.USAGE;
+  }
+
+  console.error(styles.error("❌ Error:"), error);
+  return EXIT_CODES.FAILURE;
+}
+
+// Run a wizard and set the process exit code from how it ended
+export async function runWizard(wizard) {
+  try {
+    await wizard();
+  } catch (error) {
+    process.exitCode = handleError(error);
+  }
+}
+
+// True when the module is the script node was started with, so the wizards
+// can run on their own as well as through the jscodemy bin
+export function isDirectRun(moduleUrl) {
+  return (
+    Boolean(process.argv[1]) &&
+    moduleUrl === pathToFileURL(path.resolve(process.argv[1])).href
+  );
+}
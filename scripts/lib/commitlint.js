@@ -0,0 +1,39 @@
+/**
+ * JSCODEMY Commit Message Linting
+ * Runs the commitlint.config.js rules without going through the git hook
+ */
+
+import lint from "@commitlint/lint";
+import load from "@commitlint/load";
+
+// Loaded once per process; commitlint resolves the config from the cwd
+let configPromise;
+
+function loadConfig() {
+  if (!configPromise) configPromise = load();
+  return configPromise;
+}
+
+// Lint a full commit message and return commitlint's report
+export async function lintCommitMessage(message) {
+  const config = await loadConfig();
+
+  return lint(message, config.rules, {
+    parserOpts: config.parserPreset?.parserOpts,
+    plugins: config.plugins,
+    ignores: config.ignores,
+    defaultIgnores: config.defaultIgnores,
+  });
+}
+
+// Map a rule name (e.g., "subject-case") to the part of the message it checks
+export function ruleTarget(ruleName) {
+  const [target] = ruleName.split("-");
+
+  if (["type", "scope", "subject", "body", "footer"].includes(target)) {
+    return target;
+  }
+
+  // header-* and anything else concern the first line as a whole
+  return "header";
+}
@@ -0,0 +1,50 @@
+/**
+ * JSCODEMY Commit Drafts
+ * Keeps the answers of an unfinished commit under .git, so a canceled
+ * wizard or a failed commit hook doesn't lose them
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { git } from "./git.js";
+
+// Relative to the git directory, which is per worktree
+const DRAFT_FILE = "jscodemy/commit-draft.json";
+
+// Path of the draft file (git rev-parse resolves linked worktrees)
+function getDraftPath() {
+  return path.resolve(git(["rev-parse", "--git-path", DRAFT_FILE]).trim());
+}
+
+// Read the saved draft, or null when there is none or it is unreadable
+export function loadDraft() {
+  try {
+    return JSON.parse(fs.readFileSync(getDraftPath(), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// Save the answers given so far. Failing to save never stops a commit.
+export function saveDraft(draft) {
+  try {
+    const draftPath = getDraftPath();
+    fs.mkdirSync(path.dirname(draftPath), { recursive: true });
+    fs.writeFileSync(
+      draftPath,
+      JSON.stringify({ ...draft, savedAt: new Date().toISOString() }, null, 2),
+    );
+  } catch {
+    // Not in a repository, or .git is read-only
+  }
+}
+
+// Forget the draft once its commit exists
+export function clearDraft() {
+  try {
+    fs.rmSync(getDraftPath(), { force: true });
+  } catch {
+    // Nothing to clear
+  }
+}
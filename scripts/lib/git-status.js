@@ -0,0 +1,161 @@
+/**
+ * JSCODEMY Git Status
+ * Parses `git status --porcelain=v2 -z`, keeping the staged (index) and
+ * unstaged (worktree) state of every file apart
+ */
+
+import { git } from "./git.js";
+
+// Conflict states of unmerged entries, as named in git-status(1)
+const CONFLICTS = {
+  DD: "both deleted",
+  AU: "added by us",
+  UD: "deleted by them",
+  UA: "added by them",
+  DU: "deleted by us",
+  AA: "both added",
+  UU: "both modified",
+};
+
+// Fields before the path of each entry type: ordinary (1), renamed or
+// copied (2) and unmerged (u)
+const FIELD_COUNTS = { 1: 8, 2: 9, u: 10 };
+
+// v2 writes "." for an unchanged column; the wizards use " " like v1
+const column = (code) => (code === "." ? " " : code);
+
+// Split the leading space-separated fields off a record. The path comes
+// last and may itself contain spaces.
+function splitFields(record, count) {
+  const fields = [];
+  let rest = record;
+
+  for (let n = 0; n < count; n++) {
+    const space = rest.indexOf(" ");
+    fields.push(rest.slice(0, space));
+    rest = rest.slice(space + 1);
+  }
+
+  return [...fields, rest];
+}
+
+// "N..." for a regular file, or "S<c><m><u>" for a submodule whose commit
+// changed, has modified files or has untracked files
+function parseSubmodule(field) {
+  if (field[0] !== "S") return null;
+
+  return {
+    commitChanged: field[1] === "C",
+    hasModifications: field[2] === "M",
+    hasUntracked: field[3] === "U",
+  };
+}
+
+// Read a "# branch.*" header into the branch summary
+function parseHeader(record, branch) {
+  const [, key, ...values] = record.split(" ");
+  const value = values.join(" ");
+
+  if (key === "branch.oid") {
+    branch.oid = value === "(initial)" ? null : value;
+  } else if (key === "branch.head") {
+    branch.head = value === "(detached)" ? null : value;
+  } else if (key === "branch.upstream") {
+    branch.upstream = value;
+  } else if (key === "branch.ab") {
+    const [ahead, behind] = values.map((count) => Math.abs(Number(count)));
+    branch.ahead = ahead;
+    branch.behind = behind;
+  }
+}
+
+// Parse the output of `git status --porcelain=v2 -z [--branch]` into
+// { branch, files }. Each file has its index and worktree status letters
+// (" " when unchanged), and is staged, unstaged or both when only part of
+// it is staged.
+export function parseStatus(output) {
+  const branch = {
+    oid: null,
+    head: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+  };
+  const files = [];
+  const records = output.split("\0");
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (!record) continue;
+
+    const type = record[0];
+
+    if (type === "#") {
+      parseHeader(record, branch);
+      continue;
+    }
+
+    if (type === "?" || type === "!") {
+      files.push({
+        kind: type === "?" ? "untracked" : "ignored",
+        index: type,
+        worktree: type,
+        filePath: record.slice(2),
+        origPath: null,
+        similarity: null,
+        submodule: null,
+        conflict: null,
+        isStaged: false,
+        hasUnstagedChanges: type === "?",
+      });
+      continue;
+    }
+
+    // Skip record types newer versions of git may add
+    const count = FIELD_COUNTS[type];
+    if (!count) continue;
+
+    const fields = splitFields(record, count);
+    const [, xy, submodule] = fields;
+    const index = column(xy[0]);
+    const worktree = column(xy[1]);
+    const entry = {
+      kind: "changed",
+      index,
+      worktree,
+      filePath: fields[count],
+      origPath: null,
+      similarity: null,
+      submodule: parseSubmodule(submodule),
+      conflict: null,
+      isStaged: index !== " ",
+      hasUnstagedChanges: worktree !== " ",
+    };
+
+    if (type === "2") {
+      // "R100" or "C75": the kind and how similar the two paths are
+      const score = fields[8];
+      entry.kind = score[0] === "C" ? "copied" : "renamed";
+      entry.similarity = Number(score.slice(1));
+      entry.origPath = records[++i];
+    } else if (type === "u") {
+      // Conflicts are neither staged nor unstaged until they are resolved
+      entry.kind = "unmerged";
+      entry.conflict = CONFLICTS[xy] || "unmerged";
+      entry.isStaged = false;
+      entry.hasUnstagedChanges = true;
+    }
+
+    files.push(entry);
+  }
+
+  return { branch, files };
+}
+
+// Run git status and parse it. Extra arguments go to git status, e.g.,
+// ["--untracked-files=all"].
+export function getStatus(args = []) {
+  return parseStatus(
+    git(["status", "--porcelain=v2", "-z", "--branch", ...args]),
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * JSCODEMY Git
+ * Runs git with argument arrays, so file names and messages never go through
+ * a shell and can't break the command (spaces, quotes, $, backticks, ...)
+ */
+
+import { execFileSync, spawn } from "child_process";
+
+// Diffs and logs of large changes outgrow the 1 MB default
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+// A git command that exited with an error
+export class GitError extends Error {
+  constructor(args, error) {
+    const stderr = String(error.stderr || "").trim();
+    super(`git ${args[0]} failed${stderr ? `: ${stderr}` : ""}`);
+    this.name = "GitError";
+    this.args = args;
+    this.exitCode = error.status ?? null;
+    this.stderr = stderr;
+  }
+}
+
+const withEnv = (env) => (env ? { ...process.env, ...env } : process.env);
+
+// Run git and return its output, e.g., git(["diff", "--cached", "-z"]).
+// `input` is written to its stdin. Throws a GitError when git fails.
+export function git(args, { input, env } = {}) {
+  try {
+    return execFileSync("git", args, {
+      encoding: "utf-8",
+      input,
+      env: withEnv(env),
+      stdio: "pipe",
+      maxBuffer: MAX_BUFFER,
+    });
+  } catch (error) {
+    throw new GitError(args, error);
+  }
+}
+
+// Run git for its exit status only, e.g., to check that a ref exists
+export function gitSucceeds(args, options) {
+  try {
+    git(args, options);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Run git with its output shown as-is. Returns whether it succeeded.
+export function gitInherit(args, { input, env } = {}) {
+  try {
+    execFileSync("git", args, {
+      input,
+      env: withEnv(env),
+      stdio: [input === undefined ? "inherit" : "pipe", "inherit", "inherit"],
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Start git without waiting for it, for long commands that report progress
+export function spawnGit(args, { env } = {}) {
+  return spawn("git", args, { env: withEnv(env), stdio: "pipe" });
+}
+
+// Split the NUL-separated output of a -z command
+export function splitNul(output) {
+  return output.split("\0").filter(Boolean);
+}
+
+// Quote a value for the few places where git itself runs a shell command
+// (GIT_SEQUENCE_EDITOR, `exec` lines of a rebase todo list)
+export function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// Name of the checked out branch ("" when HEAD is detached)
+export function getCurrentBranch() {
+  return git(["branch", "--show-current"]).trim();
+}
+
+// Names of all remotes
+export function getRemotes() {
+  return git(["remote"]).split("\n").filter(Boolean);
+}
+
+// Check whether a ref (branch, tag, MERGE_HEAD, ...) exists
+export function refExists(ref) {
+  return gitSucceeds(["rev-parse", "--verify", "--quiet", ref]);
+}
@@ -0,0 +1,169 @@
+/**
+ * JSCODEMY Globs
+ * Matches paths against .gitignore-style glob patterns, e.g.,
+ * "src/*.{js,jsx} !src/legacy.js"
+ */
+
+// Split "a/*.js, b/** !b/x" into patterns. Commas inside braces belong to
+// the pattern, and a backslash keeps a space ("my\ file.txt").
+export function splitPatterns(input) {
+  const patterns = [];
+  let current = "";
+  let depth = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === "\\" && i + 1 < input.length) {
+      current += char + input[++i];
+      continue;
+    }
+
+    if (char === "{") depth++;
+    if (char === "}") depth = Math.max(depth - 1, 0);
+
+    if (/\s/.test(char) || (char === "," && depth === 0)) {
+      if (current) patterns.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) patterns.push(current);
+  return patterns;
+}
+
+// Expand the first (outermost) brace group, then the rest recursively:
+// "src/{a,b/{c,d}}.js" → ["src/a.js", "src/b/c.js", "src/b/d.js"]
+export function expandBraces(pattern) {
+  // The first brace that isn't escaped ("\{a,b}" is literal)
+  let start = -1;
+  for (let i = 0; i < pattern.length && start === -1; i++) {
+    if (pattern[i] === "\\") i++;
+    else if (pattern[i] === "{") start = i;
+  }
+  if (start === -1) return [pattern];
+
+  let depth = 0;
+  const commas = [];
+
+  for (let i = start; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      // A group without commas (e.g., "{a}") is kept as-is
+      if (commas.length === 0) {
+        return expandBraces(pattern.slice(i + 1)).map(
+          (rest) => pattern.slice(0, i + 1) + rest,
+        );
+      }
+
+      const before = pattern.slice(0, start);
+      const after = pattern.slice(i + 1);
+      const bounds = [start, ...commas, i];
+      const options = bounds
+        .slice(0, -1)
+        .map((bound, n) => pattern.slice(bound + 1, bounds[n + 1]));
+
+      return options.flatMap((option) =>
+        expandBraces(`${before}${option}${after}`),
+      );
+    } else if (char === "," && depth === 1) {
+      commas.push(i);
+    }
+  }
+
+  // Unbalanced braces are matched literally
+  return [pattern];
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^$()|{}[\]\\/]/g, "\\$&");
+
+// Turn one brace-free glob into a regular expression for whole paths.
+// Like .gitignore, a pattern without a slash matches at any depth, a
+// leading slash anchors it to the repository root and a trailing slash
+// matches everything inside a directory.
+export function globToRegExp(glob) {
+  let pattern = glob;
+  let directory = false;
+
+  if (pattern.endsWith("/")) {
+    directory = true;
+    pattern = pattern.replace(/\/+$/, "");
+  }
+
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\//, "");
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "\\" && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === "*" && pattern[i + 1] === "*") {
+      const atStart = i === 0 || pattern[i - 1] === "/";
+      const atEnd = i + 2 === pattern.length || pattern[i + 2] === "/";
+      i++;
+
+      if (atStart && pattern[i + 1] === "/") {
+        // "**/" matches zero or more directories
+        source += "(?:[^/]*/)*";
+        i++;
+      } else if (atStart && atEnd) {
+        source += ".*";
+      } else {
+        // "a**b" is two stars in one segment
+        source += "[^/]*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      // "[!a]" and "[^a]" are negated, and a "]" right after "[" or "[!"
+      // is part of the class ("[]a]")
+      const negated = pattern[i + 1] === "!" || pattern[i + 1] === "^";
+      const start = negated ? i + 2 : i + 1;
+      const end = pattern.indexOf("]", start + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        const body = pattern.slice(start, end).replace(/[\\\]^]/g, "\\$&");
+        source += `[${negated ? "^" : ""}${body}]`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  const prefix = anchored ? "^" : "^(?:.*/)?";
+  const suffix = directory ? "/.*$" : "(?:/.*)?$";
+  return new RegExp(`${prefix}${source}${suffix}`);
+}
+
+// Filter paths with a list of patterns. Patterns starting with "!" exclude
+// what earlier ones matched, and the last matching pattern wins. A list
+// that starts with a negation begins from every path.
+export function matchPaths(paths, patterns) {
+  const rules = patterns.map((pattern) => {
+    const negated = pattern.startsWith("!");
+    const glob = negated ? pattern.slice(1) : pattern;
+    return { negated, regExps: expandBraces(glob).map(globToRegExp) };
+  });
+
+  if (rules.length === 0) return [];
+
+  return paths.filter((filePath) =>
+    rules.reduce(
+      (included, { negated, regExps }) =>
+        regExps.some((regExp) => regExp.test(filePath)) ? !negated : included,
+      rules[0].negated,
+    ),
+  );
+}
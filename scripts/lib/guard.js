@@ -0,0 +1,316 @@
+/**
+ * JSCODEMY Guard
+ * Looks for secrets, large files and stray binaries before they are staged
+ * or committed
+ */
+
+import fs from "fs";
+import path from "path";
+
+import convention from "../../jscodemy.config.js";
+import { git, splitNul } from "./git.js";
+import { matchPaths } from "./glob.js";
+import { styles } from "./ui.js";
+
+// Well-known credential formats
+const SECRET_RULES = [
+  {
+    rule: "aws-access-key",
+    message: "AWS access key ID",
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/,
+  },
+  {
+    rule: "aws-secret-key",
+    message: "AWS secret access key",
+    pattern:
+      /aws[\w-]*(?:secret|key)[\w-]*["']?\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/i,
+  },
+  {
+    rule: "github-token",
+    message: "GitHub token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,})\b/,
+  },
+  {
+    rule: "private-key",
+    message: "Private key",
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/,
+  },
+];
+
+// Files that hold secrets whatever is in them
+const SECRET_FILES = [
+  {
+    rule: "env-file",
+    message: "Environment file",
+    test: (name) =>
+      /^\.env(?:\..+)?$/.test(name) &&
+      !/\.(?:example|sample|template)$/.test(name),
+  },
+  {
+    rule: "key-file",
+    message: "Key or certificate store",
+    test: (name) =>
+      /\.(?:pem|key|p12|pfx|jks|keystore)$/.test(name) ||
+      /^id_(?:rsa|dsa|ecdsa|ed25519)$/.test(name),
+  },
+];
+
+// Candidate tokens for the entropy check
+const TOKEN_PATTERN = /[A-Za-z0-9+/_=-]+/g;
+
+// Git treats a file with a NUL byte in its first 8000 bytes as binary
+const BINARY_SNIFF_LENGTH = 8000;
+
+// Bits of information per character
+export function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+// The random-looking token in a line, if any. Tokens need both letters and
+// digits, which keeps identifiers and words out.
+export function findHighEntropyToken(text, options = convention.guard.entropy) {
+  const { minLength, threshold, hexThreshold } = options;
+
+  return (
+    (text.match(TOKEN_PATTERN) || []).find((token) => {
+      if (token.length < minLength) return false;
+      if (!/[A-Za-z]/.test(token) || !/\d/.test(token)) return false;
+
+      const limit = /^[0-9a-f]+$/i.test(token) ? hexThreshold : threshold;
+      return shannonEntropy(token) >= limit;
+    }) || null
+  );
+}
+
+// Show only the start of a secret
+function mask(secret) {
+  return `${secret.slice(0, 4)}${"*".repeat(Math.min(secret.length - 4, 12))}`;
+}
+
+// Scan files described as { filePath, size, binary, lines: [{ number, text }] }
+// and return what was found, with the path and line of each finding
+export function scanFiles(files, guard = convention.guard) {
+  const findings = [];
+
+  files.forEach(({ filePath, size, binary, lines }) => {
+    const name = path.basename(filePath);
+    const add = (finding) =>
+      findings.push({ filePath, line: null, ...finding });
+
+    SECRET_FILES.filter(({ test }) => test(name)).forEach(({ rule, message }) =>
+      add({ rule, message }),
+    );
+
+    if (size > guard.maxFileSize) {
+      add({
+        rule: "large-file",
+        message: `Large file (${formatSize(size)}, limit ${formatSize(guard.maxFileSize)})`,
+      });
+    }
+
+    if (binary) {
+      if (matchPaths([filePath], guard.binaryPaths).length === 0) {
+        add({
+          rule: "binary",
+          message: `Binary file outside ${guard.binaryPaths.join(", ")}`,
+        });
+      }
+      return;
+    }
+
+    lines.forEach(({ number, text }) => {
+      const known = SECRET_RULES.find(({ pattern }) => pattern.test(text));
+      if (known) {
+        const [match] = text.match(known.pattern);
+        add({
+          rule: known.rule,
+          message: known.message,
+          line: number,
+          excerpt: mask(match),
+        });
+        return;
+      }
+
+      const token = findHighEntropyToken(text, guard.entropy);
+      if (token) {
+        add({
+          rule: "high-entropy",
+          message: "High-entropy string",
+          line: number,
+          excerpt: mask(token),
+        });
+      }
+    });
+  });
+
+  return findings;
+}
+
+// Human-readable file size, e.g., 512 KB
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Added lines of a zero-context diff, numbered as in the new file
+function parseAddedLines(diff) {
+  const lines = [];
+  let binary = false;
+  let number = null;
+
+  diff.split("\n").forEach((line) => {
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+
+    if (hunk) {
+      number = Number(hunk[1]);
+    } else if (number === null) {
+      // Still in the header
+      if (/^Binary files .* differ$/.test(line)) binary = true;
+    } else if (line.startsWith("+")) {
+      lines.push({ number, text: line.slice(1) });
+      number++;
+    }
+  });
+
+  return { lines, binary };
+}
+
+// Read a file of the working tree in full
+function readWorktreeFile(filePath) {
+  const content = fs.readFileSync(filePath);
+  const binary = content.subarray(0, BINARY_SNIFF_LENGTH).includes(0);
+
+  return {
+    filePath,
+    size: content.length,
+    binary,
+    lines: binary
+      ? []
+      : content
+          .toString("utf-8")
+          .split("\n")
+          .map((text, i) => ({ number: i + 1, text })),
+  };
+}
+
+const DIFF_ARGS = [
+  "diff",
+  "-U0",
+  "--no-color",
+  "--no-ext-diff",
+  "--no-textconv",
+];
+
+// What staging these paths would add: the unstaged changes of tracked files
+// and the whole of untracked ones (untracked directories are expanded)
+export function collectWorktreeFiles(paths) {
+  if (paths.length === 0) return [];
+
+  const untracked = splitNul(
+    git(["ls-files", "--others", "--exclude-standard", "-z", "--", ...paths]),
+  );
+  const tracked = paths.filter(
+    (filePath) =>
+      !untracked.includes(filePath) &&
+      fs.existsSync(filePath) &&
+      // Submodules are directories; their content isn't ours to scan
+      fs.statSync(filePath).isFile(),
+  );
+
+  return [
+    ...tracked.map((filePath) => ({
+      filePath,
+      size: fs.statSync(filePath).size,
+      ...parseAddedLines(git([...DIFF_ARGS, "--", filePath])),
+    })),
+    ...untracked.map(readWorktreeFile),
+  ];
+}
+
+// What the next commit would add: the staged changes of every file that
+// is added, copied, modified, renamed or retyped
+export function collectStagedFiles() {
+  const paths = splitNul(
+    git(["diff", "--cached", "--name-only", "-z", "--diff-filter=ACMRT"]),
+  );
+
+  return paths.flatMap((filePath) => {
+    let size;
+    try {
+      size = Number(git(["cat-file", "-s", `:${filePath}`]).trim());
+    } catch {
+      // Submodules point to commits of another repository
+      return [];
+    }
+
+    return [
+      {
+        filePath,
+        size,
+        ...parseAddedLines(git([...DIFF_ARGS, "--cached", "--", filePath])),
+      },
+    ];
+  });
+}
+
+// Read the allowlist: one path glob per line, optionally limited to one
+// rule with a ":rule" suffix (e.g., "src/data/fixtures/**:high-entropy")
+export function readAllowlist(guard = convention.guard) {
+  let content;
+  try {
+    const root = git(["rev-parse", "--show-toplevel"]).trim();
+    content = fs.readFileSync(path.join(root, guard.allowlistFile), "utf-8");
+  } catch {
+    return [];
+  }
+
+  return content
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const match = line.match(/^(.*):([a-z-]+)$/);
+      return match
+        ? { pattern: match[1], rule: match[2] }
+        : { pattern: line, rule: null };
+    });
+}
+
+// Drop the findings the allowlist expects
+export function filterAllowed(findings, allowlist) {
+  return findings.filter(
+    (finding) =>
+      !allowlist.some(
+        ({ pattern, rule }) =>
+          (!rule || rule === finding.rule) &&
+          matchPaths([finding.filePath], [pattern]).length > 0,
+      ),
+  );
+}
+
+// Report findings as path:line, rule and a masked excerpt
+export function printFindings(findings, guard = convention.guard) {
+  console.log(
+    styles.error(`\n🔐 The guard found ${findings.length} issue(s):`),
+  );
+
+  findings.forEach(({ filePath, line, rule, message, excerpt }) => {
+    const location = line ? `${filePath}:${line}` : filePath;
+    console.log(
+      `  ${styles.command(location)} ${styles.warning(message)} ${styles.muted(`[${rule}]`)}${excerpt ? ` ${styles.muted(excerpt)}` : ""}`,
+    );
+  });
+
+  console.log(
+    styles.muted(
+      `\nExpected? Add the path (optionally with :rule) to ${guard.allowlistFile}\n`,
+    ),
+  );
+}
@@ -0,0 +1,99 @@
+/**
+ * JSCODEMY Remotes
+ * Upstreams and outgoing commit ranges shared by the push, tidy and status
+ * wizards
+ */
+
+import { git, refExists } from "./git.js";
+
+// Get local branches with their configured upstream, if any
+export function getLocalBranches() {
+  try {
+    const output = git([
+      "for-each-ref",
+      "--format=%(refname:short)%09%(upstream:remotename)%09%(upstream:remoteref)",
+      "refs/heads",
+    ]);
+
+    return output
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [name, remote, remoteRef] = line.split("\t");
+        return {
+          name,
+          upstream:
+            remote && remoteRef
+              ? { remote, branch: remoteRef.replace(/^refs\/heads\//, "") }
+              : null,
+        };
+      });
+  } catch {
+    return [];
+  }
+}
+
+// Get the branch names known on a remote
+export function getRemoteBranchNames(remote) {
+  try {
+    const output = git([
+      "for-each-ref",
+      "--format=%(refname:lstrip=3)",
+      `refs/remotes/${remote}`,
+    ]);
+    return output.split("\n").filter((name) => name && name !== "HEAD");
+  } catch {
+    return [];
+  }
+}
+
+// Count commits ahead of and behind a remote branch (null if it is missing)
+export function getDivergence(localRef, remoteRef) {
+  try {
+    const [ahead, behind] = git([
+      "rev-list",
+      "--left-right",
+      "--count",
+      `${localRef}...${remoteRef}`,
+    ])
+      .trim()
+      .split(/\s+/)
+      .map(Number);
+
+    return { ahead, behind };
+  } catch {
+    return null;
+  }
+}
+
+// Check whether a remote already has the branch (as of the last fetch)
+export function remoteBranchExists(remote, branch) {
+  return refExists(`refs/remotes/${remote}/${branch}`);
+}
+
+// The git log arguments selecting the commits of a local branch that a
+// remote branch doesn't have yet. A branch that is new on the remote is
+// compared with everything the remote already has.
+export function outgoingRange(localRef, remote, remoteBranch) {
+  return remoteBranchExists(remote, remoteBranch)
+    ? [`${remote}/${remoteBranch}..${localRef}`]
+    : [localRef, "--not", `--remotes=${remote}`];
+}
+
+// Where the current branch is pushed by default: its upstream, else a
+// branch of the same name on origin (or the first remote)
+export function getPushTarget(currentBranch, remotes) {
+  const upstream =
+    getLocalBranches().find((branch) => branch.name === currentBranch)
+      ?.upstream || null;
+
+  if (upstream && remotes.includes(upstream.remote)) {
+    return { ...upstream, upstream };
+  }
+
+  return {
+    remote: remotes.includes("origin") ? "origin" : remotes[0],
+    branch: currentBranch,
+    upstream,
+  };
+}
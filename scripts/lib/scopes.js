@@ -0,0 +1,32 @@
+/**
+ * JSCODEMY Scope Suggestions
+ * Infers commit scopes from the paths of the staged files
+ */
+
+import convention from "../../jscodemy.config.js";
+
+// Scope for a single file, from the first matching rule
+export function scopeForFile(filePath, rules = convention.scope.rules) {
+  for (const rule of rules) {
+    const match = filePath.match(rule.pattern);
+    if (match) return rule.scope.replace("$1", match[1] || "").toLowerCase();
+  }
+  return "";
+}
+
+// Scopes touched by the given files, most files first
+export function suggestScopes(files, rules = convention.scope.rules) {
+  const scopes = new Map();
+
+  files.forEach((file) => {
+    const scope = scopeForFile(file, rules);
+    if (!scope) return;
+
+    if (!scopes.has(scope)) scopes.set(scope, { scope, files: [] });
+    scopes.get(scope).files.push(file);
+  });
+
+  return Array.from(scopes.values()).sort(
+    (a, b) => b.files.length - a.files.length,
+  );
+}
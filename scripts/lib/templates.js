@@ -0,0 +1,100 @@
+/**
+ * JSCODEMY Commit Templates
+ * Fills in the commit message templates from the shared convention
+ */
+
+import prompts from "prompts";
+
+import convention from "../../jscodemy.config.js";
+
+// Parts of a template that may hold placeholders
+const TEMPLATE_FIELDS = ["type", "scope", "subject", "body"];
+
+// {package}, {version}, ...
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Find a template by name
+export function findTemplate(name, templates = convention.templates) {
+  return templates.find((template) => template.name === name) || null;
+}
+
+// Names of the placeholders of a template, in order of appearance
+export function getPlaceholders(template) {
+  const names = TEMPLATE_FIELDS.flatMap((field) =>
+    Array.from((template[field] || "").matchAll(PLACEHOLDER_PATTERN)).map(
+      (match) => match[1],
+    ),
+  );
+  return Array.from(new Set(names));
+}
+
+// Replace the placeholders with their values. Placeholders without a value
+// are kept, so they stand out in the preview.
+export function fillTemplate(template, values) {
+  return Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => template[field] !== undefined).map(
+      (field) => [
+        field,
+        template[field].replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+          values[name] ? values[name] : placeholder,
+        ),
+      ],
+    ),
+  );
+}
+
+// Parse --var flags ("package=next") into placeholder values
+export function parseTemplateValues(vars = []) {
+  return Object.fromEntries(
+    [].concat(vars).map((assignment) => {
+      const separator = assignment.indexOf("=");
+      return separator === -1
+        ? [assignment, ""]
+        : [assignment.slice(0, separator), assignment.slice(separator + 1)];
+    }),
+  );
+}
+
+// Ask which template to start from (null for none)
+export async function promptTemplate(
+  onCancel,
+  templates = convention.templates,
+) {
+  if (templates.length === 0) return null;
+
+  const { name } = await prompts(
+    {
+      type: "select",
+      name: "name",
+      message: "Start from a template?",
+      choices: [
+        { title: "No template", value: null },
+        ...templates.map((template) => ({
+          title: template.name,
+          description: template.description,
+          value: template.name,
+        })),
+      ],
+      initial: 0,
+    },
+    { onCancel },
+  );
+
+  return name ? findTemplate(name, templates) : null;
+}
+
+// Ask for the placeholders that have no value yet, then fill the template
+export async function promptTemplateValues(template, values, onCancel) {
+  const missing = getPlaceholders(template).filter((name) => !values[name]);
+
+  const answers = await prompts(
+    missing.map((name) => ({
+      type: "text",
+      name,
+      message: `${name}:`,
+    })),
+    { onCancel },
+  );
+
+  return fillTemplate(template, { ...values, ...answers });
+}
@@ -0,0 +1,86 @@
+/**
+ * JSCODEMY Commit Type Suggestion
+ * Guesses the commit type from what is staged
+ */
+
+import path from "path";
+
+const LOCKFILES = [
+  "package-lock.json",
+  "pnpm-lock.yaml",
+  "yarn.lock",
+  "bun.lockb",
+  "npm-shrinkwrap.json",
+];
+
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+const isMarkdown = (file) => /\.md$/i.test(file);
+
+const isLockfile = (file) => LOCKFILES.includes(path.basename(file));
+
+const isCiFile = (file) =>
+  /^(?:\.husky\/|\.github\/|\.circleci\/)/.test(file) ||
+  /^\.gitlab-ci\.ya?ml$/.test(file);
+
+const isTestFile = (file) =>
+  /\.(?:test|spec)\.[cm]?[jt]sx?$/.test(file) ||
+  /(?:^|\/)(?:__tests__|tests?)\//.test(file);
+
+// True when two package.json contents only differ in their dependencies
+export function onlyDependenciesChanged(before, after) {
+  if (!before || !after) return false;
+
+  const withoutDependencies = (pkg) => {
+    const rest = { ...pkg };
+    DEPENDENCY_FIELDS.forEach((field) => delete rest[field]);
+    return JSON.stringify(rest);
+  };
+
+  return withoutDependencies(before) === withoutDependencies(after);
+}
+
+// Suggest a commit type for the staged changes, or null when nothing stands
+// out. `packageJson` holds the parsed HEAD and staged root package.json when
+// it is staged, and `whitespaceOnly` tells whether the staged diff is empty
+// once whitespace is ignored.
+export function suggestType({ files, packageJson = null, whitespaceOnly }) {
+  if (files.length === 0) return null;
+
+  if (files.every(isMarkdown)) {
+    return { type: "docs", reason: "only Markdown files are staged" };
+  }
+
+  if (files.every(isCiFile)) {
+    return { type: "ci", reason: "only git hooks or CI files are staged" };
+  }
+
+  if (files.every(isTestFile)) {
+    return { type: "test", reason: "only test files are staged" };
+  }
+
+  const dependencyFiles = files.every(
+    (file) =>
+      isLockfile(file) ||
+      (file === "package.json" &&
+        packageJson &&
+        onlyDependenciesChanged(packageJson.before, packageJson.after)),
+  );
+  if (dependencyFiles) {
+    return {
+      type: "build",
+      reason: "only lockfiles or package.json dependencies changed",
+    };
+  }
+
+  if (whitespaceOnly) {
+    return { type: "style", reason: "the staged diff only changes whitespace" };
+  }
+
+  return null;
+}
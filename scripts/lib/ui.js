@@ -0,0 +1,109 @@
+/**
+ * JSCODEMY Terminal UI
+ * The colors, banners and labels shared by every wizard
+ */
+
+// ANSI color codes for styling
+export const styles = {
+  title: (text) => `\x1b[38;5;105m${text}\x1b[0m`,
+  subtitle: (text) => `\x1b[38;5;39m${text}\x1b[0m`,
+  success: (text) => `\x1b[38;5;82m${text}\x1b[0m`,
+  error: (text) => `\x1b[38;5;196m${text}\x1b[0m`,
+  warning: (text) => `\x1b[38;5;214m${text}\x1b[0m`,
+  highlight: (text) => `\x1b[38;5;226m${text}\x1b[0m`,
+  muted: (text) => `\x1b[38;5;245m${text}\x1b[0m`,
+  progress: (text) => `\x1b[38;5;33m${text}\x1b[0m`,
+  command: (text) => `\x1b[38;5;208m${text}\x1b[0m`,
+  added: (text) => `\x1b[38;5;46m${text}\x1b[0m`,
+  modified: (text) => `\x1b[38;5;214m${text}\x1b[0m`,
+  deleted: (text) => `\x1b[38;5;196m${text}\x1b[0m`,
+  untracked: (text) => `\x1b[38;5;39m${text}\x1b[0m`,
+};
+
+// Describe where a branch stands against a remote branch
+export function formatDivergence(divergence) {
+  if (!divergence) return styles.muted("not pushed yet");
+
+  const { ahead, behind } = divergence;
+  if (ahead === 0 && behind === 0) return styles.success("up to date");
+
+  return [
+    ahead > 0 ? styles.success(`↑${ahead}`) : styles.muted("↑0"),
+    behind > 0 ? styles.warning(`↓${behind}`) : styles.muted("↓0"),
+  ].join(" ");
+}
+
+// Label and color of each status letter of git status
+const STATUS_STYLES = {
+  M: ["Modified", styles.modified],
+  T: ["Type changed", styles.modified],
+  A: ["Added", styles.added],
+  D: ["Deleted", styles.deleted],
+  R: ["Renamed", styles.modified],
+  C: ["Copied", styles.added],
+  "?": ["Untracked", styles.untracked],
+  "!": ["Ignored", styles.muted],
+};
+
+// Describe a file from lib/git-status.js as staged ("index") or unstaged
+// ("worktree"), e.g., "[Renamed] old.js → new.js" or "[Conflict: both added]"
+export function formatFileStatus(file, side = "worktree") {
+  const code = file[side];
+  const [label, color] =
+    file.kind === "unmerged"
+      ? [`Conflict: ${file.conflict}`, styles.error]
+      : STATUS_STYLES[code] || [code, styles.muted];
+
+  const paths =
+    file.origPath && (code === "R" || code === "C")
+      ? `${file.origPath} → ${file.filePath}`
+      : file.filePath;
+  const submodule = file.submodule ? styles.muted(" (submodule)") : "";
+
+  return `${color(`[${label}]`)} ${paths}${submodule}`;
+}
+
+const BANNER_WIDTH = 48;
+
+// Columns a string takes in the terminal; emojis are two columns wide
+function displayWidth(text) {
+  return Array.from(text).reduce((width, char) => {
+    const code = char.codePointAt(0);
+    if (code === 0xfe0f || code === 0x200d) return width;
+    if (code >= 0x1f000 || (code >= 0x2600 && code <= 0x27bf)) {
+      return width + 2;
+    }
+    return width + 1;
+  }, 0);
+}
+
+// Display a wizard header, e.g., printBanner("🚀 JSCODEMY PUSH WIZARD 🚀", ...)
+export function printBanner(title, subtitle, hint) {
+  const padding = BANNER_WIDTH - displayWidth(title);
+  const left = " ".repeat(Math.floor(padding / 2));
+  const right = " ".repeat(Math.ceil(padding / 2));
+  const blank = `║${" ".repeat(BANNER_WIDTH)}║`;
+
+  console.log("\n");
+  console.log(styles.title(`╔${"═".repeat(BANNER_WIDTH)}╗`));
+  console.log(styles.title(blank));
+  console.log(styles.title(`║${left}${title}${right}║`));
+  console.log(styles.title(blank));
+  console.log(styles.title(`╚${"═".repeat(BANNER_WIDTH)}╝`));
+  console.log("\n");
+  console.log(styles.subtitle(subtitle));
+  console.log(styles.muted(hint));
+  console.log("\n");
+}
+
+// Display the heading of one step of a flow, e.g., "Step 2/3 · Commit"
+export function printStep(step, total, title) {
+  const heading = ` Step ${step}/${total} · ${title} `;
+  console.log("");
+  console.log(
+    styles.title(
+      `──${heading}${"─".repeat(Math.max(BANNER_WIDTH - heading.length - 2, 0))}`,
+    ),
+  );
+  console.log("");
+}
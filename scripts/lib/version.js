@@ -0,0 +1,88 @@
+/**
+ * JSCODEMY Versioning
+ * Works out the next semantic version from conventional commits
+ */
+
+import convention from "../../jscodemy.config.js";
+
+const BUMP_RANK = { patch: 1, minor: 2, major: 3 };
+
+// Parse "1.2.3" or "1.2.3-beta.4" into its parts
+export function parseVersion(version) {
+  const match = String(version).match(
+    /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+)(?:\.(\d+))?)?$/,
+  );
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    preid: match[4] || "",
+    prerelease: match[5] === undefined ? 0 : Number(match[5]),
+  };
+}
+
+function formatVersion({ major, minor, patch }, preid, prerelease) {
+  const base = `${major}.${minor}.${patch}`;
+  return preid ? `${base}-${preid}.${prerelease}` : base;
+}
+
+// Work out the bump the commits call for, with the reason behind it.
+// Returns null when nothing in the range warrants a release.
+export function getBump(commits) {
+  const breaking = commits.filter((commit) => commit.breaking);
+  if (breaking.length > 0) {
+    return { bump: "major", reason: `${breaking.length} breaking change(s)` };
+  }
+
+  let result = null;
+  Object.entries(convention.release.bumps).forEach(([type, bump]) => {
+    const count = commits.filter((commit) => commit.type === type).length;
+    if (count > 0 && (!result || BUMP_RANK[bump] > BUMP_RANK[result.bump])) {
+      result = { bump, reason: `${count} ${type} commit(s)` };
+    }
+  });
+
+  return result;
+}
+
+// Apply a bump to the current version, optionally on a prerelease channel
+// (e.g., preid "beta" gives 1.3.0-beta.0, then 1.3.0-beta.1, ...)
+export function getNextVersion(currentVersion, bump, preid = "") {
+  const current = parseVersion(currentVersion);
+  if (!current) {
+    throw new Error(`"${currentVersion}" is not a valid semantic version`);
+  }
+
+  // A prerelease already carries the bump that started it (1.3.0-beta.2
+  // came from a minor bump), so smaller or equal bumps stay on that version
+  if (current.preid) {
+    const currentBump =
+      current.patch !== 0 ? "patch" : current.minor !== 0 ? "minor" : "major";
+
+    if (BUMP_RANK[bump] <= BUMP_RANK[currentBump]) {
+      if (!preid) return formatVersion(current);
+
+      return formatVersion(
+        current,
+        preid,
+        preid === current.preid ? current.prerelease + 1 : 0,
+      );
+    }
+  }
+
+  const next = { ...current };
+  if (bump === "major") {
+    next.major += 1;
+    next.minor = 0;
+    next.patch = 0;
+  } else if (bump === "minor") {
+    next.minor += 1;
+    next.patch = 0;
+  } else {
+    next.patch += 1;
+  }
+
+  return formatVersion(next, preid, 0);
+}
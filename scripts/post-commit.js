@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Post-commit Cleanup
+ * Run by the post-commit hook to forget the draft of a message written by
+ * the prepare-commit-msg wizard, now that its commit exists
+ */
+
+import { clearDraft, loadDraft } from "./lib/drafts.js";
+
+// Drafts of the commit wizard are cleared by the wizard itself, and
+// unfinished ones are kept for the next run
+if (loadDraft()?.writtenByHook) clearDraft();
@@ -3,59 +3,18 @@
 import fs from "fs";
 import path from "path";
 import prompts from "prompts";
-import { execSync } from "child_process";
-
-// Configuration
-const COMMIT_TYPES = [
-  { title: "✨ feat", description: "A new feature", value: "feat" },
-  { title: "🐛 fix", description: "A bug fix", value: "fix" },
-  {
-    title: "📚 docs",
-    description: "Documentation only changes",
-    value: "docs",
-  },
-  {
-    title: "💄 style",
-    description: "Changes that do not affect the meaning of the code",
-    value: "style",
-  },
-  {
-    title: "♻️ refactor",
-    description: "A code change that neither fixes a bug nor adds a feature",
-    value: "refactor",
-  },
-  {
-    title: "⚡ perf",
-    description: "A code change that improves performance",
-    value: "perf",
-  },
-  {
-    title: "🧪 test",
-    description: "Adding missing tests or correcting existing tests",
-    value: "test",
-  },
-  {
-    title: "🛠️ build",
-    description:
-      "Changes that affect the build system or external dependencies",
-    value: "build",
-  },
-  {
-    title: "👷 ci",
-    description: "Changes to our CI configuration files and scripts",
-    value: "ci",
-  },
-  {
-    title: "🧹 chore",
-    description: "Other changes that don't modify src or test files",
-    value: "chore",
-  },
-  {
-    title: "⏪ revert",
-    description: "Reverts a previous commit",
-    value: "revert",
-  },
-];
+
+import convention from "../jscodemy.config.js";
+import { clearDraft, loadDraft, saveDraft } from "./lib/drafts.js";
+import { getCurrentBranch } from "./lib/git.js";
+import { promptTemplate, promptTemplateValues } from "./lib/templates.js";
+
+// Commit types from the shared convention
+const COMMIT_TYPES = convention.types.map((type) => ({
+  title: `${type.emoji} ${type.value}`,
+  description: type.description,
+  value: type.value,
+}));
 
 // Get the commit message file path
 const msgFile = process.argv[2];
@@ -93,22 +52,100 @@ if (!process.stdin.isTTY) {
 // Fetch current branch for suggested scope
 let currentBranch = "";
 try {
-  currentBranch = execSync("git branch --show-current").toString().trim();
+  currentBranch = getCurrentBranch();
 } catch {
   console.log("Failed to fetch current branch");
 }
 
 // Extract scope suggestion from branch (e.g., feat/auth-login → auth)
 let scopeSuggestion = "";
-const branchMatch = currentBranch.match(
-  /^(?:feature|feat|fix|docs|style|refactor|perf|test|build|ci|chore|revert)\/([^-]+)/,
-);
+const branchMatch = currentBranch.match(convention.branch.scopePattern);
 if (branchMatch && branchMatch[1]) {
   scopeSuggestion = branchMatch[1];
 }
 
+const cancel = () => {
+  console.log("\n🚫 Commit creation canceled");
+  if (loadDraft()) {
+    console.log("💾 Your answers are saved. Commit again to resume.");
+  }
+  process.exit(1);
+};
+
+// The answers of this wizard as a draft of the commit wizard, so either one
+// can resume it
+function toDraft(answers) {
+  return {
+    type: answers.type,
+    scope: answers.scope,
+    subject: answers.subject,
+    body: answers.body,
+    breaking: Boolean(answers.breaking),
+    breakingMarker: false,
+    breakingBody: answers.breaking,
+    footers: answers.issues ? [{ token: "Closes", value: answers.issues }] : [],
+  };
+}
+
+// And back: a saved draft as the defaults of the prompts below. Footers
+// other than Closes have no prompt here and are left out.
+function fromDraft(draft) {
+  const issues = (draft.footers || []).find(
+    (footer) => footer.token === "Closes",
+  );
+
+  return {
+    type: draft.type,
+    scope: draft.scope,
+    subject: draft.subject,
+    body: draft.body,
+    breaking: draft.breaking
+      ? draft.breakingBody || "Breaking changes introduced"
+      : undefined,
+    issues: issues?.value,
+  };
+}
+
+// Offer to resume the draft of an unfinished commit, from this wizard or
+// the commit wizard. Dismissing it discards it.
+async function resumeDraft() {
+  const savedDraft = loadDraft();
+  if (!savedDraft) return null;
+
+  console.log(
+    "💾 Unfinished commit from",
+    new Date(savedDraft.savedAt).toLocaleString(),
+  );
+  console.log(`  ${savedDraft.type || "?"}: ${savedDraft.subject || "…"}`);
+  console.log("");
+
+  const { resume } = await prompts(
+    {
+      type: "confirm",
+      name: "resume",
+      message: "Resume this draft?",
+      initial: true,
+    },
+    { onCancel: cancel },
+  );
+
+  if (!resume) {
+    clearDraft();
+    return null;
+  }
+
+  return fromDraft(savedDraft);
+}
+
 // Main interactive prompts
 async function promptForCommitMessage() {
+  // A saved draft or a template fills in the defaults of the prompts below
+  let defaults = await resumeDraft();
+  if (!defaults) {
+    const template = await promptTemplate(cancel);
+    defaults = template ? await promptTemplateValues(template, {}, cancel) : {};
+  }
+
   const response = await prompts(
     [
       {
@@ -116,34 +153,41 @@ async function promptForCommitMessage() {
         name: "type",
         message: "Select the type of change you're committing:",
         choices: COMMIT_TYPES,
-        initial: 0,
+        initial: Math.max(
+          COMMIT_TYPES.findIndex((type) => type.value === defaults.type),
+          0,
+        ),
       },
       {
         type: "text",
         name: "scope",
         message: "What is the scope of this change (optional):",
-        initial: scopeSuggestion,
+        initial: defaults.scope ?? scopeSuggestion,
       },
       {
         type: "text",
         name: "subject",
         message: "Write a short, imperative mood description of the change:",
+        initial: defaults.subject,
         validate: (value) => (value.length > 0 ? true : "Subject is required"),
       },
       {
         type: "text",
         name: "body",
         message: "Provide a longer description of the change (optional):",
+        initial: defaults.body,
       },
       {
         type: "text",
         name: "breaking",
         message: "List any breaking changes (optional):",
+        initial: defaults.breaking,
       },
       {
         type: "text",
         name: "issues",
         message: "List any issues closed by this change (optional):",
+        initial: defaults.issues,
       },
       {
         type: "confirm",
@@ -153,17 +197,15 @@ async function promptForCommitMessage() {
       },
     ],
     {
-      onCancel: () => {
-        console.log("\n🚫 Commit creation canceled");
-        process.exit(1);
+      // Saved as they are given, so a canceled wizard can be resumed
+      onSubmit: (prompt, answer, answers) => {
+        if (prompt.name !== "confirmed") saveDraft(toDraft(answers));
       },
+      onCancel: cancel,
     },
   );
 
-  if (!response.confirmed) {
-    console.log("\n🚫 Commit creation canceled");
-    process.exit(1);
-  }
+  if (!response.confirmed) cancel();
 
   // Format scope if provided
   const scope = response.scope ? `(${response.scope})` : "";
@@ -193,6 +235,10 @@ async function promptForCommitMessage() {
   // Write to commit message file
   fs.writeFileSync(msgFile, commitMessage);
 
+  // Kept until the commit exists (the post-commit hook clears it), in case
+  // the message is emptied in the editor or a hook rejects it
+  saveDraft({ ...toDraft(response), writtenByHook: true });
+
   console.log("\n✅ Commit message created successfully!");
   console.log("📝 Message:", commitMessage);
 }
@@ -5,181 +5,296 @@
  * A stylish way to push your commits to remote
  */
 
+import fs from "fs";
 import prompts from "prompts";
-import { execSync, spawn } from "child_process";
-
-// ANSI color codes for styling (matching commit.js style)
-const styles = {
-  title: (text) => `\x1b[38;5;105m${text}\x1b[0m`,
-  subtitle: (text) => `\x1b[38;5;39m${text}\x1b[0m`,
-  success: (text) => `\x1b[38;5;82m${text}\x1b[0m`,
-  error: (text) => `\x1b[38;5;196m${text}\x1b[0m`,
-  warning: (text) => `\x1b[38;5;214m${text}\x1b[0m`,
-  highlight: (text) => `\x1b[38;5;226m${text}\x1b[0m`,
-  muted: (text) => `\x1b[38;5;245m${text}\x1b[0m`,
-  progress: (text) => `\x1b[38;5;33m${text}\x1b[0m`,
-  command: (text) => `\x1b[38;5;208m${text}\x1b[0m`,
-};
+import { execFileSync } from "child_process";
+
+import convention from "../jscodemy.config.js";
+import { confirm, confirmRisky, readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, isDirectRun, runWizard } from "./lib/cli.js";
+import { lintCommitMessage } from "./lib/commitlint.js";
+import {
+  getCurrentBranch,
+  getRemotes,
+  git,
+  gitInherit,
+  spawnGit,
+} from "./lib/git.js";
+import {
+  getDivergence,
+  getLocalBranches,
+  getPushTarget,
+  getRemoteBranchNames,
+  outgoingRange,
+  remoteBranchExists,
+} from "./lib/remotes.js";
+import { formatDivergence, printBanner, styles } from "./lib/ui.js";
 
 // Loading animation characters
 const spinnerFrames = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
 
-// Get current branch
-function getCurrentBranch() {
+// Target branch choice that asks for a new branch name
+const NEW_BRANCH = "\0new-branch";
+
+const cancelPush = () => {
+  console.log(styles.error("\n🚫 Push canceled"));
+  exitWizard(EXIT_CODES.CANCELED);
+};
+
+// Get local tags, newest first
+function getLocalTags() {
   try {
-    return execSync("git branch --show-current", { encoding: "utf-8" }).trim();
-  } catch (error) {
-    console.error(styles.error("Error getting current branch:"), error.message);
-    return null;
+    const output = git(["tag", "--list", "--sort=-creatordate"]);
+    return output.split("\n").filter(Boolean);
+  } catch {
+    return [];
   }
 }
 
-// Get remote branches
-function getRemoteBranches() {
+// Get the tags that exist on a remote
+function getRemoteTags(remote) {
   try {
-    const output = execSync("git remote", { encoding: "utf-8" });
-    return output.split("\n").filter(Boolean);
-  } catch (error) {
-    console.error(styles.error("Error getting remotes:"), error.message);
-    return ["origin"];
+    const output = git(["ls-remote", "--tags", "--refs", remote]);
+
+    return output
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => line.split("\t")[1].replace(/^refs\/tags\//, ""));
+  } catch {
+    return [];
   }
 }
 
+// The remote-tracking refs and the commits they point at, by ref name.
+// Read before fetching, this is the state of the remotes the user has seen.
+function getRemoteRefs() {
+  const output = git([
+    "for-each-ref",
+    "--format=%(refname) %(objectname)",
+    "refs/remotes",
+  ]).trim();
+
+  return new Map(
+    output ? output.split("\n").map((line) => line.split(" ")) : [],
+  );
+}
+
+// Fetch every remote so the ahead/behind counts are up to date.
+// Returns the remotes that could not be fetched.
+function fetchRemotes(remotes) {
+  return remotes.filter((remote) => {
+    try {
+      git(["fetch", "--quiet", remote]);
+      return false;
+    } catch {
+      // Offline, or the remote is unreachable
+      return true;
+    }
+  });
+}
+
 // Check for unpushed commits
-function getUnpushedCommits(branch, remote) {
+function getUnpushedCommits(range) {
   try {
-    const output = execSync(
-      `git log ${remote}/${branch}..${branch} --oneline`,
-      { encoding: "utf-8" },
-    ).trim();
+    const output = git(["log", "--oneline", ...range]).trim();
 
     return output ? output.split("\n") : [];
   } catch {
-    // This can fail if the branch doesn't exist on the remote yet
-    return ["new-branch"];
+    return [];
   }
 }
 
-// Display header
-console.log("\n");
-console.log(styles.title("╔════════════════════════════════════════════════╗"));
-console.log(styles.title("║                                                ║"));
-console.log(
-  styles.title("║             🚀 JSCODEMY PUSH WIZARD 🚀            ║"),
-);
-console.log(styles.title("║                                                ║"));
-console.log(styles.title("╚════════════════════════════════════════════════╝"));
-console.log("\n");
-console.log(styles.subtitle("Push your commits to remote repo"));
-console.log(styles.muted("Follow the prompts to push your changes"));
-console.log("\n");
-
-async function main() {
-  // Get current branch
-  const currentBranch = getCurrentBranch();
-  if (!currentBranch) {
-    console.log(
-      styles.error("❌ Not in a git repository or no branches exist"),
+// Get the full messages of the commits that would be pushed
+function getOutgoingCommits(range) {
+  try {
+    const output = git([
+      "log",
+      "--no-merges",
+      "--format=%h%x1f%B%x1e",
+      ...range,
+    ]);
+
+    return output
+      .split("\x1e")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [hash, message] = entry.split("\x1f");
+        return { hash, message };
+      });
+  } catch {
+    return [];
+  }
+}
+
+// Commits whose messages break the commitlint rules
+async function getInvalidCommits(commits) {
+  const invalid = [];
+
+  for (const commit of commits) {
+    const report = await lintCommitMessage(commit.message);
+    if (!report.valid) invalid.push({ ...commit, errors: report.errors });
+  }
+
+  return invalid;
+}
+
+// Pre-push checks configured in the convention and defined in package.json
+function getAvailableChecks() {
+  try {
+    const { scripts = {} } = JSON.parse(
+      fs.readFileSync("package.json", "utf-8"),
     );
-    process.exit(1);
+    return convention.push.checks.filter((check) => scripts[check]);
+  } catch {
+    return [];
   }
+}
 
-  // Get available remotes
-  const remotes = getRemoteBranches();
-  const defaultRemote = remotes.includes("origin") ? "origin" : remotes[0];
+// Run a package.json script with its output shown as-is
+function runCheck(check) {
+  try {
+    execFileSync("npm", ["run", check], { stdio: "inherit" });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  // Interactive prompts
-  const response = await prompts(
-    [
-      {
-        type: "select",
-        name: "remote",
-        message: "Select remote to push to:",
-        choices: remotes.map((remote) => ({ title: remote, value: remote })),
-        initial: remotes.indexOf(defaultRemote),
-      },
-      {
-        type: "text",
-        name: "branch",
-        message: "Branch to push to remote:",
-        initial: currentBranch,
-      },
-    ],
-    {
-      onCancel: () => {
-        console.log(styles.error("\n🚫 Push canceled"));
-        process.exit(1);
-      },
-    },
+// Bring the branch up to date with its remote before pushing
+function rebaseOnto(remoteRef) {
+  return gitInherit(["rebase", "--autostash", remoteRef]);
+}
+
+// Split a comma-separated flag value into a list
+function splitList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Print a list of commits, up to 5
+function printCommits(commits) {
+  commits.forEach((commit, i) => {
+    if (i < 5) {
+      console.log(styles.muted(`  - ${commit}`));
+    } else if (i === 5) {
+      console.log(
+        styles.muted(`  - ... and ${commits.length - 5} more commits`),
+      );
+    }
+  });
+}
+
+// Protected branches are blocked outright or need a confirmation, which
+// runs without prompts only with --yes
+async function confirmProtectedBranches(branches, nonInteractive) {
+  const { protectedBranches, protectedPolicy } = convention.push;
+  const protectedTargets = branches.filter((branch) =>
+    protectedBranches.includes(branch),
   );
 
-  // Show unpushed commits if any
-  const unpushedCommits = getUnpushedCommits(currentBranch, response.remote);
+  if (protectedTargets.length === 0) return;
 
-  if (unpushedCommits.length > 0 && unpushedCommits[0] !== "new-branch") {
-    console.log(styles.highlight("\n📦 Commits to be pushed:"));
-    unpushedCommits.forEach((commit, i) => {
-      // Limit to show max 5 commits
-      if (i < 5) {
-        console.log(styles.muted(`  - ${commit}`));
-      } else if (i === 5) {
-        console.log(
-          styles.muted(
-            `  - ... and ${unpushedCommits.length - 5} more commits`,
-          ),
-        );
-      }
-    });
-    console.log("\n");
-  } else if (unpushedCommits[0] === "new-branch") {
+  if (protectedPolicy === "block") {
     console.log(
-      styles.highlight("📦 This appears to be a new branch on the remote"),
+      styles.error(
+        `\n❌ ${protectedTargets.join(", ")} is a protected branch. Push to another branch and open a pull request instead.`,
+      ),
     );
-  } else {
-    console.log(styles.warning("⚠️  No unpushed commits detected"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(
+    styles.warning(
+      `\n⚠️  ${protectedTargets.join(", ")} is a protected branch`,
+    ),
+  );
 
-    const { confirmPush } = await prompts({
-      type: "confirm",
-      name: "confirmPush",
-      message: "Continue with push anyway?",
-      initial: false,
+  const confirmProtected = await confirmRisky(
+    nonInteractive,
+    `Push directly to ${protectedTargets.join(", ")} anyway?`,
+  );
+
+  if (!confirmProtected) {
+    console.log(styles.error("\n🚫 Push canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+}
+
+// Warn about commits that don't follow the commit convention
+async function warnInvalidCommits(range) {
+  const invalidCommits = await getInvalidCommits(getOutgoingCommits(range));
+
+  if (invalidCommits.length === 0) return;
+
+  console.log(
+    styles.warning(
+      `⚠️  ${invalidCommits.length} commit(s) don't follow the commit convention:`,
+    ),
+  );
+  invalidCommits.forEach((commit) => {
+    const [header] = commit.message.split("\n");
+    console.log(styles.muted(`  - ${commit.hash} ${header}`));
+    commit.errors.forEach((error) => {
+      console.log(styles.error(`      ${error.message} [${error.name}]`));
     });
+  });
+  console.log("");
+}
 
-    if (!confirmPush) {
-      console.log(styles.error("\n🚫 Push canceled"));
-      process.exit(0);
+// Optional lint/build checks before pushing
+async function runChecks(availableChecks) {
+  if (availableChecks.length === 0) return;
+
+  const { checks = [] } = await prompts(
+    {
+      type: "multiselect",
+      name: "checks",
+      message: "Run checks before pushing:",
+      choices: availableChecks.map((check) => ({
+        title: check,
+        value: check,
+        selected: check === "lint",
+      })),
+      instructions: false,
+      hint: "- Space to select. Return to submit",
+    },
+    { onCancel: cancelPush },
+  );
+
+  for (const check of checks) {
+    console.log(styles.highlight(`\n🔍 Running ${check}...\n`));
+
+    if (!runCheck(check)) {
+      console.log(styles.error(`\n❌ ${check} failed. Fix it before pushing.`));
+      exitWizard(EXIT_CODES.FAILURE);
     }
-  }
 
-  // Build push command
-  const pushCommand = `git push ${response.remote} ${currentBranch}:${response.branch}`;
+    console.log(styles.success(`\n✅ ${check} passed`));
+  }
+}
 
+// Show the push command, confirm it and run it
+async function executePush(pushArgs, description, nonInteractive) {
   // Show push command
   console.log(styles.highlight("\n🔄 Executing:"));
-  console.log(styles.command(`  ${pushCommand}`));
+  console.log(styles.command(`  git ${pushArgs.join(" ")}`));
   console.log("\n");
 
   // Confirm push
-  const { confirmPush } = await prompts({
-    type: "confirm",
-    name: "confirmPush",
-    message: `Push ${currentBranch} to ${response.remote}/${response.branch}?`,
-    initial: true,
-  });
+  const confirmPush = await confirm(nonInteractive, `Push ${description}?`);
 
   if (!confirmPush) {
     console.log(styles.error("\n🚫 Push canceled"));
-    process.exit(0);
+    exitWizard(EXIT_CODES.SUCCESS);
   }
 
   // Execute git push with real-time output
   console.log("");
 
-  const pushProcess = spawn(
-    "git",
-    ["push", response.remote, `${currentBranch}:${response.branch}`],
-    { stdio: "pipe" },
-  );
+  const pushProcess = spawnGit(pushArgs);
 
   let spinnerInterval;
   let spinnerIndex = 0;
@@ -189,7 +304,7 @@ async function main() {
   spinnerInterval = setInterval(() => {
     if (stillRunning) {
       process.stdout.write(
-        `\r${styles.progress(spinnerFrames[spinnerIndex])} Pushing to ${response.remote}/${response.branch}...`,
+        `\r${styles.progress(spinnerFrames[spinnerIndex])} Pushing ${description}...`,
       );
       spinnerIndex = (spinnerIndex + 1) % spinnerFrames.length;
     }
@@ -205,31 +320,637 @@ async function main() {
     output += data.toString();
   });
 
-  pushProcess.on("close", (code) => {
-    stillRunning = false;
-    clearInterval(spinnerInterval);
+  const code = await new Promise((resolve) => {
+    pushProcess.on("close", resolve);
+  });
+
+  stillRunning = false;
+  clearInterval(spinnerInterval);
+
+  // Clear spinner line
+  process.stdout.write("\r" + " ".repeat(80) + "\r");
+
+  if (code === 0) {
+    console.log(styles.success("✅ Push successful!\n"));
+
+    // Format the output with colors
+    const formattedOutput = formatGitOutput(output);
+    console.log(formattedOutput);
+
+    console.log(
+      styles.success("\n🎉 Changes pushed successfully to remote!\n"),
+    );
+  } else {
+    console.log(styles.error("\n❌ Push failed!\n"));
+    console.log(output);
+    console.log(
+      styles.error("\nTry resolving the issues and pushing again.\n"),
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+}
+
+// Push the current branch, several branches or tags
+export async function runPush({ answers, nonInteractive, banner = true }) {
+  if (banner) {
+    printBanner(
+      "🚀 JSCODEMY PUSH WIZARD 🚀",
+      "Push your commits to remote repo",
+      "Follow the prompts to push your changes",
+    );
+  }
+
+  // Empty on a detached HEAD
+  let currentBranch = "";
+  try {
+    currentBranch = getCurrentBranch();
+  } catch {
+    // Not in a git repository
+  }
+  if (!currentBranch) {
+    console.log(
+      styles.error("❌ Not in a git repository or no branches exist"),
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
 
-    // Clear spinner line
-    process.stdout.write("\r" + " ".repeat(80) + "\r");
+  // Get available remotes
+  const remotes = getRemotes();
+  if (remotes.length === 0) {
+    console.log(styles.error("❌ No remotes configured. Add one first:"));
+    console.log(styles.command("  git remote add origin <url>"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  // The upstream of the current branch decides the defaults
+  const localBranches = getLocalBranches();
+  const { remote: defaultRemote, upstream } = getPushTarget(
+    currentBranch,
+    remotes,
+  );
 
-    if (code === 0) {
-      console.log(styles.success("✅ Push successful!\n"));
+  if (answers.remote !== undefined && !remotes.includes(answers.remote)) {
+    console.log(
+      styles.error(`❌ --remote must be one of: ${remotes.join(", ")}`),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
 
-      // Format the output with colors
-      const formattedOutput = formatGitOutput(output);
-      console.log(formattedOutput);
+  if (answers.branch !== undefined && !answers.branch.trim()) {
+    console.log(styles.error("❌ --branch cannot be empty"));
+    exitWizard(EXIT_CODES.USAGE);
+  }
 
+  if (answers.rebase && answers.force) {
+    console.log(styles.error("❌ --rebase and --force cannot be combined"));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  // Several branches (--branches a,b) or tags (--tags v1.0.0,v1.1.0)
+  const flagBranches =
+    answers.branches === undefined ? undefined : splitList(answers.branches);
+  const flagTags =
+    answers.tags === undefined ? undefined : splitList(answers.tags);
+
+  if (flagBranches && flagTags) {
+    console.log(styles.error("❌ --branches and --tags cannot be combined"));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  if ((flagBranches || flagTags) && answers.branch !== undefined) {
+    console.log(
+      styles.error("❌ --branch only applies when pushing the current branch"),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  if ((flagBranches || flagTags) && (answers.rebase || answers.force)) {
+    console.log(
+      styles.error(
+        "❌ --rebase and --force only apply when pushing the current branch",
+      ),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const unknownBranches = (flagBranches || []).filter(
+    (name) => !localBranches.some((branch) => branch.name === name),
+  );
+  if (unknownBranches.length > 0) {
+    console.log(
+      styles.error(`❌ Unknown branch: ${unknownBranches.join(", ")}`),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const localTags = getLocalTags();
+  const unknownTags = (flagTags || []).filter(
+    (tag) => !localTags.includes(tag),
+  );
+  if (unknownTags.length > 0) {
+    console.log(styles.error(`❌ Unknown tag: ${unknownTags.join(", ")}`));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  // Checks may be given as a comma-separated list, or "none"
+  const availableChecks = getAvailableChecks();
+  const flagChecks =
+    answers.checks === undefined
+      ? undefined
+      : splitList(answers.checks).filter((check) => check !== "none");
+
+  const unknownChecks = (flagChecks || []).filter(
+    (check) => !availableChecks.includes(check),
+  );
+  if (unknownChecks.length > 0) {
+    console.log(
+      styles.error(
+        `❌ Unknown check: ${unknownChecks.join(", ")}. Available checks: ${availableChecks.join(", ") || "none"}`,
+      ),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  // Where the current branch stands on every remote
+  const seenRemoteRefs = getRemoteRefs();
+  console.log(styles.progress("🔄 Fetching remotes..."));
+  const unreachable = fetchRemotes(remotes);
+  unreachable.forEach((remote) => {
+    console.log(
+      styles.warning(`⚠️  Could not fetch ${remote}, its counts may be stale`),
+    );
+  });
+
+  console.log(styles.highlight(`\n📡 ${currentBranch} on each remote:`));
+  remotes.forEach((remote) => {
+    const remoteBranch =
+      upstream?.remote === remote ? upstream.branch : currentBranch;
+    const divergence = remoteBranchExists(remote, remoteBranch)
+      ? getDivergence(currentBranch, `${remote}/${remoteBranch}`)
+      : null;
+    const tracking =
+      upstream?.remote === remote ? styles.muted(" (upstream)") : "";
+
+    console.log(
+      `  ${styles.command(`${remote}/${remoteBranch}`)}  ${formatDivergence(divergence)}${tracking}`,
+    );
+  });
+  console.log("");
+
+  // Pre-answer the prompts covered by flags, or take the defaults when
+  // running non-interactively
+  prompts.override({
+    ...(nonInteractive && {
+      mode: "current",
+      remote: defaultRemote,
+      branch:
+        upstream?.remote === (answers.remote ?? defaultRemote)
+          ? upstream.branch
+          : currentBranch,
+      setUpstream: Boolean(answers["set-upstream"]),
+      checks: [],
+      behindAction: "cancel",
+    }),
+    ...(flagBranches && { mode: "branches", pushBranches: flagBranches }),
+    ...(flagTags && { mode: "tags", pushTags: flagTags }),
+    ...(answers.remote !== undefined && { remote: answers.remote }),
+    ...(answers.branch !== undefined && { branch: answers.branch.trim() }),
+    ...(answers["set-upstream"] && { setUpstream: true }),
+    ...(flagChecks !== undefined && { checks: flagChecks }),
+    ...(answers.rebase && { behindAction: "rebase" }),
+    ...(answers.force && { behindAction: "force" }),
+  });
+
+  // Interactive prompts
+  const response = await prompts(
+    [
+      {
+        type: "select",
+        name: "mode",
+        message: "What do you want to push?",
+        choices: [
+          { title: `Current branch (${currentBranch})`, value: "current" },
+          { title: "Several branches", value: "branches" },
+          { title: "Tags", value: "tags" },
+        ],
+        initial: 0,
+      },
+      {
+        type: "select",
+        name: "remote",
+        message: "Select remote to push to:",
+        choices: remotes.map((remote) => ({ title: remote, value: remote })),
+        initial: remotes.indexOf(defaultRemote),
+      },
+    ],
+    { onCancel: cancelPush },
+  );
+
+  if (response.mode === "branches") {
+    await pushBranches({
+      remote: response.remote,
+      localBranches,
+      availableChecks,
+      nonInteractive,
+    });
+  } else if (response.mode === "tags") {
+    await pushTags({ remote: response.remote, localTags, nonInteractive });
+  } else {
+    await pushCurrentBranch({
+      remote: response.remote,
+      currentBranch,
+      upstream,
+      availableChecks,
+      force: Boolean(answers.force),
+      seenRemoteRefs,
+      nonInteractive,
+    });
+  }
+}
+
+// Push the current branch, optionally to a differently named branch
+async function pushCurrentBranch({
+  remote,
+  currentBranch,
+  upstream,
+  availableChecks,
+  force,
+  seenRemoteRefs,
+  nonInteractive,
+}) {
+  // Existing remote branches are offered as targets, the tracked one first
+  const trackedBranch =
+    upstream?.remote === remote ? upstream.branch : currentBranch;
+  const remoteBranches = getRemoteBranchNames(remote);
+  const targets = [
+    trackedBranch,
+    ...remoteBranches.filter((branch) => branch !== trackedBranch),
+  ];
+
+  const response = await prompts(
+    [
+      {
+        type: "select",
+        name: "branch",
+        message: "Branch to push to remote:",
+        choices: [
+          ...targets.map((branch) => ({
+            title: remoteBranches.includes(branch)
+              ? branch
+              : `${branch} ${styles.muted("(new)")}`,
+            value: branch,
+          })),
+          { title: "✏️  Another branch name", value: NEW_BRANCH },
+        ],
+        initial: 0,
+      },
+      {
+        type: (prev) => (prev === NEW_BRANCH ? "text" : null),
+        name: "customBranch",
+        message: "Name of the remote branch:",
+        validate: (value) =>
+          value.trim() ? true : "Branch name cannot be empty",
+        format: (value) => value.trim(),
+      },
+    ],
+    { onCancel: cancelPush },
+  );
+
+  const branch = response.customBranch || response.branch;
+  const remoteRef = `${remote}/${branch}`;
+  const isProtected = convention.push.protectedBranches.includes(branch);
+
+  await confirmProtectedBranches([branch], nonInteractive);
+
+  // Compare with the remote branch before pushing
+  const divergence = remoteBranchExists(remote, branch)
+    ? getDivergence(currentBranch, remoteRef)
+    : null;
+
+  if (divergence && divergence.behind > 0) {
+    console.log(
+      styles.warning(
+        `⚠️  ${currentBranch} is ${divergence.behind} commit(s) behind ${remoteRef}`,
+      ),
+    );
+
+    const { behindAction } = await prompts(
+      {
+        type: "select",
+        name: "behindAction",
+        message: "How do you want to continue?",
+        choices: [
+          {
+            title: `Rebase onto ${remoteRef} first`,
+            value: "rebase",
+          },
+          {
+            title: "Force push with --force-with-lease",
+            description: "Overwrites the commits on the remote branch",
+            value: "force",
+          },
+          { title: "Cancel", value: "cancel" },
+        ],
+        initial: 0,
+      },
+      { onCancel: cancelPush },
+    );
+
+    if (behindAction === "cancel") {
       console.log(
-        styles.success("\n🎉 Changes pushed successfully to remote!\n"),
+        styles.error(
+          `\n🚫 Push canceled. Rebase onto ${remoteRef} first, or pass --rebase or --force.`,
+        ),
       );
+      exitWizard(EXIT_CODES.FAILURE);
+    }
+
+    if (behindAction === "rebase") {
+      console.log(styles.highlight(`\n🔄 Rebasing onto ${remoteRef}...\n`));
+
+      if (!rebaseOnto(remoteRef)) {
+        console.log(
+          styles.error(
+            "\n❌ Rebase stopped. Resolve the conflicts and run git rebase --continue, or git rebase --abort to go back.",
+          ),
+        );
+        exitWizard(EXIT_CODES.FAILURE);
+      }
+
+      console.log(styles.success(`\n✅ Rebased onto ${remoteRef}`));
+      force = false;
     } else {
-      console.log(styles.error("\n❌ Push failed!\n"));
-      console.log(output);
+      force = true;
+    }
+  }
+
+  // Force pushes always go through --force-with-lease, never to protected
+  // branches, and only after an explicit confirmation (--yes without prompts)
+  if (force) {
+    if (isProtected) {
       console.log(
-        styles.error("\nTry resolving the issues and pushing again.\n"),
+        styles.error(
+          `\n❌ Force pushing to the protected branch ${branch} is not allowed`,
+        ),
+      );
+      exitWizard(EXIT_CODES.FAILURE);
+    }
+
+    console.log(
+      styles.warning(
+        `\n⚠️  Force pushing replaces ${remoteRef} with your local ${currentBranch}`,
+      ),
+    );
+
+    let confirmForce;
+    if (nonInteractive) {
+      confirmForce = await confirmRisky(
+        nonInteractive,
+        `Force push to ${remoteRef}?`,
+      );
+    } else {
+      const { typedBranch } = await prompts(
+        {
+          type: "text",
+          name: "typedBranch",
+          message: `Type "${branch}" to confirm the force push:`,
+        },
+        { onCancel: cancelPush },
       );
+      confirmForce = typedBranch === branch;
     }
+
+    if (!confirmForce) {
+      console.log(styles.error("\n🚫 Push canceled"));
+      exitWizard(EXIT_CODES.SUCCESS);
+    }
+  }
+
+  // Show unpushed commits if any
+  const range = outgoingRange(currentBranch, remote, branch);
+  const unpushedCommits = getUnpushedCommits(range);
+
+  if (!remoteBranchExists(remote, branch)) {
+    console.log(
+      styles.highlight(`\n📦 ${branch} is a new branch on ${remote}`),
+    );
+  }
+
+  if (unpushedCommits.length > 0) {
+    console.log(styles.highlight("\n📦 Commits to be pushed:"));
+    printCommits(unpushedCommits);
+    console.log("\n");
+  } else {
+    console.log(styles.warning("⚠️  No unpushed commits detected"));
+
+    const confirmPush = await confirm(
+      nonInteractive,
+      "Continue with push anyway?",
+      false,
+    );
+
+    if (!confirmPush) {
+      console.log(styles.error("\n🚫 Push canceled"));
+      exitWizard(EXIT_CODES.SUCCESS);
+    }
+  }
+
+  await warnInvalidCommits(range);
+
+  // A first push can start tracking the remote branch
+  const { setUpstream = false } = upstream
+    ? {}
+    : await prompts(
+        {
+          type: "confirm",
+          name: "setUpstream",
+          message: `Track ${remoteRef} as the upstream of ${currentBranch}?`,
+          initial: true,
+        },
+        { onCancel: cancelPush },
+      );
+
+  await runChecks(availableChecks);
+
+  // The lease expects the remote branch where it was before fetching (or
+  // missing, if it was unknown then), so commits fetched just now and never
+  // looked at are not overwritten
+  const seenSha = seenRemoteRefs.get(`refs/remotes/${remoteRef}`) ?? "";
+  const lease = `refs/heads/${branch}:${seenSha}`;
+
+  // Build push command
+  const pushArgs = [
+    "push",
+    ...(force ? [`--force-with-lease=${lease}`] : []),
+    ...(setUpstream ? ["--set-upstream"] : []),
+    remote,
+    `${currentBranch}:${branch}`,
+  ];
+
+  await executePush(
+    pushArgs,
+    `${currentBranch} to ${remoteRef}`,
+    nonInteractive,
+  );
+}
+
+// Push several local branches to branches of the same name
+async function pushBranches({
+  remote,
+  localBranches,
+  availableChecks,
+  nonInteractive,
+}) {
+  // Each branch is compared with its upstream on this remote, or with the
+  // branch of the same name
+  const candidates = localBranches.map((branch) => {
+    const remoteBranch =
+      branch.upstream?.remote === remote ? branch.upstream.branch : branch.name;
+    const divergence = remoteBranchExists(remote, remoteBranch)
+      ? getDivergence(branch.name, `${remote}/${remoteBranch}`)
+      : null;
+
+    return { ...branch, remoteBranch, divergence };
+  });
+
+  const { pushBranches: selected = [] } = await prompts(
+    {
+      type: "multiselect",
+      name: "pushBranches",
+      message: `Select branches to push to ${remote}:`,
+      choices: candidates.map((branch) => ({
+        title: `${branch.name}  ${formatDivergence(branch.divergence)}`,
+        value: branch.name,
+        selected: !branch.divergence || branch.divergence.ahead > 0,
+      })),
+      instructions: false,
+      hint: "- Space to select. Return to submit",
+      min: 1,
+    },
+    { onCancel: cancelPush },
+  );
+
+  // Branches behind their remote would be rejected; they are left out
+  const branches = candidates.filter((branch) =>
+    selected.includes(branch.name),
+  );
+  const behind = branches.filter((branch) => branch.divergence?.behind > 0);
+  const toPush = branches.filter((branch) => !behind.includes(branch));
+
+  behind.forEach((branch) => {
+    console.log(
+      styles.warning(
+        `⚠️  Skipping ${branch.name}: ${branch.divergence.behind} commit(s) behind ${remote}/${branch.remoteBranch}. Rebase it and push it on its own.`,
+      ),
+    );
   });
+
+  if (toPush.length === 0) {
+    console.log(styles.error("\n❌ Nothing left to push"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  await confirmProtectedBranches(
+    toPush.map((branch) => branch.remoteBranch),
+    nonInteractive,
+  );
+
+  // Show unpushed commits per branch
+  for (const branch of toPush) {
+    const range = outgoingRange(branch.name, remote, branch.remoteBranch);
+    const unpushedCommits = getUnpushedCommits(range);
+
+    console.log(
+      styles.highlight(
+        `\n📦 ${branch.name} → ${remote}/${branch.remoteBranch}${branch.divergence ? "" : " (new)"}`,
+      ),
+    );
+
+    if (unpushedCommits.length > 0) {
+      printCommits(unpushedCommits);
+    } else {
+      console.log(styles.muted("  - No unpushed commits"));
+    }
+    console.log("");
+
+    await warnInvalidCommits(range);
+  }
+
+  // First pushes can start tracking their remote branches
+  const untracked = toPush.filter((branch) => !branch.upstream);
+  const { setUpstream = false } =
+    untracked.length > 0
+      ? await prompts(
+          {
+            type: "confirm",
+            name: "setUpstream",
+            message: `Track ${remote} for ${untracked.map((branch) => branch.name).join(", ")}?`,
+            initial: true,
+          },
+          { onCancel: cancelPush },
+        )
+      : {};
+
+  await runChecks(availableChecks);
+
+  const pushArgs = [
+    "push",
+    ...(setUpstream ? ["--set-upstream"] : []),
+    remote,
+    ...toPush.map((branch) => `${branch.name}:${branch.remoteBranch}`),
+  ];
+
+  await executePush(
+    pushArgs,
+    `${toPush.length} branch(es) to ${remote}`,
+    nonInteractive,
+  );
+}
+
+// Push local tags that the remote doesn't have yet
+async function pushTags({ remote, localTags, nonInteractive }) {
+  const remoteTags = getRemoteTags(remote);
+  const unpushedTags = localTags.filter((tag) => !remoteTags.includes(tag));
+
+  if (unpushedTags.length === 0) {
+    console.log(styles.warning(`⚠️  Every local tag is already on ${remote}`));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  const { pushTags: tags = [] } = await prompts(
+    {
+      type: "multiselect",
+      name: "pushTags",
+      message: `Select tags to push to ${remote}:`,
+      choices: unpushedTags.map((tag, index) => ({
+        title: tag,
+        value: tag,
+        selected: index === 0,
+      })),
+      instructions: false,
+      hint: "- Space to select. Return to submit",
+      min: 1,
+    },
+    { onCancel: cancelPush },
+  );
+
+  const alreadyPushed = tags.filter((tag) => remoteTags.includes(tag));
+  if (alreadyPushed.length > 0) {
+    console.log(
+      styles.error(
+        `❌ Already on ${remote}: ${alreadyPushed.join(", ")}. Tags are not overwritten.`,
+      ),
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  const pushArgs = ["push", remote, ...tags.map((tag) => `refs/tags/${tag}`)];
+
+  await executePush(
+    pushArgs,
+    `${tags.length} tag(s) to ${remote}`,
+    nonInteractive,
+  );
 }
 
 // Format git push output with colors
@@ -260,7 +981,6 @@ function formatGitOutput(output) {
   return formattedOutput;
 }
 
-main().catch((err) => {
-  console.error(styles.error("❌ Error:"), err);
-  process.exit(1);
-});
+if (isDirectRun(import.meta.url)) {
+  runWizard(() => runPush(readAnswers()));
+}
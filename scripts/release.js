@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Interactive Release CLI
+ * Turns the conventional commit history into versions, tags and release notes
+ */
+
+import fs from "fs";
+import prompts from "prompts";
+
+import convention from "../jscodemy.config.js";
+import { confirm, readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, isDirectRun, runWizard } from "./lib/cli.js";
+import { git, gitInherit, gitSucceeds } from "./lib/git.js";
+import {
+  groupCommits,
+  parseCommit,
+  prependToChangelog,
+  renderMarkdown,
+  toRepoUrl,
+} from "./lib/changelog.js";
+import { lintCommitMessage } from "./lib/commitlint.js";
+import { printBanner, styles } from "./lib/ui.js";
+import { getBump, getNextVersion } from "./lib/version.js";
+
+const CHANGELOG_FILE = "CHANGELOG.md";
+const PACKAGE_FILE = "package.json";
+
+// Output formats
+const FORMATS = [
+  { title: `Prepend to ${CHANGELOG_FILE}`, value: "changelog" },
+  { title: "Print Markdown release notes", value: "markdown" },
+  { title: "Print JSON release notes", value: "json" },
+];
+
+// Everything the wizard can do, cutting a release first
+const ACTIONS = [
+  {
+    title: "Cut a release (version, changelog, commit, tag)",
+    value: "release",
+  },
+  ...FORMATS,
+];
+
+// Get the most recent release tag reachable from HEAD
+function getLatestTag() {
+  try {
+    return git([
+      "describe",
+      "--tags",
+      "--abbrev=0",
+      "--match",
+      `${convention.release.tagPrefix}*`,
+    ]).trim();
+  } catch {
+    // No tags yet
+    return "";
+  }
+}
+
+// Check that a ref points to a commit
+function isValidRef(ref) {
+  return gitSucceeds(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]);
+}
+
+// Get the commit messages in a range, oldest last
+function getCommits(from, to) {
+  const range = from ? `${from}..${to}` : to;
+  const output = git(["log", "--no-merges", "--format=%H%x1f%B%x1e", range]);
+
+  return output
+    .split("\x1e")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [hash, message] = entry.split("\x1f");
+      return { hash, message };
+    });
+}
+
+// Web URL of the origin remote, used to link commits and issues
+function getRepoUrl() {
+  try {
+    return toRepoUrl(git(["remote", "get-url", "origin"]));
+  } catch {
+    return "";
+  }
+}
+
+// Check for uncommitted changes to tracked files
+function hasUncommittedChanges() {
+  return git(["status", "--porcelain", "--untracked-files=no"]).trim() !== "";
+}
+
+// Write release notes, or cut a release with a version bump and a tag
+export async function runRelease({ answers, nonInteractive, banner = true }) {
+  // Keep stdout clean for machine consumers of the JSON notes
+  const quiet = answers.format === "json";
+  if (!quiet && banner) {
+    printBanner(
+      "📦 JSCODEMY RELEASE WIZARD 📦",
+      "Generate release notes from your commits",
+      "Follow the prompts to update the changelog",
+    );
+  }
+
+  const dryRun = Boolean(answers["dry-run"]);
+
+  if (
+    answers.format !== undefined &&
+    !FORMATS.some((format) => format.value === answers.format)
+  ) {
+    console.log(
+      styles.error(
+        `❌ --format must be one of: ${FORMATS.map((format) => format.value).join(", ")}`,
+      ),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const latestTag = getLatestTag();
+  if (!quiet) {
+    if (latestTag) {
+      console.log(
+        styles.highlight("🏷️  Latest tag:"),
+        styles.command(latestTag),
+      );
+    } else {
+      console.log(styles.warning("⚠️  No tags found, using the full history"));
+    }
+    console.log("");
+  }
+
+  // Pre-answer the prompts covered by flags, or take the defaults when
+  // running non-interactively
+  prompts.override({
+    ...(nonInteractive && {
+      action: "changelog",
+      from: latestTag,
+      to: "HEAD",
+    }),
+    ...(answers.format !== undefined && { action: answers.format }),
+    ...(answers.release && { action: "release", from: latestTag }),
+    ...(answers.from !== undefined && { from: answers.from }),
+    ...(answers.to !== undefined && { to: answers.to }),
+  });
+
+  const response = await prompts(
+    [
+      {
+        type: "select",
+        name: "action",
+        message: "What would you like to do?",
+        choices: ACTIONS,
+        initial: 0,
+      },
+      {
+        type: "text",
+        name: "from",
+        message: "Start of the range (exclusive, empty for all history):",
+        initial: latestTag,
+      },
+      {
+        // Releases always cover everything up to HEAD
+        type: (prev, values) => (values.action === "release" ? null : "text"),
+        name: "to",
+        message: "End of the range:",
+        initial: "HEAD",
+      },
+    ],
+    {
+      onCancel: () => {
+        console.log(styles.error("\n🚫 Release notes canceled"));
+        exitWizard(EXIT_CODES.CANCELED);
+      },
+    },
+  );
+
+  const from = (response.from || "").trim();
+  const to =
+    response.action === "release" ? "HEAD" : (response.to || "HEAD").trim();
+
+  const invalidRef = [from, to].find((ref) => ref && !isValidRef(ref));
+  if (invalidRef) {
+    console.error(styles.error(`❌ Unknown revision: ${invalidRef}`));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  // Parse the history, leaving out commits that don't follow the convention
+  const history = getCommits(from, to);
+  const commits = history
+    .map(({ hash, message }) => parseCommit(hash, message))
+    .filter(Boolean);
+  const skipped = history.length - commits.length;
+
+  const notes = {
+    title: to === "HEAD" ? "Unreleased" : to,
+    date: new Date().toISOString().slice(0, 10),
+    range: from ? `${from}..${to}` : to,
+    ...groupCommits(commits),
+  };
+
+  if (response.action === "release") {
+    await cutRelease({
+      from,
+      commits,
+      nonInteractive,
+      dryRun,
+      preid: answers.prerelease,
+    });
+    return;
+  }
+
+  if (response.action === "json") {
+    console.log(JSON.stringify(notes, null, 2));
+    return;
+  }
+
+  const markdown = renderMarkdown(notes, getRepoUrl());
+
+  if (skipped > 0) {
+    console.log(
+      styles.muted(
+        `ℹ️  Skipped ${skipped} commit(s) that don't follow the commit convention\n`,
+      ),
+    );
+  }
+
+  if (response.action === "markdown") {
+    console.log(markdown);
+    return;
+  }
+
+  // Preview the changelog entry
+  console.log(styles.highlight(`📝 New ${CHANGELOG_FILE} entry:\n`));
+  markdown
+    .split("\n")
+    .forEach((line) => console.log(styles.muted(`  ${line}`)));
+
+  const confirmWrite = await confirm(
+    nonInteractive,
+    `Prepend this entry to ${CHANGELOG_FILE}?`,
+  );
+
+  if (!confirmWrite) {
+    console.log(styles.error("\n🚫 Changelog update canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  const existing = fs.existsSync(CHANGELOG_FILE)
+    ? fs.readFileSync(CHANGELOG_FILE, "utf-8")
+    : "";
+  fs.writeFileSync(CHANGELOG_FILE, prependToChangelog(existing, markdown));
+
+  console.log(styles.success(`\n✅ ${CHANGELOG_FILE} updated successfully!`));
+}
+
+// Bump the version, update the changelog, then commit and tag the release
+async function cutRelease({ from, commits, nonInteractive, dryRun, preid }) {
+  const pkg = JSON.parse(fs.readFileSync(PACKAGE_FILE, "utf-8"));
+  const bump = getBump(commits);
+
+  if (!bump) {
+    console.log(
+      styles.warning("⚠️  No feat, fix, perf or breaking commits since"),
+      styles.command(from || "the first commit"),
+    );
+    console.log(styles.muted("Nothing to release"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  // Ask for the prerelease channel unless it was given as a flag
+  if (preid === undefined && !nonInteractive) {
+    ({ preid } = await prompts({
+      type: "text",
+      name: "preid",
+      message: "Prerelease channel (e.g., beta, empty for a stable release):",
+      validate: (value) =>
+        /^[0-9A-Za-z-]*$/.test(value) || "Use letters, digits and hyphens only",
+    }));
+  }
+
+  preid = (preid || "").trim();
+  if (!/^[0-9A-Za-z-]*$/.test(preid)) {
+    console.log(styles.error(`❌ Invalid prerelease channel: ${preid}`));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  const version = getNextVersion(pkg.version, bump.bump, preid);
+  const tag = `${convention.release.tagPrefix}${version}`;
+  const commitMessage = `chore(release): Release ${tag}`;
+
+  const notes = renderMarkdown(
+    {
+      title: tag,
+      date: new Date().toISOString().slice(0, 10),
+      ...groupCommits(commits),
+    },
+    getRepoUrl(),
+  );
+
+  // Show the plan
+  console.log(styles.highlight("📋 Release plan:"));
+  console.log(
+    styles.muted("  Version:   "),
+    `${pkg.version} → ${styles.success(version)}`,
+    styles.muted(`(${bump.bump}: ${bump.reason})`),
+  );
+  console.log(styles.muted("  Commits:   "), commits.length);
+  console.log(
+    styles.muted("  Files:     "),
+    `${PACKAGE_FILE}, ${CHANGELOG_FILE}`,
+  );
+  console.log(styles.muted("  Commit:    "), styles.command(commitMessage));
+  console.log(
+    styles.muted("  Tag:       "),
+    styles.command(tag),
+    "(annotated)",
+  );
+  console.log("");
+  console.log(styles.highlight(`📝 New ${CHANGELOG_FILE} entry:\n`));
+  notes.split("\n").forEach((line) => console.log(styles.muted(`  ${line}`)));
+
+  if (dryRun) {
+    console.log(styles.success("✅ Dry run complete, nothing was changed"));
+    return;
+  }
+
+  // The release commit must only contain the release itself
+  if (hasUncommittedChanges()) {
+    console.log(
+      styles.error("❌ Commit or stash your changes before cutting a release"),
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  // The release commit goes through the same rules as every other commit
+  const report = await lintCommitMessage(commitMessage);
+  if (!report.valid) {
+    report.errors.forEach((error) => {
+      console.log(
+        styles.error(`❌ ${error.message}`),
+        styles.muted(`[${error.name}]`),
+      );
+    });
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  const confirmRelease = await confirm(nonInteractive, `Release ${tag}?`);
+  if (!confirmRelease) {
+    console.log(styles.error("\n🚫 Release canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  console.log("");
+
+  // Update package.json and the changelog
+  pkg.version = version;
+  fs.writeFileSync(PACKAGE_FILE, `${JSON.stringify(pkg, null, 2)}\n`);
+
+  const existing = fs.existsSync(CHANGELOG_FILE)
+    ? fs.readFileSync(CHANGELOG_FILE, "utf-8")
+    : "";
+  fs.writeFileSync(CHANGELOG_FILE, prependToChangelog(existing, notes));
+
+  // Commit and tag
+  git(["add", "--", PACKAGE_FILE, CHANGELOG_FILE]);
+  if (!gitInherit(["commit", "-F", "-"], { input: commitMessage })) {
+    console.log(styles.error("\n❌ Could not commit the release"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+  git(["tag", "-a", tag, "--cleanup=whitespace", "-F", "-"], {
+    input: `Release ${tag}\n\n${notes}`,
+  });
+
+  console.log(styles.success(`\n✅ Released ${tag}!`));
+  console.log(
+    styles.muted(`\nRun 'git push --follow-tags' to publish the release.`),
+  );
+}
+
+if (isDirectRun(import.meta.url)) {
+  runWizard(() => runRelease(readAnswers()));
+}
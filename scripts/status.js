@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Status CLI
+ * Shows where the current branch stands and what to do next
+ */
+
+import { readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, isDirectRun, runWizard } from "./lib/cli.js";
+import { getCurrentBranch, getRemotes, refExists } from "./lib/git.js";
+import { getStatus } from "./lib/git-status.js";
+import { getDivergence, getPushTarget } from "./lib/remotes.js";
+import {
+  formatDivergence,
+  formatFileStatus,
+  printBanner,
+  styles,
+} from "./lib/ui.js";
+
+// Split the working tree changes into staged, unstaged and untracked files.
+// A partly staged file is in both the staged and the unstaged list.
+function getWorkingTree() {
+  const tree = { staged: [], unstaged: [], untracked: [], unmerged: [] };
+
+  try {
+    getStatus().files.forEach((file) => {
+      if (file.kind === "untracked") tree.untracked.push(file);
+      else if (file.kind === "unmerged") tree.unmerged.push(file);
+      else {
+        if (file.isStaged) tree.staged.push(file);
+        if (file.hasUnstagedChanges) tree.unstaged.push(file);
+      }
+    });
+  } catch (error) {
+    console.error(styles.error("Error getting changed files:"), error.message);
+  }
+
+  return tree;
+}
+
+// Check whether a rebase, merge or cherry-pick is waiting to be finished
+function getOperationInProgress() {
+  const operations = [
+    { ref: "REBASE_HEAD", name: "rebase", command: "git rebase --continue" },
+    { ref: "MERGE_HEAD", name: "merge", command: "git commit" },
+    {
+      ref: "CHERRY_PICK_HEAD",
+      name: "cherry-pick",
+      command: "git cherry-pick --continue",
+    },
+  ];
+
+  return operations.find(({ ref }) => refExists(ref)) || null;
+}
+
+// Print one group of files, e.g., the staged ones
+function printFiles(title, files, side) {
+  if (files.length === 0) return;
+
+  console.log(title);
+  files.forEach((file) => console.log(`  ${formatFileStatus(file, side)}`));
+  console.log("");
+}
+
+// Pick the command that moves the work forward
+function getNextStep({ currentBranch, remotes, tree, divergence, operation }) {
+  if (operation) {
+    return {
+      message: `Resolve the conflicts, stage them and finish the ${operation.name}`,
+      command: operation.command,
+    };
+  }
+  if (tree.unmerged.length > 0) {
+    return {
+      message: "Resolve the conflicts, then stage the files",
+      command: "jscodemy add",
+    };
+  }
+  if (!currentBranch) {
+    return {
+      message: "Create or switch to a branch before committing",
+      command: "jscodemy branch",
+    };
+  }
+  if (tree.staged.length > 0) {
+    return { message: "Commit the staged changes", command: "jscodemy commit" };
+  }
+  if (tree.unstaged.length > 0 || tree.untracked.length > 0) {
+    return {
+      message: "Stage your changes, or do it all in one go",
+      command: "jscodemy add  or  jscodemy flow",
+    };
+  }
+  if (divergence?.behind > 0) {
+    return {
+      message: "Catch up with the remote before pushing",
+      command: "jscodemy push",
+    };
+  }
+  if (remotes.length > 0 && (!divergence || divergence.ahead > 0)) {
+    return { message: "Push your commits", command: "jscodemy push" };
+  }
+  return null;
+}
+
+// Show the branch, its upstream and the working tree, then the next step
+export async function runStatus({ banner = true }) {
+  if (banner) {
+    printBanner(
+      "🧭 JSCODEMY STATUS 🧭",
+      "See where your work stands",
+      "Branch, remote and working tree at a glance",
+    );
+  }
+
+  let currentBranch;
+  try {
+    currentBranch = getCurrentBranch();
+  } catch {
+    console.log(styles.error("❌ Not in a git repository"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(
+    styles.highlight("🔍 Current branch:"),
+    styles.command(currentBranch || "(detached HEAD)"),
+  );
+
+  // Compare with where the branch would be pushed to (as of the last fetch)
+  const remotes = getRemotes();
+  let divergence = null;
+
+  if (currentBranch && remotes.length > 0) {
+    const target = getPushTarget(currentBranch, remotes);
+    divergence = getDivergence(
+      currentBranch,
+      `${target.remote}/${target.branch}`,
+    );
+    const tracking = target.upstream ? styles.muted(" (upstream)") : "";
+
+    console.log(
+      styles.highlight("📡 Remote:"),
+      `${styles.command(`${target.remote}/${target.branch}`)}  ${formatDivergence(divergence)}${tracking}`,
+    );
+  } else if (remotes.length === 0) {
+    console.log(styles.highlight("📡 Remote:"), styles.muted("none"));
+  }
+  console.log("");
+
+  const operation = getOperationInProgress();
+  if (operation) {
+    console.log(styles.warning(`⚠️  A ${operation.name} is in progress\n`));
+  }
+
+  const tree = getWorkingTree();
+  printFiles(styles.error("💥 Conflicts:"), tree.unmerged);
+  printFiles(styles.success("🎯 Staged:"), tree.staged, "index");
+  printFiles(styles.highlight("📄 Not staged:"), tree.unstaged);
+  printFiles(styles.untracked("🆕 Untracked:"), tree.untracked);
+
+  const nextStep = getNextStep({
+    currentBranch,
+    remotes,
+    tree,
+    divergence,
+    operation,
+  });
+
+  if (!nextStep) {
+    console.log(styles.success("✅ Nothing left to commit or push\n"));
+    return;
+  }
+
+  console.log(styles.subtitle(`👉 Next: ${nextStep.message}`));
+  console.log(styles.command(`  ${nextStep.command}\n`));
+}
+
+if (isDirectRun(import.meta.url)) {
+  runWizard(() => runStatus(readAnswers()));
+}
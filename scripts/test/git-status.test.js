@@ -0,0 +1,267 @@
+/**
+ * Tests for the `git status --porcelain=v2 -z` parser
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseStatus } from "../lib/git-status.js";
+
+const OID = "0123456789abcdef0123456789abcdef01234567";
+const OTHER_OID = "fedcba9876543210fedcba9876543210fedcba98";
+
+// Records as git writes them, each ended by a NUL
+const output = (...records) => records.map((record) => `${record}\0`).join("");
+
+const ordinary = (xy, filePath, submodule = "N...") =>
+  `1 ${xy} ${submodule} 100644 100644 100644 ${OID} ${OTHER_OID} ${filePath}`;
+
+const renamedOrCopied = (xy, score, filePath, origPath) =>
+  `2 ${xy} N... 100644 100644 100644 ${OID} ${OID} ${score} ${filePath}\0${origPath}`;
+
+const unmerged = (xy, filePath) =>
+  `u ${xy} N... 100644 100644 100644 100644 ${OID} ${OID} ${OTHER_OID} ${filePath}`;
+
+const parseFile = (record) => {
+  const { files } = parseStatus(output(record));
+  assert.equal(files.length, 1);
+  return files[0];
+};
+
+describe("parseStatus", () => {
+  describe("ordinary changes", () => {
+    it("reads a staged modification", () => {
+      assert.deepEqual(parseFile(ordinary("M.", "src/app.js")), {
+        kind: "changed",
+        index: "M",
+        worktree: " ",
+        filePath: "src/app.js",
+        origPath: null,
+        similarity: null,
+        submodule: null,
+        conflict: null,
+        isStaged: true,
+        hasUnstagedChanges: false,
+      });
+    });
+
+    it("reads an unstaged deletion", () => {
+      const file = parseFile(ordinary(".D", "old.js"));
+
+      assert.equal(file.index, " ");
+      assert.equal(file.worktree, "D");
+      assert.equal(file.isStaged, false);
+      assert.equal(file.hasUnstagedChanges, true);
+    });
+
+    it("marks partly staged files as both staged and unstaged", () => {
+      const file = parseFile(ordinary("AM", "new.js"));
+
+      assert.equal(file.index, "A");
+      assert.equal(file.worktree, "M");
+      assert.equal(file.isStaged, true);
+      assert.equal(file.hasUnstagedChanges, true);
+    });
+
+    it("keeps spaces in the path", () => {
+      const file = parseFile(ordinary("M.", "docs/a file  with spaces.md"));
+
+      assert.equal(file.filePath, "docs/a file  with spaces.md");
+    });
+  });
+
+  describe("renamed and copied files", () => {
+    it("reads a rename with both paths", () => {
+      const file = parseFile(
+        renamedOrCopied("R.", "R100", "src/new name.js", "src/old name.js"),
+      );
+
+      assert.equal(file.kind, "renamed");
+      assert.equal(file.filePath, "src/new name.js");
+      assert.equal(file.origPath, "src/old name.js");
+      assert.equal(file.similarity, 100);
+      assert.equal(file.isStaged, true);
+      assert.equal(file.hasUnstagedChanges, false);
+    });
+
+    it("reads a copy and its similarity score", () => {
+      const file = parseFile(renamedOrCopied("C.", "C75", "b.js", "a.js"));
+
+      assert.equal(file.kind, "copied");
+      assert.equal(file.origPath, "a.js");
+      assert.equal(file.similarity, 75);
+    });
+
+    it("reads a rename that was changed again", () => {
+      const file = parseFile(renamedOrCopied("RM", "R87", "b.js", "a.js"));
+
+      assert.equal(file.kind, "renamed");
+      assert.equal(file.isStaged, true);
+      assert.equal(file.hasUnstagedChanges, true);
+    });
+
+    it("does not take the original path for an entry of its own", () => {
+      const { files } = parseStatus(
+        output(
+          renamedOrCopied("R.", "R100", "to.js", "1 M. looks like a record"),
+          ordinary(".M", "after.js"),
+        ),
+      );
+
+      assert.deepEqual(
+        files.map(({ filePath, origPath }) => [filePath, origPath]),
+        [
+          ["to.js", "1 M. looks like a record"],
+          ["after.js", null],
+        ],
+      );
+    });
+  });
+
+  describe("unmerged files", () => {
+    const conflicts = {
+      UU: "both modified",
+      AA: "both added",
+      DD: "both deleted",
+      AU: "added by us",
+      UA: "added by them",
+      DU: "deleted by us",
+      UD: "deleted by them",
+    };
+
+    Object.entries(conflicts).forEach(([xy, conflict]) => {
+      it(`reads ${xy} as ${conflict}`, () => {
+        const file = parseFile(unmerged(xy, "merge me.js"));
+
+        assert.equal(file.kind, "unmerged");
+        assert.equal(file.conflict, conflict);
+        assert.equal(file.filePath, "merge me.js");
+        assert.equal(file.isStaged, false);
+        assert.equal(file.hasUnstagedChanges, true);
+      });
+    });
+  });
+
+  describe("untracked and ignored files", () => {
+    it("reads untracked files as unstaged", () => {
+      assert.deepEqual(parseFile("? notes/to do.txt"), {
+        kind: "untracked",
+        index: "?",
+        worktree: "?",
+        filePath: "notes/to do.txt",
+        origPath: null,
+        similarity: null,
+        submodule: null,
+        conflict: null,
+        isStaged: false,
+        hasUnstagedChanges: true,
+      });
+    });
+
+    it("reads untracked directories", () => {
+      assert.equal(parseFile("? drafts/").filePath, "drafts/");
+    });
+
+    it("reads ignored files as neither staged nor unstaged", () => {
+      const file = parseFile("! .env.local");
+
+      assert.equal(file.kind, "ignored");
+      assert.equal(file.filePath, ".env.local");
+      assert.equal(file.isStaged, false);
+      assert.equal(file.hasUnstagedChanges, false);
+    });
+  });
+
+  describe("submodules", () => {
+    it("is null for regular files", () => {
+      assert.equal(parseFile(ordinary(".M", "file.js")).submodule, null);
+    });
+
+    it("reads a submodule whose commit changed", () => {
+      assert.deepEqual(
+        parseFile(ordinary("M.", "vendor/lib", "SC..")).submodule,
+        {
+          commitChanged: true,
+          hasModifications: false,
+          hasUntracked: false,
+        },
+      );
+    });
+
+    it("reads a submodule with modified and untracked files", () => {
+      const file = parseFile(ordinary(".M", "vendor/lib", "S.MU"));
+
+      assert.deepEqual(file.submodule, {
+        commitChanged: false,
+        hasModifications: true,
+        hasUntracked: true,
+      });
+      assert.equal(file.hasUnstagedChanges, true);
+    });
+  });
+
+  describe("branch headers", () => {
+    it("reads the commit, branch, upstream and divergence", () => {
+      const { branch, files } = parseStatus(
+        output(
+          `# branch.oid ${OID}`,
+          "# branch.head feat/status-parser",
+          "# branch.upstream origin/feat/status-parser",
+          "# branch.ab +2 -3",
+        ),
+      );
+
+      assert.deepEqual(branch, {
+        oid: OID,
+        head: "feat/status-parser",
+        upstream: "origin/feat/status-parser",
+        ahead: 2,
+        behind: 3,
+      });
+      assert.deepEqual(files, []);
+    });
+
+    it("has no commit before the first one, and no branch when detached", () => {
+      const { branch } = parseStatus(
+        output("# branch.oid (initial)", "# branch.head (detached)"),
+      );
+
+      assert.equal(branch.oid, null);
+      assert.equal(branch.head, null);
+      assert.equal(branch.upstream, null);
+      assert.equal(branch.ahead, 0);
+      assert.equal(branch.behind, 0);
+    });
+  });
+
+  it("reads a mix of entries in order", () => {
+    const { files } = parseStatus(
+      output(
+        "# branch.head main",
+        ordinary("M.", "a.js"),
+        renamedOrCopied("R.", "R100", "c.js", "b.js"),
+        unmerged("UU", "d.js"),
+        "? e.js",
+        "! f.log",
+      ),
+    );
+
+    assert.deepEqual(
+      files.map((file) => file.kind),
+      ["changed", "renamed", "unmerged", "untracked", "ignored"],
+    );
+  });
+
+  it("skips record types it doesn't know", () => {
+    const { files } = parseStatus(output("3 XY future record", "? a.js"));
+
+    assert.deepEqual(
+      files.map((file) => file.filePath),
+      ["a.js"],
+    );
+  });
+
+  it("returns nothing for a clean tree", () => {
+    assert.deepEqual(parseStatus("").files, []);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for the git wrapper
+ */
+
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import {
+  git,
+  GitError,
+  gitInherit,
+  gitSucceeds,
+  shellQuote,
+} from "../lib/git.js";
+import { createTempRepo } from "./helpers/temp-repo.js";
+
+// Messages that would run commands, or end the quoting, in a shell string
+const HOSTILE_MESSAGES = [
+  "fix: Handle $HOME and ${PATH}",
+  "fix: Run `touch pwned` and $(touch pwned)",
+  `fix: Quote 'single' and "double" quotes`,
+  "fix: Chain a; b && c || d | e > f < g &",
+  "fix: Keep the body\n\nwith a * glob, a \\ backslash and a !bang",
+  "-m fix: Start with a dash",
+];
+
+// %B ends the message with a newline of its own
+const lastMessage = () => git(["log", "-1", "--format=%B"]).replace(/\n+$/, "");
+
+let repo;
+
+beforeEach(() => {
+  repo = createTempRepo();
+  repo.write("README.md");
+  repo.commitAll();
+});
+
+afterEach(() => {
+  assert.equal(fs.existsSync("pwned"), false, "a message ran as a command");
+  repo.remove();
+});
+
+describe("git", () => {
+  HOSTILE_MESSAGES.forEach((message) => {
+    it(`commits ${JSON.stringify(message)} as given`, () => {
+      git(["commit", "--quiet", "--allow-empty", "-m", message]);
+
+      assert.equal(lastMessage(), message);
+    });
+  });
+
+  it("passes input on stdin, as the commit wizard does", () => {
+    const message = HOSTILE_MESSAGES.join("\n\n");
+
+    const committed = gitInherit(
+      ["commit", "--quiet", "--allow-empty", "--cleanup=verbatim", "-F", "-"],
+      { input: `${message}\n` },
+    );
+
+    assert.equal(committed, true);
+    assert.equal(lastMessage(), message);
+  });
+
+  it("throws a GitError with git's message", () => {
+    assert.throws(
+      () => git(["rev-parse", "--verify", "no-such-branch"]),
+      (error) =>
+        error instanceof GitError &&
+        error.exitCode !== 0 &&
+        error.message.startsWith("git rev-parse failed") &&
+        error.args[0] === "rev-parse",
+    );
+  });
+
+  it("reports the exit status with gitSucceeds", () => {
+    assert.equal(gitSucceeds(["rev-parse", "--verify", "HEAD"]), true);
+    assert.equal(gitSucceeds(["rev-parse", "--verify", "nope"]), false);
+  });
+});
+
+describe("shellQuote", () => {
+  HOSTILE_MESSAGES.forEach((value) => {
+    it(`keeps ${JSON.stringify(value)} one word for sh`, () => {
+      const output = execFileSync(
+        "sh",
+        ["-c", `printf '%s' ${shellQuote(value)}`],
+        { encoding: "utf-8" },
+      );
+
+      assert.equal(output, value);
+    });
+  });
+});
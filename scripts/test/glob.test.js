@@ -0,0 +1,190 @@
+/**
+ * Tests for the .gitignore-style globs of the add wizard
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  expandBraces,
+  globToRegExp,
+  matchPaths,
+  splitPatterns,
+} from "../lib/glob.js";
+
+const matches = (glob, filePath) => globToRegExp(glob).test(filePath);
+
+describe("splitPatterns", () => {
+  it("splits on whitespace and commas", () => {
+    assert.deepEqual(splitPatterns("a/*.js, b/**  !b/x\tc"), [
+      "a/*.js",
+      "b/**",
+      "!b/x",
+      "c",
+    ]);
+  });
+
+  it("keeps commas inside braces, however deep", () => {
+    assert.deepEqual(splitPatterns("src/{a,b/{c,d}}.js,e.md"), [
+      "src/{a,b/{c,d}}.js",
+      "e.md",
+    ]);
+  });
+
+  it("keeps escaped spaces and commas in the pattern", () => {
+    assert.deepEqual(splitPatterns("my\\ file.txt a\\,b.txt"), [
+      "my\\ file.txt",
+      "a\\,b.txt",
+    ]);
+  });
+
+  it("returns nothing for blank input", () => {
+    assert.deepEqual(splitPatterns("  , "), []);
+  });
+});
+
+describe("expandBraces", () => {
+  const cases = [
+    ["src/*.js", ["src/*.js"]],
+    ["*.{js,jsx}", ["*.js", "*.jsx"]],
+    ["src/{a,b/{c,d}}.js", ["src/a.js", "src/b/c.js", "src/b/d.js"]],
+    ["{a,b}/{c,d}", ["a/c", "a/d", "b/c", "b/d"]],
+    ["{a,}.js", ["a.js", ".js"]],
+    ["{a}/{b,c}", ["{a}/b", "{a}/c"]],
+    ["src/{a,b.js", ["src/{a,b.js"]],
+    ["{a\\,b,c}", ["a\\,b", "c"]],
+    ["\\{a,b}", ["\\{a,b}"]],
+    ["\\{a,b}/{c,d}", ["\\{a,b}/c", "\\{a,b}/d"]],
+  ];
+
+  cases.forEach(([pattern, expected]) => {
+    it(`expands ${pattern}`, () => {
+      assert.deepEqual(expandBraces(pattern), expected);
+    });
+  });
+});
+
+describe("globToRegExp", () => {
+  it("matches a pattern without a slash at any depth", () => {
+    assert.ok(matches("*.js", "a.js"));
+    assert.ok(matches("*.js", "src/lib/a.js"));
+    assert.ok(matches("lib", "src/lib/a.js"));
+    assert.ok(!matches("*.js", "a.jsx"));
+  });
+
+  it("anchors a pattern with a slash to the root", () => {
+    assert.ok(matches("src/*.js", "src/a.js"));
+    assert.ok(!matches("src/*.js", "app/src/a.js"));
+    assert.ok(matches("/a.js", "a.js"));
+    assert.ok(!matches("/a.js", "src/a.js"));
+  });
+
+  it("keeps single stars and question marks inside one segment", () => {
+    assert.ok(!matches("src/*.js", "src/lib/a.js"));
+    assert.ok(matches("src/?.js", "src/a.js"));
+    assert.ok(!matches("src/?.js", "src/ab.js"));
+    assert.ok(!matches("src?a.js", "src/a.js"));
+  });
+
+  it("matches zero or more directories with **/", () => {
+    assert.ok(matches("src/**/a.js", "src/a.js"));
+    assert.ok(matches("src/**/a.js", "src/b/c/a.js"));
+    assert.ok(!matches("src/**/a.js", "src/b/xa.js"));
+    assert.ok(matches("**/test/*.js", "test/a.js"));
+    assert.ok(matches("**/test/*.js", "scripts/test/a.js"));
+  });
+
+  it("matches everything inside a directory with a trailing /** or /", () => {
+    assert.ok(matches("src/**", "src/a/b.js"));
+    assert.ok(!matches("src/**", "src"));
+    assert.ok(matches("docs/", "docs/a.md"));
+    assert.ok(matches("docs/", "site/docs/a.md"));
+    assert.ok(!matches("docs/", "docs"));
+  });
+
+  it("treats ** inside a segment as a single star", () => {
+    assert.ok(matches("src/a**b.js", "src/axyb.js"));
+    assert.ok(!matches("src/a**b.js", "src/a/b.js"));
+  });
+
+  it("matches character classes and their negation", () => {
+    assert.ok(matches("file[0-9].txt", "file1.txt"));
+    assert.ok(!matches("file[0-9].txt", "filea.txt"));
+    assert.ok(matches("file[!0-9].txt", "filea.txt"));
+    assert.ok(!matches("file[!0-9].txt", "file1.txt"));
+    assert.ok(matches("file[^0-9].txt", "filea.txt"));
+    assert.ok(matches("a[]]b", "a]b"));
+    assert.ok(matches("a[!]]b", "axb"));
+    assert.ok(!matches("a[!]]b", "a]b"));
+    assert.ok(matches("a[x^]b", "a^b"));
+    assert.ok(matches("a[b", "a[b"));
+  });
+
+  it("takes escaped characters literally", () => {
+    assert.ok(matches("my\\ file.txt", "my file.txt"));
+    assert.ok(matches("app/\\[slug\\]/page.tsx", "app/[slug]/page.tsx"));
+    assert.ok(!matches("app/\\[slug\\]/page.tsx", "app/s/page.tsx"));
+    assert.ok(matches("\\*.js", "*.js"));
+    assert.ok(!matches("\\*.js", "a.js"));
+    assert.ok(matches("a\\?.js", "a?.js"));
+    assert.ok(!matches("a\\?.js", "ab.js"));
+  });
+
+  it("escapes regular expression characters", () => {
+    assert.ok(matches("a+b(1).js", "a+b(1).js"));
+    assert.ok(!matches("a.js", "abjs"));
+    assert.ok(matches("$HOME|x^", "$HOME|x^"));
+  });
+});
+
+describe("matchPaths", () => {
+  const PATHS = [
+    "README.md",
+    "docs/setup.md",
+    "src/app/page.tsx",
+    "src/app/[slug]/page.tsx",
+    "src/lib/utils.ts",
+    "src/lib/legacy.ts",
+    "scripts/add.js",
+  ];
+
+  it("returns nothing without patterns", () => {
+    assert.deepEqual(matchPaths(PATHS, []), []);
+  });
+
+  it("combines patterns and their braces", () => {
+    assert.deepEqual(matchPaths(PATHS, ["*.md", "src/**/*.{ts,js}"]), [
+      "README.md",
+      "docs/setup.md",
+      "src/lib/utils.ts",
+      "src/lib/legacy.ts",
+    ]);
+  });
+
+  it("excludes with ! what earlier patterns matched", () => {
+    assert.deepEqual(matchPaths(PATHS, ["src/**", "!src/lib/legacy.ts"]), [
+      "src/app/page.tsx",
+      "src/app/[slug]/page.tsx",
+      "src/lib/utils.ts",
+    ]);
+  });
+
+  it("lets the last matching pattern win", () => {
+    assert.deepEqual(
+      matchPaths(PATHS, ["src/lib/**", "!src/lib/**", "src/lib/utils.ts"]),
+      ["src/lib/utils.ts"],
+    );
+  });
+
+  it("starts from every path when the first pattern is a negation", () => {
+    assert.deepEqual(matchPaths(PATHS, ["!src/**", "!*.md"]), [
+      "scripts/add.js",
+    ]);
+  });
+
+  it("matches escaped brackets literally", () => {
+    assert.deepEqual(matchPaths(PATHS, ["src/app/\\[slug\\]/*"]), [
+      "src/app/[slug]/page.tsx",
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Throwaway git repositories for the tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { git } from "../../lib/git.js";
+
+// File names that break commands built as shell strings, or that git and
+// option parsers could take for something else
+export const HOSTILE_NAMES = [
+  "with space.txt",
+  "line\nbreak.txt",
+  `it's "quoted".txt`,
+  "-rf.txt",
+  "--force",
+  "$(touch pwned).txt",
+  "`touch pwned`.txt",
+  "semi;colon & pipe|.txt",
+  "dir with space/nested file.txt",
+];
+
+// Create a repository in a temporary directory and change into it, since
+// the git helpers run in the working directory. remove() changes back.
+export function createTempRepo() {
+  const previousCwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jscodemy-test-"));
+
+  process.chdir(dir);
+  git(["init", "--quiet", "--initial-branch=main"]);
+  git(["config", "user.name", "Test User"]);
+  git(["config", "user.email", "test@example.com"]);
+  git(["config", "commit.gpgSign", "false"]);
+
+  const write = (filePath, content = `${filePath}\n`) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const commitAll = (message = "chore: Add files") => {
+    git(["add", "--all"]);
+    git(["commit", "--quiet", "-m", message]);
+  };
+
+  const remove = () => {
+    process.chdir(previousCwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { dir, write, commitAll, remove };
+}
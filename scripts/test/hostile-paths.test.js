@@ -0,0 +1,220 @@
+/**
+ * Tests for file names that a shell, git or an option parser could misread
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+
+import { runAdd } from "../add.js";
+import { readAnswers } from "../lib/answers.js";
+import { git, splitNul } from "../lib/git.js";
+import { getStatus } from "../lib/git-status.js";
+import { collectWorktreeFiles, scanFiles } from "../lib/guard.js";
+import { createTempRepo, HOSTILE_NAMES } from "./helpers/temp-repo.js";
+
+// AWS's documented example key, split so it doesn't trip the guard itself
+const FAKE_ACCESS_KEY = ["AKIA", "IOSFODNN7EXAMPLE"].join("");
+
+const stagedPaths = () =>
+  splitNul(git(["diff", "--cached", "--name-only", "-z"])).sort();
+
+let repo;
+
+before(() => {
+  // The wizards report every step
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  repo = createTempRepo();
+});
+
+afterEach(() => {
+  assert.equal(fs.existsSync("pwned"), false, "a file name ran as a command");
+  repo.remove();
+});
+
+describe("getStatus", () => {
+  it("keeps untracked names intact", () => {
+    HOSTILE_NAMES.forEach((name) => repo.write(name));
+
+    const files = getStatus(["--untracked-files=all"]).files;
+
+    assert.deepEqual(
+      files.map((file) => file.filePath).sort(),
+      [...HOSTILE_NAMES].sort(),
+    );
+    files.forEach((file) => assert.equal(file.kind, "untracked"));
+  });
+
+  it("keeps both names of a rename", () => {
+    HOSTILE_NAMES.forEach((name) => repo.write(name));
+    repo.commitAll();
+
+    const renames = [
+      ["line\nbreak.txt", "-rf renamed.txt"],
+      [`it's "quoted".txt`, "dir with space/line\nbreak.txt"],
+    ];
+    renames.forEach(([from, to]) => git(["mv", "--", from, to]));
+
+    const files = getStatus().files;
+
+    assert.equal(files.length, renames.length);
+    renames.forEach(([from, to]) => {
+      const file = files.find((entry) => entry.filePath === to);
+
+      assert.ok(file, `missing rename to ${JSON.stringify(to)}`);
+      assert.equal(file.kind, "renamed");
+      assert.equal(file.origPath, from);
+      assert.equal(file.similarity, 100);
+      assert.equal(file.isStaged, true);
+    });
+  });
+
+  it("tells staged and unstaged changes of the same file apart", () => {
+    HOSTILE_NAMES.forEach((name) => repo.write(name));
+    repo.commitAll();
+
+    const [name] = HOSTILE_NAMES;
+    repo.write(name, "staged\n");
+    git(["add", "--", name]);
+    repo.write(name, "staged\nunstaged\n");
+
+    const [file] = getStatus().files;
+
+    assert.equal(file.filePath, name);
+    assert.equal(file.isStaged, true);
+    assert.equal(file.hasUnstagedChanges, true);
+  });
+});
+
+describe("guard", () => {
+  it("reads untracked and tracked files by their exact names", () => {
+    HOSTILE_NAMES.forEach((name) => repo.write(name));
+    repo.commitAll();
+    repo.write("-rf.txt", `-rf.txt\nkey = ${FAKE_ACCESS_KEY}\n`);
+    repo.write("new\nfile.txt", `${FAKE_ACCESS_KEY}\n`);
+
+    const files = collectWorktreeFiles(["-rf.txt", "new\nfile.txt"]);
+
+    assert.deepEqual(
+      files.map((file) => file.filePath),
+      ["-rf.txt", "new\nfile.txt"],
+    );
+
+    const findings = scanFiles(files);
+
+    assert.deepEqual(
+      findings.map(({ filePath, line, rule }) => ({ filePath, line, rule })),
+      [
+        { filePath: "-rf.txt", line: 2, rule: "aws-access-key" },
+        { filePath: "new\nfile.txt", line: 1, rule: "aws-access-key" },
+      ],
+    );
+  });
+});
+
+describe("add wizard", () => {
+  const stage = (files) =>
+    runAdd({
+      ...readAnswers([
+        "--action",
+        "stage",
+        ...files.map((file) => `--files=${file}`),
+        "--yes",
+      ]),
+      banner: false,
+      offerCommit: false,
+    });
+
+  it("stages new files with hostile names", async () => {
+    HOSTILE_NAMES.forEach((name) => repo.write(name));
+
+    await stage(HOSTILE_NAMES);
+
+    assert.deepEqual(stagedPaths(), [...HOSTILE_NAMES].sort());
+  });
+
+  it("stages only the files it was given", async () => {
+    HOSTILE_NAMES.forEach((name) => repo.write(name));
+    repo.commitAll();
+    HOSTILE_NAMES.forEach((name) => repo.write(name, "changed\n"));
+
+    // "--force" must not reach git add as an option
+    await stage(["--force", "line\nbreak.txt"]);
+
+    assert.deepEqual(stagedPaths(), ["--force", "line\nbreak.txt"]);
+  });
+
+  it("keeps commas in repeated and escaped names", async () => {
+    ["a,b.txt", "c,d.txt", "e,f.txt", "with space.txt"].forEach((name) =>
+      repo.write(name),
+    );
+
+    await stage(["a,b.txt", "with space.txt"]);
+    await stage(["c\\,d.txt"]);
+
+    assert.deepEqual(stagedPaths(), ["a,b.txt", "c,d.txt", "with space.txt"]);
+  });
+
+  it("keeps commas in names listed in an answers file", async () => {
+    ["a,b.txt", "a", "b.txt"].forEach((name) => repo.write(name));
+    // Next to the repository, so it doesn't show up as a change
+    const answersFile = `${repo.dir}.json`;
+    fs.writeFileSync(
+      answersFile,
+      JSON.stringify({ action: "stage", files: ["a,b.txt"] }),
+    );
+
+    try {
+      await runAdd({
+        ...readAnswers(["--answers", answersFile]),
+        banner: false,
+        offerCommit: false,
+      });
+    } finally {
+      fs.rmSync(answersFile);
+    }
+
+    assert.deepEqual(stagedPaths(), ["a,b.txt"]);
+  });
+
+  it("discards the changes to a staged rename, keeping the rename", async () => {
+    HOSTILE_NAMES.forEach((name) => repo.write(name));
+    repo.commitAll();
+    git(["mv", "--", "-rf.txt", "renamed -rf.txt"]);
+    repo.write("renamed -rf.txt", "-rf.txt\nchanged after the rename\n");
+
+    await runAdd({
+      ...readAnswers([
+        "--action",
+        "discard",
+        "--files",
+        "renamed -rf.txt",
+        "--force",
+        "--yes",
+      ]),
+      banner: false,
+      offerCommit: false,
+    });
+
+    const [file] = getStatus().files;
+
+    assert.equal(file.kind, "renamed");
+    assert.equal(file.origPath, "-rf.txt");
+    assert.equal(file.hasUnstagedChanges, false);
+    assert.equal(fs.readFileSync("renamed -rf.txt", "utf-8"), "-rf.txt\n");
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for the commit type suggestion
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  onlyDependenciesChanged,
+  suggestType,
+} from "../lib/type-suggestion.js";
+
+const PACKAGE_JSON = {
+  name: "jscodemy",
+  version: "0.1.0",
+  scripts: { dev: "next dev" },
+  dependencies: { next: "15.3.2" },
+};
+
+const typeFor = (files, options = {}) =>
+  suggestType({ files, whitespaceOnly: false, ...options })?.type ?? null;
+
+describe("suggestType", () => {
+  const cases = [
+    [["README.md"], "docs"],
+    [["README.md", "docs/Setup.MD"], "docs"],
+    [[".github/workflows/ci.yml", ".husky/pre-commit"], "ci"],
+    [[".gitlab-ci.yml"], "ci"],
+    [[".circleci/config.yml"], "ci"],
+    [["scripts/test/git.test.js", "src/lib/utils.spec.ts"], "test"],
+    [["src/__tests__/page.tsx", "tests/setup.mjs"], "test"],
+    [["pnpm-lock.yaml"], "build"],
+    [["package-lock.json", "yarn.lock", "bun.lockb"], "build"],
+    [["apps/web/pnpm-lock.yaml"], "build"],
+  ];
+
+  cases.forEach(([files, type]) => {
+    it(`suggests ${type} for ${files.join(", ")}`, () => {
+      assert.equal(typeFor(files), type);
+    });
+  });
+
+  it("leaves MDX content to the author", () => {
+    assert.equal(typeFor(["src/content/blog/post.mdx"]), null);
+    assert.equal(typeFor(["README.md", "src/content/blog/post.mdx"]), null);
+  });
+
+  it("needs every file to match", () => {
+    assert.equal(typeFor(["README.md", "src/app/page.tsx"]), null);
+    assert.equal(typeFor(["pnpm-lock.yaml", "src/app/page.tsx"]), null);
+    assert.equal(typeFor([".github/workflows/ci.yml", "README.md"]), null);
+  });
+
+  it("does not take test-like names for tests", () => {
+    assert.equal(typeFor(["src/lib/contest.ts"]), null);
+    assert.equal(typeFor(["src/latest/page.tsx"]), null);
+  });
+
+  it("suggests build when package.json only changes dependencies", () => {
+    const packageJson = {
+      before: PACKAGE_JSON,
+      after: {
+        ...PACKAGE_JSON,
+        dependencies: { ...PACKAGE_JSON.dependencies, zod: "^4.0.0" },
+      },
+    };
+
+    assert.equal(
+      typeFor(["package.json", "pnpm-lock.yaml"], { packageJson }),
+      "build",
+    );
+  });
+
+  it("does not suggest build when package.json changes more", () => {
+    const packageJson = {
+      before: PACKAGE_JSON,
+      after: { ...PACKAGE_JSON, scripts: { dev: "next dev --turbopack" } },
+    };
+
+    assert.equal(typeFor(["package.json"], { packageJson }), null);
+    assert.equal(typeFor(["package.json"]), null);
+  });
+
+  it("suggests style for whitespace-only diffs", () => {
+    assert.equal(
+      typeFor(["src/app/page.tsx"], { whitespaceOnly: true }),
+      "style",
+    );
+  });
+
+  it("prefers the file-based types over style", () => {
+    assert.equal(typeFor(["README.md"], { whitespaceOnly: true }), "docs");
+  });
+
+  it("returns a reason with every suggestion", () => {
+    const suggestion = suggestType({
+      files: ["README.md"],
+      whitespaceOnly: false,
+    });
+
+    assert.deepEqual(suggestion, {
+      type: "docs",
+      reason: "only Markdown files are staged",
+    });
+  });
+
+  it("returns null when nothing is staged", () => {
+    assert.equal(suggestType({ files: [], whitespaceOnly: true }), null);
+  });
+});
+
+describe("onlyDependenciesChanged", () => {
+  it("ignores every dependency field", () => {
+    const after = {
+      ...PACKAGE_JSON,
+      dependencies: {},
+      devDependencies: { eslint: "^9.0.0" },
+      peerDependencies: { react: "^19.0.0" },
+      optionalDependencies: { fsevents: "^2.3.3" },
+    };
+
+    assert.equal(onlyDependenciesChanged(PACKAGE_JSON, after), true);
+  });
+
+  it("notices changes outside the dependencies", () => {
+    const after = { ...PACKAGE_JSON, version: "0.2.0" };
+
+    assert.equal(onlyDependenciesChanged(PACKAGE_JSON, after), false);
+  });
+
+  it("is false for a missing side, such as a new package.json", () => {
+    assert.equal(onlyDependenciesChanged(null, PACKAGE_JSON), false);
+    assert.equal(onlyDependenciesChanged(PACKAGE_JSON, undefined), false);
+  });
+});
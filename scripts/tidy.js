@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+
+/**
+ * JSCODEMY Interactive Tidy CLI
+ * Squashes, rewords and drops unpushed commits before they are pushed
+ */
+
+import fs from "fs";
+import path from "path";
+import prompts from "prompts";
+
+import convention from "../jscodemy.config.js";
+import { confirm, readAnswers } from "./lib/answers.js";
+import { EXIT_CODES, exitWizard, isDirectRun, runWizard } from "./lib/cli.js";
+import { parseCommit } from "./lib/changelog.js";
+import { lintCommitMessage } from "./lib/commitlint.js";
+import {
+  getCurrentBranch,
+  getRemotes,
+  git,
+  gitInherit,
+  shellQuote,
+} from "./lib/git.js";
+import { getPushTarget, outgoingRange } from "./lib/remotes.js";
+import { printBanner, styles } from "./lib/ui.js";
+
+// Commit types from the shared convention
+const COMMIT_TYPES = convention.types.map((type) => ({
+  title: `${type.emoji} ${type.value}`,
+  description: type.description,
+  value: type.value,
+}));
+
+// What can happen to each commit, as in git's rebase todo list
+const COMMIT_ACTIONS = [
+  { title: "pick", description: "Keep the commit as it is", value: "pick" },
+  {
+    title: "squash",
+    description: "Meld into the previous commit, keeping both messages",
+    value: "squash",
+  },
+  {
+    title: "fixup",
+    description: "Meld into the previous commit, dropping this message",
+    value: "fixup",
+  },
+  {
+    title: "reword",
+    description: "Keep the changes, rewrite the message",
+    value: "reword",
+  },
+  { title: "drop", description: "Remove the commit", value: "drop" },
+];
+
+// Everything the wizard can do
+const ACTIONS = [
+  { title: "🧹 Tidy up unpushed commits", value: "tidy" },
+  {
+    title: "⏪ Restore the branch from before the last tidy",
+    value: "restore",
+  },
+  { title: "🛑 Abort the rebase in progress", value: "abort" },
+];
+
+// Where the pre-tidy state of a branch is kept
+const BACKUP_REF_PREFIX = "refs/jscodemy/tidy";
+
+const cancelTidy = () => {
+  console.log(styles.error("\n🚫 Tidy canceled"));
+  exitWizard(EXIT_CODES.CANCELED);
+};
+
+// Absolute path of the .git directory, also used by the rebase exec lines
+function getGitDir() {
+  return path.resolve(git(["rev-parse", "--git-dir"]).trim());
+}
+
+// Check for a rebase that stopped (conflicts, or stopped by hand)
+function isRebaseInProgress(gitDir) {
+  return (
+    fs.existsSync(path.join(gitDir, "rebase-merge")) ||
+    fs.existsSync(path.join(gitDir, "rebase-apply"))
+  );
+}
+
+// Resolve a ref to a commit hash, or "" when it doesn't exist
+function resolveRef(ref) {
+  try {
+    return git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]).trim();
+  } catch {
+    return "";
+  }
+}
+
+// Get the commits in a range, oldest first
+function getCommits(range) {
+  const output = git([
+    "log",
+    "--reverse",
+    "--format=%H%x1f%P%x1f%B%x1e",
+    ...range,
+  ]);
+
+  return output
+    .split("\x1e")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [hash, parents, message] = entry.split("\x1f");
+      return {
+        hash,
+        shortHash: hash.slice(0, 7),
+        parents: parents.split(" ").filter(Boolean),
+        message: message.trim(),
+        header: message.trim().split("\n")[0],
+      };
+    });
+}
+
+// Parse --todo "a1b2c3d=fixup,e4f5a6b=drop" into per-commit actions
+function parseTodoFlag(value, commits) {
+  const actions = {};
+  const errors = [];
+
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [hash, action] = entry.split("=").map((part) => part.trim());
+      const matches = commits.filter((commit) => commit.hash.startsWith(hash));
+
+      if (!COMMIT_ACTIONS.some((option) => option.value === action)) {
+        errors.push(
+          `${entry}: action must be one of ${COMMIT_ACTIONS.map((option) => option.value).join(", ")}`,
+        );
+      } else if (!hash || matches.length !== 1) {
+        errors.push(
+          `${entry}: "${hash}" must match exactly one unpushed commit`,
+        );
+      } else {
+        actions[matches[0].hash] = action;
+      }
+    });
+
+  return { actions, errors };
+}
+
+// Squash and fixup need an earlier commit that is kept
+function validatePlan(plan) {
+  let hasKeptCommit = false;
+
+  for (const { commit, action } of plan) {
+    if ((action === "squash" || action === "fixup") && !hasKeptCommit) {
+      return `${commit.shortHash} can't be melded: no earlier commit is kept`;
+    }
+    if (action !== "drop") hasKeptCommit = true;
+  }
+
+  if (!hasKeptCommit) return "At least one commit has to be kept";
+
+  return true;
+}
+
+// Ask for a new message through the commit prompts, prefilled with the old
+// one. The body and footers are kept as they are.
+async function promptReword(commit) {
+  const parsed = parseCommit(commit.hash, commit.message);
+  const rest = commit.message.split("\n").slice(1).join("\n").trim();
+  let initial = {
+    type: parsed?.type || "",
+    scope: parsed?.scope || "",
+    subject: parsed?.subject || commit.header,
+  };
+
+  console.log(styles.highlight(`\n✏️  Reword ${commit.shortHash}:`));
+  console.log(styles.muted(`  ${commit.header}\n`));
+
+  for (;;) {
+    const response = await prompts(
+      [
+        {
+          type: "select",
+          name: "type",
+          message: "Select the type of change:",
+          choices: COMMIT_TYPES,
+          initial: Math.max(
+            COMMIT_TYPES.findIndex((type) => type.value === initial.type),
+            0,
+          ),
+        },
+        {
+          type: "text",
+          name: "scope",
+          message: "Scope (optional):",
+          initial: initial.scope,
+          format: (value) => value.trim(),
+        },
+        {
+          type: "text",
+          name: "subject",
+          message: "Short description:",
+          initial: initial.subject,
+          format: (value) => value.trim(),
+        },
+      ],
+      { onCancel: cancelTidy },
+    );
+
+    const scope = response.scope ? `(${response.scope})` : "";
+    const bang = /^\w+(?:\([^)]+\))?!:/.test(commit.header) ? "!" : "";
+    const header = `${response.type}${scope}${bang}: ${response.subject}`;
+    const message = rest ? `${header}\n\n${rest}` : header;
+    const report = await lintCommitMessage(message);
+
+    if (report.valid) return message;
+
+    console.log(styles.error("\n❌ The new message doesn't pass commitlint:"));
+    report.errors.forEach((error) => {
+      console.log(styles.error(`  - ${error.message} [${error.name}]`));
+    });
+    console.log("");
+    initial = response;
+  }
+}
+
+// Build git's rebase todo list. Rewords are picked and then amended with the
+// prepared message, so the rebase never has to open an editor.
+function buildTodo(plan, messageDir) {
+  return plan
+    .flatMap(({ commit, action, message }, index) => {
+      if (action !== "reword")
+        return [`${action} ${commit.hash} ${commit.header}`];
+
+      const messageFile = path.join(messageDir, `${index}-${commit.shortHash}`);
+      fs.writeFileSync(messageFile, `${message}\n`);
+
+      return [
+        `pick ${commit.hash} ${commit.header}`,
+        `exec git commit --amend --no-verify --quiet -F ${shellQuote(messageFile)}`,
+      ];
+    })
+    .join("\n");
+}
+
+// Squash, reword or drop unpushed commits, or undo the last tidy
+export async function runTidy({ answers, nonInteractive, banner = true }) {
+  if (banner) {
+    printBanner(
+      "🧹 JSCODEMY TIDY WIZARD 🧹",
+      "Tidy up your commits before pushing them",
+      "Follow the prompts to squash, reword or drop commits",
+    );
+  }
+
+  const gitDir = getGitDir();
+  const messageDir = path.join(gitDir, "jscodemy-tidy");
+  const rebaseInProgress = isRebaseInProgress(gitDir);
+  const currentBranch = getCurrentBranch();
+
+  if (!currentBranch && !rebaseInProgress) {
+    console.log(styles.error("❌ Check out a branch to tidy first"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  const backupRef = `${BACKUP_REF_PREFIX}/${currentBranch}`;
+  const backup = currentBranch ? resolveRef(backupRef) : "";
+
+  // Only the actions that make sense right now
+  const actions = ACTIONS.filter(({ value }) =>
+    rebaseInProgress
+      ? value === "abort"
+      : value === "tidy" || (value === "restore" && backup),
+  );
+
+  if (
+    answers.action !== undefined &&
+    !actions.some(({ value }) => value === answers.action)
+  ) {
+    console.log(
+      styles.error(
+        `❌ --action must be one of: ${actions.map(({ value }) => value).join(", ")}`,
+      ),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  if (rebaseInProgress) {
+    console.log(styles.warning("⚠️  A rebase is in progress"));
+    console.log(
+      styles.muted(
+        "Resolve it and run git rebase --continue, or abort it here\n",
+      ),
+    );
+  }
+
+  prompts.override({
+    ...(nonInteractive && { action: actions[0].value }),
+    ...(answers.action !== undefined && { action: answers.action }),
+  });
+
+  const { action } = await prompts(
+    {
+      type: "select",
+      name: "action",
+      message: "What do you want to do?",
+      choices: actions,
+      initial: 0,
+    },
+    { onCancel: cancelTidy },
+  );
+
+  if (action === "abort") {
+    abortRebase(messageDir);
+  } else if (action === "restore") {
+    await restoreBackup({ currentBranch, backupRef, backup, nonInteractive });
+  } else {
+    await tidyCommits({
+      currentBranch,
+      backupRef,
+      messageDir,
+      todoFlag: answers.todo,
+      nonInteractive,
+    });
+  }
+}
+
+// Give up on a stopped rebase; git puts the branch back where it was
+function abortRebase(messageDir) {
+  if (!gitInherit(["rebase", "--abort"])) {
+    console.log(styles.error("\n❌ Could not abort the rebase"));
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  fs.rmSync(messageDir, { recursive: true, force: true });
+  console.log(
+    styles.success("\n✅ Rebase aborted, the branch is back as it was"),
+  );
+}
+
+// Put the branch back to where it was before the last tidy
+async function restoreBackup({
+  currentBranch,
+  backupRef,
+  backup,
+  nonInteractive,
+}) {
+  console.log(
+    styles.highlight(
+      `\n⏪ ${currentBranch} was at ${backup.slice(0, 7)} before the last tidy`,
+    ),
+  );
+
+  const confirmRestore = await confirm(
+    nonInteractive,
+    `Reset ${currentBranch} to ${backup.slice(0, 7)}?`,
+    false,
+  );
+
+  if (!confirmRestore) {
+    console.log(styles.error("\n🚫 Restore canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  // --keep refuses to overwrite uncommitted changes
+  if (!gitInherit(["reset", "--keep", backup])) {
+    console.log(
+      styles.error(
+        "\n❌ Could not restore. Commit or stash your changes first.",
+      ),
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  git(["update-ref", "-d", backupRef]);
+  console.log(styles.success(`\n✅ Restored ${currentBranch}`));
+}
+
+// Mark each unpushed commit, then replay them with a generated todo list
+async function tidyCommits({
+  currentBranch,
+  backupRef,
+  messageDir,
+  todoFlag,
+  nonInteractive,
+}) {
+  // The same range the push wizard shows as "Commits to be pushed"
+  const remotes = getRemotes();
+  const target = remotes.length ? getPushTarget(currentBranch, remotes) : null;
+  const range = target
+    ? outgoingRange(currentBranch, target.remote, target.branch)
+    : [currentBranch];
+  const commits = getCommits(range);
+
+  if (commits.length === 0) {
+    console.log(styles.success("✅ No unpushed commits to tidy"));
+    return;
+  }
+
+  if (commits.some((commit) => commit.parents.length > 1)) {
+    console.log(
+      styles.error(
+        "❌ The unpushed commits include a merge. Tidy them by hand.",
+      ),
+    );
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  console.log(
+    styles.highlight(
+      `📦 Unpushed commits${target ? ` (not on ${target.remote}/${target.branch})` : ""}, oldest first:`,
+    ),
+  );
+  commits.forEach((commit) => {
+    console.log(styles.muted(`  - ${commit.shortHash} ${commit.header}`));
+  });
+  console.log("");
+
+  const { actions: flagActions, errors } = todoFlag
+    ? parseTodoFlag(todoFlag, commits)
+    : { actions: {}, errors: [] };
+
+  if (errors.length > 0) {
+    errors.forEach((error) => console.log(styles.error(`❌ --todo ${error}`)));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  if (nonInteractive && Object.values(flagActions).includes("reword")) {
+    console.log(
+      styles.error("❌ Rewording needs the prompts; run without --yes"),
+    );
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  // Unmarked commits are picked when running without prompts
+  prompts.override(
+    Object.fromEntries(
+      commits
+        .map((commit) => [
+          commit.hash,
+          flagActions[commit.hash] || (nonInteractive ? "pick" : undefined),
+        ])
+        .filter(([, action]) => action),
+    ),
+  );
+
+  const marked = await prompts(
+    commits.map((commit, index) => ({
+      type: "select",
+      name: commit.hash,
+      message: `${commit.shortHash} ${commit.header}`,
+      choices: COMMIT_ACTIONS.filter(
+        ({ value }) => index > 0 || (value !== "squash" && value !== "fixup"),
+      ),
+      initial: 0,
+    })),
+    { onCancel: cancelTidy },
+  );
+
+  const plan = commits.map((commit) => ({
+    commit,
+    action: marked[commit.hash],
+  }));
+
+  const validation = validatePlan(plan);
+  if (validation !== true) {
+    console.log(styles.error(`\n❌ ${validation}`));
+    exitWizard(EXIT_CODES.USAGE);
+  }
+
+  if (plan.every(({ action }) => action === "pick")) {
+    console.log(
+      styles.success("\n✅ Nothing to change, every commit is picked"),
+    );
+    return;
+  }
+
+  for (const step of plan) {
+    if (step.action === "reword")
+      step.message = await promptReword(step.commit);
+  }
+
+  // Show the plan
+  console.log(styles.highlight("\n📋 Plan:"));
+  plan.forEach(({ commit, action, message }) => {
+    const header = message ? message.split("\n")[0] : commit.header;
+    const color = action === "drop" ? styles.error : styles.muted;
+    console.log(color(`  ${action.padEnd(6)} ${commit.shortHash} ${header}`));
+  });
+  console.log("");
+
+  const confirmTidy = await confirm(
+    nonInteractive,
+    `Rewrite ${commits.length} commit(s) on ${currentBranch}?`,
+  );
+
+  if (!confirmTidy) {
+    console.log(styles.error("\n🚫 Tidy canceled"));
+    exitWizard(EXIT_CODES.SUCCESS);
+  }
+
+  // Remember where the branch was so it can be restored later
+  git(["update-ref", backupRef, "HEAD"]);
+
+  fs.rmSync(messageDir, { recursive: true, force: true });
+  fs.mkdirSync(messageDir, { recursive: true });
+  const todoFile = path.join(messageDir, "todo");
+  fs.writeFileSync(todoFile, `${buildTodo(plan, messageDir)}\n`);
+
+  // The todo list is copied in place of the editor; squash messages are
+  // taken as git combines them. Git runs both editors through a shell.
+  const [oldest] = commits;
+  const base = oldest.parents.length ? `${oldest.hash}^` : "--root";
+
+  console.log(styles.highlight("\n🔄 Rebasing...\n"));
+
+  const rebased = gitInherit(["rebase", "-i", "--autostash", base], {
+    env: {
+      GIT_SEQUENCE_EDITOR: `cp ${shellQuote(todoFile)}`,
+      GIT_EDITOR: "true",
+    },
+  });
+
+  if (!rebased) {
+    console.log(styles.error("\n❌ The rebase stopped"));
+    console.log(
+      styles.muted(
+        "Resolve the conflicts and run git rebase --continue, or abort it now",
+      ),
+    );
+
+    const abort = await confirm(
+      nonInteractive,
+      "Abort the rebase and restore the previous state?",
+    );
+
+    if (abort) abortRebase(messageDir);
+    exitWizard(EXIT_CODES.FAILURE);
+  }
+
+  fs.rmSync(messageDir, { recursive: true, force: true });
+
+  console.log(styles.success("\n✅ Commits tidied:"));
+  getCommits(range).forEach((commit) => {
+    console.log(styles.muted(`  - ${commit.shortHash} ${commit.header}`));
+  });
+  console.log(
+    styles.muted("\nChanged your mind? Restore the previous state with:"),
+  );
+  console.log(styles.command("  pnpm tidy --action restore\n"));
+}
+
+if (isDirectRun(import.meta.url)) {
+  runWizard(() => runTidy(readAnswers()));
+}
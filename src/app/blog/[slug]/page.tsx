@@ -0,0 +1,83 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+
+import { ArrowLeft } from "lucide-react";
+
+import PostMeta from "@/components/blog/post-meta";
+import PostTags from "@/components/blog/post-tags";
+import TableOfContents from "@/components/blog/table-of-contents";
+
+import { compileMdx } from "@/lib/mdx";
+import { getPost, getPosts } from "@/lib/posts";
+
+type PostPageProps = {
+  params: Promise<{ slug: string }>;
+};
+
+// Only the posts that exist at build time have a page
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getPosts().map(({ slug }) => ({ slug }));
+}
+
+export async function generateMetadata({
+  params,
+}: PostPageProps): Promise<Metadata> {
+  const post = getPost((await params).slug);
+  if (!post) return {};
+
+  const { title, description } = post.frontmatter;
+
+  return { title, description };
+}
+
+export default async function PostPage({ params }: PostPageProps) {
+  const post = getPost((await params).slug);
+  if (!post) notFound();
+
+  const { title, description, tags } = post.frontmatter;
+  const { content, toc } = await compileMdx(post.content);
+
+  return (
+    <main className="mx-auto grid max-w-5xl gap-x-12 px-4 py-12 lg:grid-cols-[minmax(0,1fr)_14rem]">
+      <div className="flex min-w-0 flex-col gap-8">
+        <Link
+          href="/blog"
+          className="flex w-fit items-center gap-1 text-sm text-muted-foreground hover:text-primary"
+        >
+          <ArrowLeft className="size-4" />
+          All posts
+        </Link>
+
+        <header className="flex flex-col gap-4">
+          <PostMeta post={post} />
+          <h1 className="text-4xl font-bold tracking-tight">{title}</h1>
+          <p className="text-lg text-muted-foreground">{description}</p>
+          <PostTags tags={tags} />
+        </header>
+
+        {toc.length > 0 && (
+          <details className="rounded-lg border-2 border-muted p-4 lg:hidden">
+            <summary className="cursor-pointer text-sm font-medium">
+              On this page
+            </summary>
+            <TableOfContents toc={toc} className="pt-3" />
+          </details>
+        )}
+
+        <article>{content}</article>
+      </div>
+
+      {toc.length > 0 && (
+        <aside className="hidden lg:block">
+          <div className="sticky top-8 flex flex-col gap-3">
+            <p className="text-sm font-medium">On this page</p>
+            <TableOfContents toc={toc} />
+          </div>
+        </aside>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,43 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+
+import PostList from "@/components/blog/post-list";
+
+import { getPostTags, getPosts } from "@/lib/posts";
+
+export const metadata: Metadata = {
+  title: "Blog",
+  description: "Notes on JavaScript, React and the tools around them",
+};
+
+export default function BlogPage() {
+  const tags = getPostTags();
+
+  return (
+    <main className="mx-auto flex max-w-3xl flex-col gap-8 px-4 py-12">
+      <div className="flex flex-col gap-2">
+        <h1 className="text-4xl font-bold tracking-tight">Blog</h1>
+        <p className="text-muted-foreground">
+          Notes on JavaScript, React and the tools around them.
+        </p>
+      </div>
+
+      {tags.length > 0 && (
+        <ul aria-label="Tags" className="flex flex-wrap gap-2">
+          {tags.map(({ tag, count }) => (
+            <li key={tag}>
+              <Link
+                href={`/blog/tags/${tag}`}
+                className="rounded-full border-2 border-muted px-3 py-0.5 text-sm transition-colors hover:bg-muted"
+              >
+                #{tag} <span className="text-muted-foreground">{count}</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <PostList posts={getPosts()} />
+    </main>
+  );
+}
@@ -0,0 +1,57 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+
+import { ArrowLeft } from "lucide-react";
+
+import PostList from "@/components/blog/post-list";
+
+import { getPostTags, getPostsByTag } from "@/lib/posts";
+
+type TagPageProps = {
+  params: Promise<{ tag: string }>;
+};
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getPostTags().map(({ tag }) => ({ tag }));
+}
+
+export async function generateMetadata({
+  params,
+}: TagPageProps): Promise<Metadata> {
+  const { tag } = await params;
+
+  return {
+    title: `#${tag} · Blog`,
+    description: `Posts tagged ${tag}`,
+  };
+}
+
+export default async function TagPage({ params }: TagPageProps) {
+  const { tag } = await params;
+  const posts = getPostsByTag(tag);
+  if (posts.length === 0) notFound();
+
+  return (
+    <main className="mx-auto flex max-w-3xl flex-col gap-8 px-4 py-12">
+      <Link
+        href="/blog"
+        className="flex w-fit items-center gap-1 text-sm text-muted-foreground hover:text-primary"
+      >
+        <ArrowLeft className="size-4" />
+        All posts
+      </Link>
+
+      <div className="flex flex-col gap-2">
+        <h1 className="text-4xl font-bold tracking-tight">#{tag}</h1>
+        <p className="text-muted-foreground">
+          {posts.length} {posts.length === 1 ? "post" : "posts"} tagged {tag}.
+        </p>
+      </div>
+
+      <PostList posts={posts} />
+    </main>
+  );
+}
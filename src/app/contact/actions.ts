@@ -0,0 +1,72 @@
+"use server";
+
+import { headers } from "next/headers";
+
+import { getClientIp, rateLimit } from "@/lib/contact/rate-limit";
+import {
+  readContactValues,
+  validateContact,
+  type ContactFormState,
+} from "@/lib/contact/schema";
+import { checkSpam, createFormToken } from "@/lib/contact/spam";
+import { getContactTransport } from "@/lib/contact/transports";
+
+// Called when the form is shown: the page is prerendered, so the time trap's
+// start has to come from here
+export async function startContactForm() {
+  return createFormToken();
+}
+
+export async function sendContactMessage(
+  _previous: ContactFormState,
+  formData: FormData,
+): Promise<ContactFormState> {
+  const values = readContactValues(formData);
+
+  const spam = checkSpam(formData);
+  if (spam === "bot") return { status: "success" };
+  if (spam === "expired") {
+    return {
+      status: "error",
+      message:
+        "This form has expired. Please reload the page and send your message again.",
+      values,
+    };
+  }
+
+  const validation = validateContact(values);
+  if (!validation.success) {
+    return { status: "invalid", errors: validation.errors, values };
+  }
+
+  // Without a trusted client address (CONTACT_TRUSTED_PROXIES=0, or a
+  // request that skipped the proxy) only the spam checks apply
+  const ip = getClientIp(await headers());
+  const limit = ip ? rateLimit(ip) : { allowed: true as const };
+  if (!limit.allowed) {
+    const minutes = Math.ceil(limit.retryAfterMs / 60_000);
+    return {
+      status: "error",
+      message: `You have sent several messages already. Please try again in ${minutes} ${minutes === 1 ? "minute" : "minutes"}.`,
+      values,
+    };
+  }
+
+  try {
+    await getContactTransport().send({
+      ...validation.data,
+      ip,
+      receivedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Could not deliver a contact message:", error);
+    return {
+      status: "error",
+      message:
+        "Your message could not be sent right now. Please try again later.",
+      values,
+    };
+  }
+
+  return { status: "success" };
+}
@@ -0,0 +1,41 @@
+import type { Metadata } from "next";
+
+import ContactForm from "@/components/contact/contact-form";
+
+import { RESUME } from "@/data/resume";
+
+export const metadata: Metadata = {
+  title: "Contact",
+  description: "Questions, project ideas or just a hello",
+};
+
+export default function ContactPage() {
+  const { email } = RESUME.basics;
+
+  return (
+    <main className="mx-auto flex max-w-2xl flex-col gap-8 px-4 py-12">
+      <div className="flex flex-col gap-2">
+        <h1 className="text-4xl font-bold tracking-tight">Contact</h1>
+        <p className="text-muted-foreground">
+          Questions, project ideas or just a hello: send a message and I will
+          get back to you.
+          {email && (
+            <>
+              {" "}
+              Prefer email? Write to{" "}
+              <a
+                href={`mailto:${email}`}
+                className="underline underline-offset-4 hover:text-primary"
+              >
+                {email}
+              </a>
+              .
+            </>
+          )}
+        </p>
+      </div>
+
+      <ContactForm />
+    </main>
+  );
+}
@@ -1,3 +1,34 @@
+import Link from "next/link";
+
+import ProjectCard from "@/components/projects/project-card";
+
+import { getProjects, toProjectSummary } from "@/lib/projects";
+
 export default function Home() {
-  return null;
+  const featuredProjects = getProjects()
+    .filter((project) => project.frontmatter.featured)
+    .map(toProjectSummary);
+
+  if (featuredProjects.length === 0) return null;
+
+  return (
+    <main className="mx-auto flex max-w-5xl flex-col gap-6 px-4 py-12">
+      <div className="flex items-baseline justify-between gap-4">
+        <h2 className="text-2xl font-semibold tracking-tight">
+          Featured projects
+        </h2>
+        <Link
+          href="/projects"
+          className="text-sm text-muted-foreground underline underline-offset-4 hover:text-primary"
+        >
+          All projects
+        </Link>
+      </div>
+      <div className="grid gap-6 sm:grid-cols-2">
+        {featuredProjects.map((project) => (
+          <ProjectCard key={project.slug} project={project} />
+        ))}
+      </div>
+    </main>
+  );
 }
@@ -0,0 +1,24 @@
+import type { Metadata } from "next";
+
+import SharedPlayground from "@/components/playground/shared-playground";
+
+export const metadata: Metadata = {
+  title: "Playground",
+  description: "Write and run JavaScript or TypeScript in the browser",
+};
+
+export default function PlaygroundPage() {
+  return (
+    <main className="mx-auto flex max-w-4xl flex-col gap-8 px-4 py-12">
+      <div className="flex flex-col gap-2">
+        <h1 className="text-4xl font-bold tracking-tight">Playground</h1>
+        <p className="text-muted-foreground">
+          Write JavaScript or TypeScript and run it right here. The code runs in
+          your browser, and the link button copies a URL with the code in it.
+        </p>
+      </div>
+
+      <SharedPlayground />
+    </main>
+  );
+}
@@ -0,0 +1,121 @@
+import type { Metadata } from "next";
+import Image from "next/image";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+
+import { ArrowLeft, ExternalLink, Github } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+
+import { compileMdx } from "@/lib/mdx";
+import { getProject, getProjects } from "@/lib/projects";
+import { formatDate } from "@/lib/utils";
+
+type ProjectPageProps = {
+  params: Promise<{ slug: string }>;
+};
+
+// Only the projects that exist at build time have a page
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getProjects().map(({ slug }) => ({ slug }));
+}
+
+export async function generateMetadata({
+  params,
+}: ProjectPageProps): Promise<Metadata> {
+  const project = getProject((await params).slug);
+  if (!project) return {};
+
+  const { title, description } = project.frontmatter;
+
+  return { title, description };
+}
+
+export default async function ProjectPage({ params }: ProjectPageProps) {
+  const project = getProject((await params).slug);
+  if (!project) notFound();
+
+  const { title, description, stack, tags, repo, live, cover, date } =
+    project.frontmatter;
+  const { content } = await compileMdx(project.content);
+
+  return (
+    <main className="mx-auto flex max-w-3xl flex-col gap-8 px-4 py-12">
+      <Link
+        href="/projects"
+        className="flex w-fit items-center gap-1 text-sm text-muted-foreground hover:text-primary"
+      >
+        <ArrowLeft className="size-4" />
+        All projects
+      </Link>
+
+      <header className="flex flex-col gap-4">
+        <time
+          dateTime={date.toISOString()}
+          className="text-sm text-muted-foreground"
+        >
+          {formatDate(date)}
+        </time>
+        <h1 className="text-4xl font-bold tracking-tight">{title}</h1>
+        <p className="text-lg text-muted-foreground">{description}</p>
+
+        <ul className="flex flex-wrap gap-2">
+          {stack.map((item) => (
+            <li
+              key={item}
+              className="rounded-md border border-muted px-2 py-0.5 text-xs font-medium"
+            >
+              {item}
+            </li>
+          ))}
+          {tags.map((tag) => (
+            <li key={tag}>
+              <Link
+                href={`/projects?tag=${encodeURIComponent(tag)}`}
+                className="rounded-full bg-muted px-2 py-0.5 text-xs text-muted-foreground hover:text-primary"
+              >
+                #{tag}
+              </Link>
+            </li>
+          ))}
+        </ul>
+
+        {(repo || live) && (
+          <div className="flex gap-2">
+            {live && (
+              <Button asChild size="sm">
+                <a href={live} target="_blank" rel="noopener noreferrer">
+                  <ExternalLink />
+                  Live site
+                </a>
+              </Button>
+            )}
+            {repo && (
+              <Button asChild size="sm" variant="outline">
+                <a href={repo} target="_blank" rel="noopener noreferrer">
+                  <Github />
+                  Source
+                </a>
+              </Button>
+            )}
+          </div>
+        )}
+      </header>
+
+      {cover && (
+        <Image
+          src={cover}
+          alt=""
+          width={1200}
+          height={630}
+          priority
+          className="w-full rounded-2xl border-2 border-muted"
+        />
+      )}
+
+      <article>{content}</article>
+    </main>
+  );
+}
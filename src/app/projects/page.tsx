@@ -0,0 +1,47 @@
+import { Suspense } from "react";
+
+import type { Metadata } from "next";
+
+import ProjectCard from "@/components/projects/project-card";
+import ProjectExplorer from "@/components/projects/project-explorer";
+
+import {
+  getProjectFilters,
+  getProjects,
+  toProjectSummary,
+} from "@/lib/projects";
+
+export const metadata: Metadata = {
+  title: "Projects",
+  description: "Things I have built, and what they are built with",
+};
+
+export default function ProjectsPage() {
+  const projects = getProjects().map(toProjectSummary);
+  const { tags, stack } = getProjectFilters(projects);
+
+  return (
+    <main className="mx-auto flex max-w-5xl flex-col gap-8 px-4 py-12">
+      <div className="flex flex-col gap-2">
+        <h1 className="text-4xl font-bold tracking-tight">Projects</h1>
+        <p className="text-muted-foreground">
+          Things I have built, and what they are built with.
+        </p>
+      </div>
+
+      {/* The filters read the query string, which is only known in the
+          browser; the full list is what gets prerendered */}
+      <Suspense
+        fallback={
+          <div className="grid gap-6 sm:grid-cols-2">
+            {projects.map((project) => (
+              <ProjectCard key={project.slug} project={project} />
+            ))}
+          </div>
+        }
+      >
+        <ProjectExplorer projects={projects} tags={tags} stack={stack} />
+      </Suspense>
+    </main>
+  );
+}
@@ -0,0 +1,8 @@
+import { RESUME, RESUME_SCHEMA_URL } from "@/data/resume";
+
+// Rendered once during `next build` and served as a static file
+export const dynamic = "force-static";
+
+export function GET() {
+  return Response.json({ $schema: RESUME_SCHEMA_URL, ...RESUME });
+}
@@ -0,0 +1,20 @@
+import { renderToBuffer } from "@react-pdf/renderer";
+
+import { ResumeDocument } from "@/components/resume/resume-document";
+
+import { RESUME } from "@/data/resume";
+
+// Rendered once during `next build` and served as a static file
+export const dynamic = "force-static";
+
+export async function GET() {
+  const pdf = await renderToBuffer(<ResumeDocument resume={RESUME} />);
+  const fileName = `${RESUME.basics.name.toLowerCase().replace(/\s+/g, "-")}-resume.pdf`;
+
+  return new Response(new Uint8Array(pdf), {
+    headers: {
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${fileName}"`,
+    },
+  });
+}
@@ -0,0 +1,217 @@
+import "./print.css";
+
+import type { Metadata } from "next";
+
+import { Braces, Download, Mail, MapPin, Globe } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+
+import { RESUME } from "@/data/resume";
+import { formatDateRange, formatLocation } from "@/lib/resume";
+
+export const metadata: Metadata = {
+  title: `Resume · ${RESUME.basics.name}`,
+  description: RESUME.basics.summary,
+};
+
+const Section = ({
+  title,
+  children,
+}: {
+  title: string;
+  children: React.ReactNode;
+}) => (
+  <section className="resume-section flex flex-col gap-4">
+    <h2 className="border-b-2 border-muted pb-1 text-sm font-semibold uppercase tracking-widest text-muted-foreground">
+      {title}
+    </h2>
+    {children}
+  </section>
+);
+
+const Entry = ({
+  title,
+  subtitle,
+  dates,
+  children,
+}: {
+  title: string;
+  subtitle?: string;
+  dates: string;
+  children?: React.ReactNode;
+}) => (
+  <article className="resume-entry flex flex-col gap-1">
+    <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+      <h3 className="font-semibold">
+        {title}
+        {subtitle && (
+          <span className="font-normal text-muted-foreground">
+            {" "}
+            · {subtitle}
+          </span>
+        )}
+      </h3>
+      <span className="font-mono text-sm text-muted-foreground">{dates}</span>
+    </div>
+    {children}
+  </article>
+);
+
+export default function ResumePage() {
+  const { basics, work, education, skills, languages, projects } = RESUME;
+  const location = formatLocation(basics.location);
+
+  return (
+    <main className="resume mx-auto flex max-w-3xl flex-col gap-10 px-4 py-12">
+      <header className="flex flex-col gap-4">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-4xl font-bold tracking-tight">{basics.name}</h1>
+            {basics.label && (
+              <p className="text-lg text-muted-foreground">{basics.label}</p>
+            )}
+          </div>
+          <div className="flex gap-2 print:hidden">
+            <Button asChild size="sm">
+              <a href="/resume.pdf" download>
+                <Download />
+                PDF
+              </a>
+            </Button>
+            <Button asChild size="sm" variant="outline">
+              <a href="/resume.json">
+                <Braces />
+                JSON
+              </a>
+            </Button>
+          </div>
+        </div>
+
+        <ul className="flex flex-wrap gap-x-5 gap-y-1 text-sm text-muted-foreground">
+          {location && (
+            <li className="flex items-center gap-1">
+              <MapPin className="size-4" />
+              {location}
+            </li>
+          )}
+          {basics.email && (
+            <li>
+              <a
+                href={`mailto:${basics.email}`}
+                className="flex items-center gap-1 hover:text-primary"
+              >
+                <Mail className="size-4" />
+                {basics.email}
+              </a>
+            </li>
+          )}
+          {basics.url && (
+            <li>
+              <a
+                href={basics.url}
+                className="flex items-center gap-1 hover:text-primary"
+              >
+                <Globe className="size-4" />
+                {basics.url.replace(/^https?:\/\//, "")}
+              </a>
+            </li>
+          )}
+          {basics.profiles?.map((profile) => (
+            <li key={profile.network}>
+              <a href={profile.url} className="hover:text-primary">
+                {profile.network}
+                {profile.username && `: ${profile.username}`}
+              </a>
+            </li>
+          ))}
+        </ul>
+
+        {basics.summary && <p className="leading-7">{basics.summary}</p>}
+      </header>
+
+      {work && work.length > 0 && (
+        <Section title="Experience">
+          {work.map((job) => (
+            <Entry
+              key={`${job.name}-${job.startDate}`}
+              title={job.position}
+              subtitle={job.name}
+              dates={formatDateRange(job.startDate, job.endDate)}
+            >
+              {job.summary && <p className="leading-7">{job.summary}</p>}
+              {job.highlights && (
+                <ul className="ml-5 list-disc space-y-1 leading-7">
+                  {job.highlights.map((highlight) => (
+                    <li key={highlight}>{highlight}</li>
+                  ))}
+                </ul>
+              )}
+            </Entry>
+          ))}
+        </Section>
+      )}
+
+      {projects && projects.length > 0 && (
+        <Section title="Projects">
+          {projects.map((project) => (
+            <Entry
+              key={project.name}
+              title={project.name}
+              subtitle={project.keywords?.join(", ")}
+              dates={formatDateRange(project.startDate, project.endDate)}
+            >
+              {project.description && (
+                <p className="leading-7">{project.description}</p>
+              )}
+            </Entry>
+          ))}
+        </Section>
+      )}
+
+      {education && education.length > 0 && (
+        <Section title="Education">
+          {education.map((school) => (
+            <Entry
+              key={school.institution}
+              title={school.institution}
+              subtitle={[school.studyType, school.area]
+                .filter(Boolean)
+                .join(", ")}
+              dates={formatDateRange(school.startDate, school.endDate)}
+            />
+          ))}
+        </Section>
+      )}
+
+      {skills && skills.length > 0 && (
+        <Section title="Skills">
+          <dl className="grid gap-2 sm:grid-cols-[8rem_1fr]">
+            {skills.map((skill) => (
+              <div key={skill.name} className="contents">
+                <dt className="font-semibold">{skill.name}</dt>
+                <dd className="text-muted-foreground">
+                  {skill.keywords?.join(" · ")}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        </Section>
+      )}
+
+      {languages && languages.length > 0 && (
+        <Section title="Languages">
+          <ul className="flex flex-wrap gap-x-6 gap-y-1">
+            {languages.map(({ language, fluency }) => (
+              <li key={language}>
+                <span className="font-semibold">{language}</span>
+                {fluency && (
+                  <span className="text-muted-foreground"> · {fluency}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,38 @@
+import Link from "next/link";
+
+import type { Post } from "@/lib/posts";
+
+import PostMeta from "./post-meta";
+import PostTags from "./post-tags";
+
+const PostList = ({ posts }: { posts: Post[] }) => {
+  if (posts.length === 0) {
+    return <p className="text-muted-foreground">No posts yet.</p>;
+  }
+
+  return (
+    <ul className="flex flex-col gap-4">
+      {posts.map((post) => (
+        <li key={post.slug}>
+          <article className="relative flex flex-col gap-2 rounded-2xl border-2 border-muted bg-white/5 p-5 shadow-md backdrop-blur-lg transition-shadow duration-300 ease-in-out hover:shadow-sm dark:bg-black/5">
+            <PostMeta post={post} />
+            <h2 className="text-xl font-semibold tracking-tight">
+              <Link
+                href={`/blog/${post.slug}`}
+                className="after:absolute after:inset-0"
+              >
+                {post.frontmatter.title}
+              </Link>
+            </h2>
+            <p className="text-muted-foreground">
+              {post.frontmatter.description}
+            </p>
+            <PostTags tags={post.frontmatter.tags} className="pt-1" />
+          </article>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PostList;
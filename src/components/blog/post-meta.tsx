@@ -0,0 +1,29 @@
+import type { Post } from "@/lib/posts";
+import { formatDate } from "@/lib/utils";
+
+const PostMeta = ({ post }: { post: Post }) => {
+  const { date, updated } = post.frontmatter;
+
+  return (
+    <p className="flex flex-wrap items-center gap-x-2 text-sm text-muted-foreground">
+      <time dateTime={date.toISOString()}>
+        {formatDate(date, { day: "numeric" })}
+      </time>
+      <span aria-hidden>·</span>
+      <span>{post.readingTime} min read</span>
+      {updated && (
+        <>
+          <span aria-hidden>·</span>
+          <span>
+            Updated{" "}
+            <time dateTime={updated.toISOString()}>
+              {formatDate(updated, { day: "numeric" })}
+            </time>
+          </span>
+        </>
+      )}
+    </p>
+  );
+};
+
+export default PostMeta;
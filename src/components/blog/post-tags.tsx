@@ -0,0 +1,30 @@
+import Link from "next/link";
+
+import clsx from "clsx";
+
+const PostTags = ({
+  tags,
+  className,
+}: {
+  tags: string[];
+  className?: string;
+}) => {
+  if (tags.length === 0) return null;
+
+  return (
+    <ul className={clsx("flex flex-wrap gap-2", className)}>
+      {tags.map((tag) => (
+        <li key={tag}>
+          <Link
+            href={`/blog/tags/${tag}`}
+            className="relative z-10 rounded-full bg-muted px-2 py-0.5 text-xs text-muted-foreground hover:text-primary"
+          >
+            #{tag}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PostTags;
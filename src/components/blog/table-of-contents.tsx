@@ -0,0 +1,28 @@
+import clsx from "clsx";
+
+import type { TocEntry } from "@/lib/mdx";
+
+const TableOfContents = ({
+  toc,
+  className,
+}: {
+  toc: TocEntry[];
+  className?: string;
+}) => (
+  <nav aria-label="Table of contents" className={className}>
+    <ul className="flex flex-col gap-2 text-sm">
+      {toc.map((entry) => (
+        <li key={entry.id} className={clsx(entry.depth === 3 && "pl-4")}>
+          <a
+            href={`#${entry.id}`}
+            className="text-muted-foreground hover:text-primary"
+          >
+            {entry.title}
+          </a>
+        </li>
+      ))}
+    </ul>
+  </nav>
+);
+
+export default TableOfContents;
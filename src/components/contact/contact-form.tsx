@@ -0,0 +1,239 @@
+"use client";
+
+import { useActionState, useEffect, useRef, useState } from "react";
+
+import { CircleAlert, CircleCheck, LoaderCircle, Send } from "lucide-react";
+
+import { sendContactMessage, startContactForm } from "@/app/contact/actions";
+import { Button } from "@/components/ui/button";
+
+import {
+  CONTACT_FIELDS,
+  FORM_TOKEN_FIELD,
+  HONEYPOT_FIELD,
+  readContactValues,
+  validateContact,
+  type ContactField,
+  type ContactFieldErrors,
+  type ContactFormState,
+} from "@/lib/contact/schema";
+import { cn } from "@/lib/utils";
+
+const INITIAL_STATE: ContactFormState = { status: "idle" };
+
+const FIELDS: {
+  name: ContactField;
+  label: string;
+  type?: string;
+  autoComplete?: string;
+  multiline?: boolean;
+}[] = [
+  { name: "name", label: "Name", autoComplete: "name" },
+  { name: "email", label: "Email", type: "email", autoComplete: "email" },
+  { name: "message", label: "Message", multiline: true },
+];
+
+const inputClassName =
+  "w-full rounded-md border border-input bg-background/60 px-3 py-2 text-sm shadow-xs outline-none transition-[color,box-shadow] focus-visible:border-ring focus-visible:ring-[3px] focus-visible:ring-ring/50 aria-invalid:border-destructive aria-invalid:ring-destructive/20 dark:bg-input/30 dark:aria-invalid:ring-destructive/40";
+
+function focusFirstInvalid(form: HTMLFormElement, errors: ContactFieldErrors) {
+  const field = CONTACT_FIELDS.find((name) => errors[name]?.length);
+  if (!field) return;
+
+  const element = form.elements.namedItem(field);
+  if (element instanceof HTMLElement) element.focus();
+}
+
+const Field = ({
+  name,
+  label,
+  type = "text",
+  autoComplete,
+  multiline,
+  defaultValue,
+  errors,
+}: (typeof FIELDS)[number] & {
+  defaultValue?: string;
+  errors?: string[];
+}) => {
+  const errorId = `${name}-error`;
+  const props = {
+    id: name,
+    name,
+    defaultValue,
+    required: true,
+    "aria-invalid": errors ? true : undefined,
+    "aria-describedby": errors ? errorId : undefined,
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label htmlFor={name} className="text-sm font-medium">
+        {label}
+      </label>
+      {multiline ? (
+        <textarea
+          {...props}
+          rows={6}
+          className={cn(inputClassName, "resize-y")}
+        />
+      ) : (
+        <input
+          {...props}
+          type={type}
+          autoComplete={autoComplete}
+          className={cn(inputClassName, "h-9")}
+        />
+      )}
+      {errors && (
+        <p id={errorId} className="text-sm text-destructive">
+          {errors[0]}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const ContactFormContent = ({ onReset }: { onReset: () => void }) => {
+  const [state, formAction, isPending] = useActionState(
+    sendContactMessage,
+    INITIAL_STATE,
+  );
+  const [errors, setErrors] = useState<ContactFieldErrors>({});
+  const [formToken, setFormToken] = useState("");
+  const formRef = useRef<HTMLFormElement>(null);
+  const successRef = useRef<HTMLHeadingElement>(null);
+
+  // Read by the time trap. Without a token the action asks to reload.
+  useEffect(() => {
+    let ignore = false;
+    startContactForm()
+      .then((token) => {
+        if (!ignore) setFormToken(token);
+      })
+      .catch(() => {});
+
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (state.status === "success") successRef.current?.focus();
+    if (state.status === "invalid" && state.errors) {
+      setErrors(state.errors);
+      if (formRef.current) focusFirstInvalid(formRef.current, state.errors);
+    }
+  }, [state]);
+
+  if (state.status === "success") {
+    return (
+      <div className="flex flex-col items-start gap-4 rounded-lg border-2 border-muted p-6">
+        <h2
+          ref={successRef}
+          tabIndex={-1}
+          className="flex items-center gap-2 text-xl font-semibold outline-none"
+        >
+          <CircleCheck className="size-5 text-primary" aria-hidden />
+          Thanks, your message is on its way
+        </h2>
+        <p className="text-muted-foreground">
+          I read every message and usually reply within a few days.
+        </p>
+        <Button variant="outline" onClick={onReset}>
+          Send another message
+        </Button>
+      </div>
+    );
+  }
+
+  const values = "values" in state ? state.values : {};
+
+  // Checked here first for instant feedback; the action checks again
+  const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    const result = validateContact(
+      readContactValues(new FormData(event.currentTarget)),
+    );
+
+    if (result.success) {
+      setErrors({});
+      return;
+    }
+
+    event.preventDefault();
+    setErrors(result.errors);
+    focusFirstInvalid(event.currentTarget, result.errors);
+  };
+
+  // Once errors are showing, they follow what is typed
+  const handleChange = (event: React.FormEvent<HTMLFormElement>) => {
+    if (Object.keys(errors).length === 0) return;
+
+    const result = validateContact(
+      readContactValues(new FormData(event.currentTarget)),
+    );
+    setErrors(result.success ? {} : result.errors);
+  };
+
+  return (
+    <form
+      ref={formRef}
+      action={formAction}
+      onSubmit={handleSubmit}
+      onChange={handleChange}
+      noValidate
+      className="flex flex-col gap-5"
+    >
+      {state.status === "error" && state.message && (
+        <p
+          role="alert"
+          className="flex items-start gap-2 rounded-md border border-destructive/50 bg-destructive/10 p-3 text-sm text-destructive"
+        >
+          <CircleAlert className="mt-0.5 size-4 shrink-0" aria-hidden />
+          {state.message}
+        </p>
+      )}
+
+      {FIELDS.map((field) => (
+        <Field
+          key={field.name}
+          {...field}
+          defaultValue={values?.[field.name]}
+          errors={errors[field.name]}
+        />
+      ))}
+
+      {/* Spam checks: bots fill in every field, people never see this one */}
+      <div aria-hidden className="sr-only">
+        <label htmlFor={HONEYPOT_FIELD}>Leave this field empty</label>
+        <input
+          id={HONEYPOT_FIELD}
+          name={HONEYPOT_FIELD}
+          type="text"
+          tabIndex={-1}
+          autoComplete="off"
+        />
+      </div>
+      <input type="hidden" name={FORM_TOKEN_FIELD} value={formToken} />
+
+      <Button type="submit" disabled={isPending} className="self-start">
+        {isPending ? <LoaderCircle className="animate-spin" /> : <Send />}
+        {isPending ? "Sending…" : "Send message"}
+      </Button>
+    </form>
+  );
+};
+
+// Remounting starts over with a fresh action state and time trap
+const ContactForm = () => {
+  const [formKey, setFormKey] = useState(0);
+
+  return (
+    <ContactFormContent
+      key={formKey}
+      onReset={() => setFormKey((key) => key + 1)}
+    />
+  );
+};
+
+export default ContactForm;
@@ -0,0 +1,43 @@
+import type { ComponentProps } from "react";
+
+import { cn } from "@/lib/utils";
+
+import CopyButton from "./copy-button";
+
+type CodeBlockProps = ComponentProps<"pre"> & {
+  "data-title"?: string;
+  "data-language"?: string;
+};
+
+// Replaces the pre Shiki renders (see lib/mdx.ts) with a titled frame
+const CodeBlock = ({
+  className,
+  "data-title": title,
+  "data-language": language,
+  ...props
+}: CodeBlockProps) => (
+  <figure
+    data-code-block
+    className="group relative my-6 overflow-hidden rounded-lg border"
+  >
+    {title && (
+      <figcaption className="flex items-center justify-between gap-4 border-b bg-muted/50 py-1 pr-2 pl-4 font-mono text-xs text-muted-foreground">
+        {title}
+        <CopyButton />
+      </figcaption>
+    )}
+    <pre
+      data-language={language}
+      className={cn(
+        "overflow-x-auto py-4 font-mono text-sm [&>code]:bg-transparent [&>code]:p-0",
+        className,
+      )}
+      {...props}
+    />
+    {!title && (
+      <CopyButton className="absolute top-2 right-2 bg-background/80 opacity-0 transition-opacity group-hover:opacity-100 focus-visible:opacity-100 pointer-coarse:opacity-100" />
+    )}
+  </figure>
+);
+
+export default CodeBlock;
@@ -0,0 +1,73 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+import { Check, Copy, X } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+
+import { cn } from "@/lib/utils";
+
+type CopyStatus = "idle" | "copied" | "failed";
+
+const LABELS: Record<CopyStatus, string> = {
+  idle: "Copy code",
+  copied: "Copied",
+  failed: "Copy failed",
+};
+
+// Copies the code block it sits in, minus the lines a diff removes
+const CopyButton = ({ className }: { className?: string }) => {
+  const [status, setStatus] = useState<CopyStatus>("idle");
+
+  useEffect(() => {
+    if (status === "idle") return;
+
+    const timeout = setTimeout(() => setStatus("idle"), 2000);
+    return () => clearTimeout(timeout);
+  }, [status]);
+
+  const copy = async (event: React.MouseEvent<HTMLButtonElement>) => {
+    const code = event.currentTarget
+      .closest("[data-code-block]")
+      ?.querySelector("pre code");
+    if (!code) return;
+
+    const lines = code.querySelectorAll(".line");
+    const text =
+      lines.length > 0
+        ? Array.from(lines)
+            .filter((line) => !line.classList.contains("remove"))
+            .map((line) => line.textContent)
+            .join("\n")
+        : (code.textContent ?? "");
+
+    // The clipboard is missing on insecure origins and can be denied
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus("copied");
+    } catch {
+      setStatus("failed");
+    }
+  };
+
+  return (
+    <Button
+      type="button"
+      variant="ghost"
+      size="icon"
+      onClick={copy}
+      aria-label={LABELS[status]}
+      title={status === "failed" ? LABELS.failed : undefined}
+      className={cn(
+        "size-7 text-muted-foreground",
+        status === "failed" && "text-destructive",
+        className,
+      )}
+    >
+      {status === "copied" ? <Check /> : status === "failed" ? <X /> : <Copy />}
+    </Button>
+  );
+};
+
+export default CopyButton;
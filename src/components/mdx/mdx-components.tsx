@@ -0,0 +1,86 @@
+import type { ComponentProps } from "react";
+import Link from "next/link";
+
+import { cn } from "@/lib/utils";
+
+import Playground from "@/components/playground/playground";
+
+import CodeBlock from "./code-block";
+
+const MdxLink = ({ href = "", className, ...props }: ComponentProps<"a">) => {
+  const classes = cn(
+    "font-medium underline underline-offset-4 hover:text-primary/80",
+    className,
+  );
+
+  if (href.startsWith("/") || href.startsWith("#")) {
+    return <Link href={href} className={classes} {...props} />;
+  }
+
+  return (
+    <a
+      href={href}
+      className={classes}
+      target="_blank"
+      rel="noopener noreferrer"
+      {...props}
+    />
+  );
+};
+
+export const mdxComponents = {
+  h2: ({ className, ...props }: ComponentProps<"h2">) => (
+    <h2
+      className={cn(
+        "mt-10 mb-4 scroll-m-20 text-2xl font-semibold tracking-tight",
+        className,
+      )}
+      {...props}
+    />
+  ),
+  h3: ({ className, ...props }: ComponentProps<"h3">) => (
+    <h3
+      className={cn(
+        "mt-8 mb-3 scroll-m-20 text-xl font-semibold tracking-tight",
+        className,
+      )}
+      {...props}
+    />
+  ),
+  p: ({ className, ...props }: ComponentProps<"p">) => (
+    <p
+      className={cn("leading-7 [&:not(:first-child)]:mt-4", className)}
+      {...props}
+    />
+  ),
+  ul: ({ className, ...props }: ComponentProps<"ul">) => (
+    <ul className={cn("my-4 ml-6 list-disc space-y-2", className)} {...props} />
+  ),
+  ol: ({ className, ...props }: ComponentProps<"ol">) => (
+    <ol
+      className={cn("my-4 ml-6 list-decimal space-y-2", className)}
+      {...props}
+    />
+  ),
+  a: MdxLink,
+  blockquote: ({ className, ...props }: ComponentProps<"blockquote">) => (
+    <blockquote
+      className={cn(
+        "mt-6 border-l-2 pl-6 italic text-muted-foreground",
+        className,
+      )}
+      {...props}
+    />
+  ),
+  code: ({ className, ...props }: ComponentProps<"code">) => (
+    <code
+      className={cn(
+        "rounded bg-muted px-[0.3rem] py-[0.2rem] font-mono text-sm",
+        className,
+      )}
+      {...props}
+    />
+  ),
+  pre: CodeBlock,
+  Playground,
+};
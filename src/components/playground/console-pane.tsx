@@ -0,0 +1,59 @@
+import { cn } from "@/lib/utils";
+
+import type { ConsoleEntry } from "./use-runner";
+
+const LEVEL_CLASSES = {
+  log: "",
+  info: "text-muted-foreground",
+  debug: "text-muted-foreground",
+  warn: "bg-amber-500/10 text-amber-700 dark:text-amber-400",
+  error: "bg-destructive/10 text-destructive",
+};
+
+const ConsolePane = ({
+  entries,
+  hasRun,
+}: {
+  entries: ConsoleEntry[];
+  hasRun: boolean;
+}) => (
+  <div
+    role="log"
+    aria-label="Console output"
+    className="max-h-64 min-h-20 overflow-y-auto border-t bg-muted/40 py-2 font-mono text-sm"
+  >
+    {entries.length === 0 && (
+      <p className="px-4 py-1 text-muted-foreground">
+        {hasRun ? "No output." : "Run the code to see its output."}
+      </p>
+    )}
+    {entries.map((entry, index) =>
+      entry.type === "error" ? (
+        <p
+          key={index}
+          className={cn(
+            "px-4 py-1 whitespace-pre-wrap break-words",
+            LEVEL_CLASSES.error,
+          )}
+        >
+          {entry.line !== undefined && (
+            <span className="font-semibold">Line {entry.line}: </span>
+          )}
+          {entry.name}: {entry.message}
+        </p>
+      ) : (
+        <p
+          key={index}
+          className={cn(
+            "px-4 py-1 whitespace-pre-wrap break-words",
+            LEVEL_CLASSES[entry.level],
+          )}
+        >
+          {entry.text}
+        </p>
+      ),
+    )}
+  </div>
+);
+
+export default ConsolePane;
@@ -0,0 +1,97 @@
+"use client";
+
+import { useId, useRef } from "react";
+
+import { cn } from "@/lib/utils";
+
+const INDENT = "  ";
+
+// A textarea with line numbers. Tab indents, so Escape first lets Tab move
+// focus on as usual; Ctrl or Cmd+Enter runs the code.
+const Editor = ({
+  value,
+  onChange,
+  onRun,
+  errorLine,
+  label,
+}: {
+  value: string;
+  onChange: (value: string) => void;
+  onRun: () => void;
+  errorLine?: number;
+  label: string;
+}) => {
+  const hintId = useId();
+  const tabMovesFocus = useRef(false);
+  const lineCount = value.split("\n").length;
+
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (event.key === "Escape") {
+      tabMovesFocus.current = true;
+      return;
+    }
+
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      onRun();
+    } else if (
+      event.key === "Tab" &&
+      !event.shiftKey &&
+      !tabMovesFocus.current
+    ) {
+      event.preventDefault();
+      // insertText keeps the browser's undo history, setRangeText does not
+      if (!document.execCommand("insertText", false, INDENT)) {
+        event.currentTarget.setRangeText(
+          INDENT,
+          event.currentTarget.selectionStart,
+          event.currentTarget.selectionEnd,
+          "end",
+        );
+        onChange(event.currentTarget.value);
+      }
+    }
+
+    tabMovesFocus.current = false;
+  };
+
+  return (
+    <div className="flex max-h-96 overflow-y-auto font-mono text-sm leading-6">
+      <div
+        aria-hidden
+        className="shrink-0 select-none py-3 pr-3 pl-4 text-right text-muted-foreground/70"
+      >
+        {Array.from({ length: lineCount }, (_, index) => (
+          <div
+            key={index}
+            className={cn(
+              errorLine === index + 1 && "font-semibold text-destructive",
+            )}
+          >
+            {index + 1}
+          </div>
+        ))}
+      </div>
+      <textarea
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={lineCount}
+        wrap="off"
+        spellCheck={false}
+        autoCapitalize="off"
+        autoComplete="off"
+        autoCorrect="off"
+        aria-label={label}
+        aria-describedby={hintId}
+        className="min-w-0 flex-1 resize-none overflow-x-auto overflow-y-hidden bg-transparent py-3 pr-4 outline-none"
+      />
+      <p id={hintId} className="sr-only">
+        Ctrl or Command and Enter runs the code. Press Escape, then Tab, to
+        leave the editor.
+      </p>
+    </div>
+  );
+};
+
+export default Editor;
@@ -0,0 +1,82 @@
+const MAX_DEPTH = 3;
+const MAX_ITEMS = 50;
+
+// A small util.inspect for the console pane: values cross to the page as
+// text, since functions, symbols and cycles can't be posted as they are
+export function formatValue(
+  value: unknown,
+  depth = 0,
+  seen = new WeakSet<object>(),
+): string {
+  switch (typeof value) {
+    case "string":
+      return depth === 0 ? value : JSON.stringify(value);
+    case "bigint":
+      return `${value}n`;
+    case "symbol":
+    case "number":
+    case "boolean":
+    case "undefined":
+      return String(value);
+    case "function":
+      return value.toString().startsWith("class")
+        ? `[class ${value.name || "(anonymous)"}]`
+        : `[Function: ${value.name || "(anonymous)"}]`;
+  }
+
+  if (value === null) return "null";
+
+  const object = value as object;
+  if (seen.has(object)) return "[Circular]";
+
+  if (object instanceof Error) return `${object.name}: ${object.message}`;
+  if (object instanceof Date) return object.toISOString();
+  if (object instanceof RegExp) return String(object);
+  if (object instanceof Promise) return "Promise { <pending> }";
+
+  seen.add(object);
+  const nested = (item: unknown) => formatValue(item, depth + 1, seen);
+  const list = (items: string[], total: number) =>
+    total > MAX_ITEMS
+      ? [...items, `... ${total - MAX_ITEMS} more`].join(", ")
+      : items.join(", ");
+
+  try {
+    if (Array.isArray(object)) {
+      if (depth >= MAX_DEPTH) return "[Array]";
+      return `[${list(object.slice(0, MAX_ITEMS).map(nested), object.length)}]`;
+    }
+
+    if (object instanceof Map) {
+      if (depth >= MAX_DEPTH) return "[Map]";
+      const entries = Array.from(object)
+        .slice(0, MAX_ITEMS)
+        .map(([key, item]) => `${nested(key)} => ${nested(item)}`);
+      return `Map(${object.size}) {${entries.length ? ` ${list(entries, object.size)} ` : ""}}`;
+    }
+
+    if (object instanceof Set) {
+      if (depth >= MAX_DEPTH) return "[Set]";
+      const items = Array.from(object).slice(0, MAX_ITEMS).map(nested);
+      return `Set(${object.size}) {${items.length ? ` ${list(items, object.size)} ` : ""}}`;
+    }
+
+    const name = object.constructor?.name;
+    const prefix = name && name !== "Object" ? `${name} ` : "";
+    if (depth >= MAX_DEPTH) return `[${name || "Object"}]`;
+
+    const keys = Object.keys(object);
+    const entries = keys
+      .slice(0, MAX_ITEMS)
+      .map(
+        (key) =>
+          `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${nested(
+            (object as Record<string, unknown>)[key],
+          )}`,
+      );
+
+    return `${prefix}{${entries.length ? ` ${list(entries, keys.length)} ` : ""}}`;
+  } finally {
+    seen.delete(object);
+  }
+}
@@ -0,0 +1,167 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+import {
+  Check,
+  Link as LinkIcon,
+  Play,
+  RotateCcw,
+  Square,
+  X,
+} from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+
+import {
+  PLAYGROUND_PATH,
+  toShareHash,
+  type PlaygroundLanguage,
+} from "@/lib/playground";
+import { cn } from "@/lib/utils";
+
+import ConsolePane from "./console-pane";
+import Editor from "./editor";
+import { useRunner } from "./use-runner";
+
+export type PlaygroundProps = {
+  code: string;
+  language?: PlaygroundLanguage;
+  title?: string;
+  className?: string;
+};
+
+type ShareStatus = "idle" | "copied" | "failed";
+
+const SHARE_LABELS: Record<ShareStatus, string> = {
+  idle: "Copy a link to this code",
+  copied: "Link copied",
+  failed: "Could not copy the link",
+};
+
+// Runnable JavaScript or TypeScript. In MDX, add `playground` to a code
+// fence (```ts playground title="sum.ts") and lib/mdx.ts renders this
+// instead of a static code block.
+const Playground = ({
+  code: initialCode,
+  language = "js",
+  title,
+  className,
+}: PlaygroundProps) => {
+  const [code, setCode] = useState(initialCode);
+  const [hasRun, setHasRun] = useState(false);
+  const [shareStatus, setShareStatus] = useState<ShareStatus>("idle");
+  const { entries, isRunning, run, stop, clear } = useRunner();
+
+  useEffect(() => {
+    if (shareStatus === "idle") return;
+
+    const timeout = setTimeout(() => setShareStatus("idle"), 2000);
+    return () => clearTimeout(timeout);
+  }, [shareStatus]);
+
+  const errorLine = entries.findLast((entry) => entry.type === "error")?.line;
+
+  const runCode = () => {
+    setHasRun(true);
+    run({ code, language });
+  };
+
+  const reset = () => {
+    stop();
+    clear();
+    setHasRun(false);
+    setCode(initialCode);
+  };
+
+  const share = async () => {
+    const url = `${window.location.origin}${PLAYGROUND_PATH}${toShareHash({ code, language })}`;
+
+    // The clipboard is missing on insecure origins and can be denied
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus("copied");
+    } catch {
+      setShareStatus("failed");
+    }
+  };
+
+  return (
+    <section
+      aria-label={title ?? "Code playground"}
+      className={cn(
+        "my-6 overflow-hidden rounded-lg border bg-background/60 backdrop-blur-lg",
+        className,
+      )}
+    >
+      <div className="flex items-center justify-between gap-2 border-b bg-muted/50 py-1 pr-2 pl-4">
+        <span className="flex items-center gap-2 font-mono text-xs text-muted-foreground">
+          {title ?? "Playground"}
+          <span className="rounded bg-muted px-1.5 py-0.5 uppercase">
+            {language}
+          </span>
+        </span>
+        <div className="flex items-center gap-1">
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={reset}
+            aria-label="Reset code"
+            className="size-7 text-muted-foreground"
+          >
+            <RotateCcw />
+          </Button>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={share}
+            aria-label={SHARE_LABELS[shareStatus]}
+            title={shareStatus === "failed" ? SHARE_LABELS.failed : undefined}
+            className={cn(
+              "size-7 text-muted-foreground",
+              shareStatus === "failed" && "text-destructive",
+            )}
+          >
+            {shareStatus === "copied" ? (
+              <Check />
+            ) : shareStatus === "failed" ? (
+              <X />
+            ) : (
+              <LinkIcon />
+            )}
+          </Button>
+          {isRunning ? (
+            <Button
+              type="button"
+              variant="destructive"
+              size="sm"
+              onClick={stop}
+            >
+              <Square />
+              Stop
+            </Button>
+          ) : (
+            <Button type="button" size="sm" onClick={runCode}>
+              <Play />
+              Run
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Editor
+        value={code}
+        onChange={setCode}
+        onRun={runCode}
+        errorLine={errorLine}
+        label={`${title ?? "Playground"} code`}
+      />
+
+      <ConsolePane entries={entries} hasRun={hasRun} />
+    </section>
+  );
+};
+
+export default Playground;
@@ -0,0 +1,143 @@
+import { transform } from "sucrase";
+
+import type {
+  ConsoleLevel,
+  PlaygroundMessage,
+  PlaygroundRequest,
+} from "@/lib/playground";
+
+import { formatValue } from "./format-value";
+
+// Named in stack traces through the sourceURL comment below
+const FILE_NAME = "playground.js";
+// The code runs inside an async function that starts one line above it
+const WRAPPER_LINES = 1;
+// A console.log in an endless loop would otherwise flood the page
+const MAX_MESSAGES = 500;
+
+const LEVELS: ConsoleLevel[] = ["log", "info", "warn", "error", "debug"];
+
+// The worker shares the site's origin. Its CSP (next.config.ts) keeps code
+// from shared links off the network, but not away from the site's storage
+// and other tabs, so those are removed before it runs.
+const BLOCKED_GLOBALS = [
+  "indexedDB",
+  "caches",
+  "cookieStore",
+  "BroadcastChannel",
+];
+const BLOCKED_NAVIGATOR = ["storage", "locks", "serviceWorker"];
+
+let sent = 0;
+
+function post(message: PlaygroundMessage) {
+  if (message.type === "console" && ++sent > MAX_MESSAGES) {
+    if (sent === MAX_MESSAGES + 1) {
+      self.postMessage({
+        type: "console",
+        level: "warn",
+        text: `Output stopped after ${MAX_MESSAGES} messages`,
+      } satisfies PlaygroundMessage);
+    }
+    return;
+  }
+
+  self.postMessage(message);
+}
+
+function findLine(error: unknown) {
+  const stack = error instanceof Error ? (error.stack ?? "") : "";
+  const match = stack.match(/playground\.js:(\d+):\d+/);
+
+  return match ? Number(match[1]) - WRAPPER_LINES : undefined;
+}
+
+function reportError(error: unknown) {
+  if (error instanceof Error) {
+    post({
+      type: "error",
+      name: error.name,
+      message: error.message,
+      line: findLine(error),
+    });
+  } else {
+    post({
+      type: "error",
+      name: "Uncaught",
+      message: formatValue(error, 1),
+    });
+  }
+}
+
+// Deleted along the whole prototype chain, so no getter is left behind to
+// call on the object directly
+function remove(object: object, name: string) {
+  for (
+    let target: object | null = object;
+    target;
+    target = Object.getPrototypeOf(target)
+  ) {
+    Reflect.deleteProperty(target, name);
+  }
+}
+
+BLOCKED_GLOBALS.forEach((name) => remove(self, name));
+BLOCKED_NAVIGATOR.forEach((name) => remove(navigator, name));
+
+LEVELS.forEach((level) => {
+  console[level] = (...args: unknown[]) =>
+    post({
+      type: "console",
+      level,
+      text: args.map((arg) => formatValue(arg)).join(" "),
+    });
+});
+console.table = console.log;
+console.clear = () => post({ type: "clear" });
+
+// Errors thrown later, from timers and promises nobody awaited
+self.addEventListener("error", (event) => {
+  event.preventDefault();
+  reportError(event.error ?? new Error(event.message));
+});
+self.addEventListener("unhandledrejection", (event) => {
+  event.preventDefault();
+  reportError(event.reason);
+});
+
+// Every run gets a fresh worker, so there is no state to reset here
+self.onmessage = async ({ data }: MessageEvent<PlaygroundRequest>) => {
+  let code: string;
+
+  try {
+    // Sucrase only strips types and keeps every line where it was, so line
+    // numbers in errors match the editor
+    code = transform(data.code, {
+      transforms: data.language === "ts" ? ["typescript"] : [],
+      disableESTransforms: true,
+    }).code;
+  } catch (error) {
+    // Parse errors end in their position, like "Unexpected token (2:7)"
+    const { loc } = error as { loc?: { line: number } };
+    post({
+      type: "error",
+      name: "SyntaxError",
+      message: (error as Error).message.replace(/\s*\(\d+:\d+\)$/, ""),
+      line: loc?.line,
+    });
+    post({ type: "done" });
+    return;
+  }
+
+  try {
+    // Indirect eval runs in the global scope; the async wrapper allows
+    // top-level await
+    await (0, eval)(
+      `(async () => {\n${code}\n})()\n//# sourceURL=${FILE_NAME}`,
+    );
+  } catch (error) {
+    reportError(error);
+  }
+
+  post({ type: "done" });
+};
@@ -0,0 +1,56 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+import { readShareHash, type PlaygroundRequest } from "@/lib/playground";
+
+import Playground from "./playground";
+
+const DEFAULT_SNIPPET: PlaygroundRequest = {
+  language: "ts",
+  code: `type Lesson = { title: string; minutes: number };
+
+const lessons: Lesson[] = [
+  { title: "Variables", minutes: 10 },
+  { title: "Functions", minutes: 25 },
+  { title: "Async code", minutes: 40 },
+];
+
+const total = lessons.reduce((sum, lesson) => sum + lesson.minutes, 0);
+
+console.log(\`\${lessons.length} lessons, \${total} minutes\`);
+console.table(lessons);
+`,
+};
+
+// The hash is only known in the browser, so the prerendered page shows the
+// default snippet until it has been read
+const SharedPlayground = () => {
+  const [snippet, setSnippet] = useState(DEFAULT_SNIPPET);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const load = () => {
+      const shared = readShareHash(window.location.hash);
+      if (!shared) return;
+
+      setSnippet(shared);
+      setVersion((current) => current + 1);
+    };
+
+    load();
+    window.addEventListener("hashchange", load);
+    return () => window.removeEventListener("hashchange", load);
+  }, []);
+
+  return (
+    <Playground
+      key={version}
+      code={snippet.code}
+      language={snippet.language}
+      className="my-0"
+    />
+  );
+};
+
+export default SharedPlayground;
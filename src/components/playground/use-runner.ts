@@ -0,0 +1,80 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import type { PlaygroundMessage, PlaygroundRequest } from "@/lib/playground";
+
+export type ConsoleEntry = Exclude<
+  PlaygroundMessage,
+  { type: "done" | "clear" }
+>;
+
+const MAX_ENTRIES = 500;
+
+// Runs code in a Web Worker: no DOM, no access to the page, no requests but
+// for scripts on the site itself, and a worker can be terminated even in the
+// middle of an endless loop. It stays alive for timeoutMs so timers can still
+// log, then it is thrown away.
+export function useRunner(timeoutMs = 5000) {
+  const workerRef = useRef<Worker | null>(null);
+  const timerRef = useRef<ReturnType<typeof setTimeout>>(undefined);
+  const [entries, setEntries] = useState<ConsoleEntry[]>([]);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const stop = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    clearTimeout(timerRef.current);
+    setIsRunning(false);
+  }, []);
+
+  useEffect(() => stop, [stop]);
+
+  const run = useCallback(
+    (request: PlaygroundRequest) => {
+      stop();
+      setEntries([]);
+      setIsRunning(true);
+
+      const worker = new Worker(
+        // Named for its CSP header in next.config.ts
+        /* webpackChunkName: "playground-worker" */
+        new URL("./playground.worker.ts", import.meta.url),
+      );
+      let finished = false;
+
+      worker.onmessage = ({ data }: MessageEvent<PlaygroundMessage>) => {
+        if (data.type === "done") {
+          finished = true;
+          setIsRunning(false);
+        } else if (data.type === "clear") {
+          setEntries([]);
+        } else {
+          setEntries((current) => [...current, data].slice(-MAX_ENTRIES));
+        }
+      };
+
+      timerRef.current = setTimeout(() => {
+        stop();
+        if (finished) return;
+
+        setEntries((current) => [
+          ...current,
+          {
+            type: "error",
+            name: "TimeoutError",
+            message: `Stopped after ${timeoutMs / 1000} seconds. Is there an endless loop?`,
+          },
+        ]);
+      }, timeoutMs);
+
+      worker.postMessage(request);
+      workerRef.current = worker;
+    },
+    [stop, timeoutMs],
+  );
+
+  const clear = useCallback(() => setEntries([]), []);
+
+  return { entries, isRunning, run, stop, clear };
+}
@@ -0,0 +1,52 @@
+import Image from "next/image";
+import Link from "next/link";
+
+import type { ProjectSummary } from "@/lib/projects";
+import { formatDate } from "@/lib/utils";
+
+const ProjectCard = ({ project }: { project: ProjectSummary }) => {
+  return (
+    <article className="group relative flex flex-col overflow-hidden rounded-2xl border-2 border-muted bg-white/5 dark:bg-black/5 backdrop-blur-lg shadow-md transition-shadow duration-300 ease-in-out hover:shadow-sm">
+      {project.cover && (
+        <Image
+          src={project.cover}
+          alt=""
+          width={1200}
+          height={630}
+          className="aspect-[1200/630] w-full object-cover"
+        />
+      )}
+      <div className="flex flex-1 flex-col gap-3 p-5">
+        <div className="flex items-center justify-between gap-2 text-sm text-muted-foreground">
+          <time dateTime={project.date}>{formatDate(project.date)}</time>
+          {project.featured && (
+            <span className="rounded-full bg-muted px-2 py-0.5 text-xs font-medium text-primary">
+              Featured
+            </span>
+          )}
+        </div>
+        <h2 className="text-xl font-semibold tracking-tight">
+          <Link
+            href={`/projects/${project.slug}`}
+            className="after:absolute after:inset-0"
+          >
+            {project.title}
+          </Link>
+        </h2>
+        <p className="text-muted-foreground">{project.description}</p>
+        <ul className="mt-auto flex flex-wrap gap-2 pt-2">
+          {project.stack.map((item) => (
+            <li
+              key={item}
+              className="rounded-md border border-muted px-2 py-0.5 text-xs font-medium"
+            >
+              {item}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </article>
+  );
+};
+
+export default ProjectCard;
@@ -0,0 +1,137 @@
+"use client";
+
+import { usePathname, useRouter, useSearchParams } from "next/navigation";
+
+import clsx from "clsx";
+
+import type { ProjectSummary } from "@/lib/projects";
+
+import ProjectCard from "./project-card";
+
+type FilterKey = "tag" | "stack";
+
+interface ProjectExplorerProps {
+  projects: ProjectSummary[];
+  tags: string[];
+  stack: string[];
+}
+
+const FilterGroup = ({
+  label,
+  options,
+  selected,
+  onToggle,
+}: {
+  label: string;
+  options: string[];
+  selected: string[];
+  onToggle: (option: string) => void;
+}) => {
+  if (options.length === 0) return null;
+
+  return (
+    <fieldset className="flex flex-wrap items-center gap-2">
+      <legend className="sr-only">{label}</legend>
+      <span className="mr-1 text-sm font-medium text-muted-foreground">
+        {label}
+      </span>
+      {options.map((option) => {
+        const isSelected = selected.includes(option);
+
+        return (
+          <button
+            key={option}
+            type="button"
+            aria-pressed={isSelected}
+            onClick={() => onToggle(option)}
+            className={clsx(
+              "rounded-full border-2 px-3 py-0.5 text-sm transition-colors cursor-pointer",
+              isSelected
+                ? "border-primary bg-primary text-primary-foreground"
+                : "border-muted hover:bg-muted",
+            )}
+          >
+            {option}
+          </button>
+        );
+      })}
+    </fieldset>
+  );
+};
+
+// Filters live in the query string (?tag=cli&stack=Next.js), so a filtered
+// list can be shared. A project has to match every selected filter.
+const ProjectExplorer = ({ projects, tags, stack }: ProjectExplorerProps) => {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const selectedTags = searchParams.getAll("tag");
+  const selectedStack = searchParams.getAll("stack");
+
+  const toggle = (key: FilterKey, value: string) => {
+    const params = new URLSearchParams(searchParams.toString());
+    const values = params.getAll(key);
+
+    params.delete(key);
+    (values.includes(value)
+      ? values.filter((current) => current !== value)
+      : [...values, value]
+    ).forEach((current) => params.append(key, current));
+
+    const query = params.toString();
+    router.replace(query ? `${pathname}?${query}` : pathname, {
+      scroll: false,
+    });
+  };
+
+  const visibleProjects = projects.filter(
+    (project) =>
+      selectedTags.every((tag) => project.tags.includes(tag)) &&
+      selectedStack.every((item) => project.stack.includes(item)),
+  );
+
+  const hasFilters = selectedTags.length > 0 || selectedStack.length > 0;
+
+  return (
+    <div className="flex flex-col gap-8">
+      <div className="flex flex-col gap-3">
+        <FilterGroup
+          label="Tags"
+          options={tags}
+          selected={selectedTags}
+          onToggle={(tag) => toggle("tag", tag)}
+        />
+        <FilterGroup
+          label="Stack"
+          options={stack}
+          selected={selectedStack}
+          onToggle={(item) => toggle("stack", item)}
+        />
+        {hasFilters && (
+          <button
+            type="button"
+            onClick={() => router.replace(pathname, { scroll: false })}
+            className="w-fit text-sm text-muted-foreground underline underline-offset-4 hover:text-primary cursor-pointer"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {visibleProjects.length > 0 ? (
+        <div className="grid gap-6 sm:grid-cols-2">
+          {visibleProjects.map((project) => (
+            <ProjectCard key={project.slug} project={project} />
+          ))}
+        </div>
+      ) : (
+        <p className="text-muted-foreground">
+          No projects match these filters.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProjectExplorer;
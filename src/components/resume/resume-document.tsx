@@ -0,0 +1,259 @@
+import path from "path";
+
+import {
+  Document,
+  Font,
+  Link,
+  Page,
+  StyleSheet,
+  Text,
+  View,
+} from "@react-pdf/renderer";
+
+import type { Resume } from "@/data/resume";
+import { formatDateRange, formatLocation } from "@/lib/resume";
+
+// The site's fonts (see src/config/fonts.ts), embedded from the files of
+// the geist package, since react-pdf can't use the ones next/font serves
+const GEIST_FONTS = path.join(process.cwd(), "node_modules/geist/dist/fonts");
+
+Font.register({
+  family: "Geist",
+  fonts: [
+    { src: path.join(GEIST_FONTS, "geist-sans/Geist-Regular.ttf") },
+    {
+      src: path.join(GEIST_FONTS, "geist-sans/Geist-SemiBold.ttf"),
+      fontWeight: 600,
+    },
+    {
+      src: path.join(GEIST_FONTS, "geist-sans/Geist-Bold.ttf"),
+      fontWeight: 700,
+    },
+  ],
+});
+
+Font.register({
+  family: "Geist Mono",
+  src: path.join(GEIST_FONTS, "geist-mono/GeistMono-Regular.ttf"),
+});
+
+// The light theme's colors (see globals.css), as react-pdf has no CSS
+// variables
+const COLORS = {
+  foreground: "#0a0a0a",
+  muted: "#e5e5e5",
+  mutedForeground: "#737373",
+};
+
+const styles = StyleSheet.create({
+  page: {
+    paddingVertical: 44,
+    paddingHorizontal: 50,
+    fontFamily: "Geist",
+    fontSize: 10,
+    lineHeight: 1.45,
+    color: COLORS.foreground,
+  },
+  name: { fontSize: 24, fontWeight: 700 },
+  label: { fontSize: 12, color: COLORS.mutedForeground, marginBottom: 6 },
+  contacts: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    columnGap: 12,
+    color: COLORS.mutedForeground,
+    marginBottom: 8,
+  },
+  link: { color: COLORS.mutedForeground, textDecoration: "none" },
+  section: { marginTop: 14 },
+  sectionTitle: {
+    fontSize: 9,
+    fontWeight: 600,
+    letterSpacing: 1.5,
+    textTransform: "uppercase",
+    color: COLORS.mutedForeground,
+    borderBottomWidth: 1.5,
+    borderBottomColor: COLORS.muted,
+    paddingBottom: 2,
+    marginBottom: 6,
+  },
+  entry: { marginBottom: 8 },
+  entryHeader: { flexDirection: "row", justifyContent: "space-between" },
+  entryTitle: { fontWeight: 600 },
+  entrySubtitle: { fontWeight: 400, color: COLORS.mutedForeground },
+  dates: {
+    fontFamily: "Geist Mono",
+    fontSize: 9,
+    color: COLORS.mutedForeground,
+  },
+  bullet: { flexDirection: "row", paddingLeft: 6 },
+  bulletMark: {
+    width: 3,
+    height: 3,
+    borderRadius: 1.5,
+    backgroundColor: COLORS.foreground,
+    marginTop: 6,
+    marginRight: 7,
+  },
+  bulletText: { flex: 1 },
+  skill: { flexDirection: "row", marginBottom: 2 },
+  skillName: { width: 80, fontWeight: 600 },
+  skillKeywords: { flex: 1, color: COLORS.mutedForeground },
+});
+
+const Section = ({
+  title,
+  children,
+}: {
+  title: string;
+  children: React.ReactNode;
+}) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle} minPresenceAhead={40}>
+      {title}
+    </Text>
+    {children}
+  </View>
+);
+
+const Entry = ({
+  title,
+  subtitle,
+  dates,
+  children,
+}: {
+  title: string;
+  subtitle?: string;
+  dates: string;
+  children?: React.ReactNode;
+}) => (
+  <View style={styles.entry} wrap={false}>
+    <View style={styles.entryHeader}>
+      <Text style={styles.entryTitle}>
+        {title}
+        {subtitle && <Text style={styles.entrySubtitle}> · {subtitle}</Text>}
+      </Text>
+      <Text style={styles.dates}>{dates}</Text>
+    </View>
+    {children}
+  </View>
+);
+
+const Bullets = ({ items }: { items: string[] }) =>
+  items.map((item) => (
+    <View key={item} style={styles.bullet}>
+      <View style={styles.bulletMark} />
+      <Text style={styles.bulletText}>{item}</Text>
+    </View>
+  ));
+
+export function ResumeDocument({ resume }: { resume: Resume }) {
+  const { basics, work, education, skills, languages, projects } = resume;
+  const location = formatLocation(basics.location);
+
+  return (
+    <Document
+      title={`Resume · ${basics.name}`}
+      author={basics.name}
+      subject={basics.label}
+      language="en"
+    >
+      <Page size="A4" style={styles.page}>
+        <Text style={styles.name}>{basics.name}</Text>
+        {basics.label && <Text style={styles.label}>{basics.label}</Text>}
+
+        <View style={styles.contacts}>
+          {location && <Text>{location}</Text>}
+          {basics.email && (
+            <Link src={`mailto:${basics.email}`} style={styles.link}>
+              {basics.email}
+            </Link>
+          )}
+          {basics.url && (
+            <Link src={basics.url} style={styles.link}>
+              {basics.url.replace(/^https?:\/\//, "")}
+            </Link>
+          )}
+          {basics.profiles?.map((profile) => (
+            <Link key={profile.network} src={profile.url} style={styles.link}>
+              {profile.network}
+              {profile.username && `: ${profile.username}`}
+            </Link>
+          ))}
+        </View>
+
+        {basics.summary && <Text>{basics.summary}</Text>}
+
+        {work && work.length > 0 && (
+          <Section title="Experience">
+            {work.map((job) => (
+              <Entry
+                key={`${job.name}-${job.startDate}`}
+                title={job.position}
+                subtitle={job.name}
+                dates={formatDateRange(job.startDate, job.endDate)}
+              >
+                {job.summary && <Text>{job.summary}</Text>}
+                {job.highlights && <Bullets items={job.highlights} />}
+              </Entry>
+            ))}
+          </Section>
+        )}
+
+        {projects && projects.length > 0 && (
+          <Section title="Projects">
+            {projects.map((project) => (
+              <Entry
+                key={project.name}
+                title={project.name}
+                subtitle={project.keywords?.join(", ")}
+                dates={formatDateRange(project.startDate, project.endDate)}
+              >
+                {project.description && <Text>{project.description}</Text>}
+              </Entry>
+            ))}
+          </Section>
+        )}
+
+        {education && education.length > 0 && (
+          <Section title="Education">
+            {education.map((school) => (
+              <Entry
+                key={school.institution}
+                title={school.institution}
+                subtitle={[school.studyType, school.area]
+                  .filter(Boolean)
+                  .join(", ")}
+                dates={formatDateRange(school.startDate, school.endDate)}
+              />
+            ))}
+          </Section>
+        )}
+
+        {skills && skills.length > 0 && (
+          <Section title="Skills">
+            {skills.map((skill) => (
+              <View key={skill.name} style={styles.skill}>
+                <Text style={styles.skillName}>{skill.name}</Text>
+                <Text style={styles.skillKeywords}>
+                  {skill.keywords?.join(" · ")}
+                </Text>
+              </View>
+            ))}
+          </Section>
+        )}
+
+        {languages && languages.length > 0 && (
+          <Section title="Languages">
+            <Text>
+              {languages
+                .map(({ language, fluency }) =>
+                  fluency ? `${language} (${fluency})` : language,
+                )
+                .join(" · ")}
+            </Text>
+          </Section>
+        )}
+      </Page>
+    </Document>
+  );
+}
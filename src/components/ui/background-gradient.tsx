@@ -55,7 +55,7 @@ const COLOR_VARIANTS = {
 
 const AnimatedGrid = () => (
   <motion.div
-    className="absolute inset-0 [mask-image:radial-gradient(ellipse_at_center,transparent_30%,black)]"
+    className="absolute inset-0 [mask-image:radial-gradient(ellipse_at_center,transparent_30%,black)] print:hidden"
     animate={{
       backgroundPosition: ["0% 0%", "100% 100%"],
     }}
@@ -99,7 +99,7 @@ export function BackgroundGradient({
       )}
 
       <motion.div
-        className="absolute inset-0"
+        className="absolute inset-0 print:hidden"
         initial={{ opacity: 0 }}
         animate={{
           opacity: [0.6, 0.8, 0.6],
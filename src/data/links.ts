@@ -2,6 +2,7 @@ export const LINKS = [
   { href: "/", label: "Home" },
   { href: "/resume", label: "Resume" },
   { href: "/projects", label: "Projects" },
+  { href: "/blog", label: "Blog" },
   { href: "/contact", label: "Contact" },
 ] as const;
 
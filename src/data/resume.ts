@@ -0,0 +1,176 @@
+// Types follow the JSON Resume schema (https://jsonresume.org/schema), so
+// resume.json can be read by any JSON Resume tool or theme. Dates are ISO
+// 8601 and may be partial: "2024", "2024-03" or "2024-03-18".
+
+export const RESUME_SCHEMA_URL =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+export type ResumeLocation = {
+  address?: string;
+  postalCode?: string;
+  city?: string;
+  countryCode?: string;
+  region?: string;
+};
+
+export type ResumeProfile = {
+  network: string;
+  username?: string;
+  url: string;
+};
+
+export type ResumeBasics = {
+  name: string;
+  label?: string;
+  image?: string;
+  email?: string;
+  phone?: string;
+  url?: string;
+  summary?: string;
+  location?: ResumeLocation;
+  profiles?: ResumeProfile[];
+};
+
+export type ResumeWork = {
+  name: string;
+  position: string;
+  url?: string;
+  location?: string;
+  startDate: string;
+  // No end date means the position is current
+  endDate?: string;
+  summary?: string;
+  highlights?: string[];
+};
+
+export type ResumeEducation = {
+  institution: string;
+  url?: string;
+  area?: string;
+  studyType?: string;
+  startDate?: string;
+  endDate?: string;
+  score?: string;
+  courses?: string[];
+};
+
+export type ResumeSkill = {
+  name: string;
+  level?: string;
+  keywords?: string[];
+};
+
+export type ResumeLanguage = {
+  language: string;
+  fluency?: string;
+};
+
+export type ResumeProject = {
+  name: string;
+  description?: string;
+  highlights?: string[];
+  keywords?: string[];
+  startDate?: string;
+  endDate?: string;
+  url?: string;
+};
+
+export type Resume = {
+  basics: ResumeBasics;
+  work?: ResumeWork[];
+  education?: ResumeEducation[];
+  skills?: ResumeSkill[];
+  languages?: ResumeLanguage[];
+  projects?: ResumeProject[];
+  meta?: {
+    canonical?: string;
+    version?: string;
+    lastModified?: string;
+  };
+};
+
+// The one source for /resume, /resume.pdf and /resume.json. Replace the
+// placeholder details with your own.
+export const RESUME: Resume = {
+  basics: {
+    name: "Jane Doe",
+    label: "Full-Stack JavaScript Developer",
+    email: "jane@example.com",
+    url: "https://jscodemy.dev",
+    summary:
+      "JavaScript developer who enjoys building fast, accessible web apps and the tooling around them. Most at home with React, Next.js and Node.js, and happiest when a team's workflow gets simpler.",
+    location: { city: "Berlin", countryCode: "DE" },
+    profiles: [
+      {
+        network: "GitHub",
+        username: "jscodemy",
+        url: "https://github.com/jscodemy",
+      },
+    ],
+  },
+  work: [
+    {
+      name: "Example Labs",
+      position: "Senior Frontend Engineer",
+      startDate: "2022-03",
+      summary:
+        "Lead the web platform team behind the customer dashboard and the design system.",
+      highlights: [
+        "Moved the dashboard to the Next.js App Router, halving the JavaScript sent to the browser",
+        "Built the shared component library used by four product teams",
+        "Introduced conventional commits and automated releases",
+      ],
+    },
+    {
+      name: "Sample Studio",
+      position: "Web Developer",
+      startDate: "2019-06",
+      endDate: "2022-02",
+      highlights: [
+        "Shipped marketing sites and web shops for more than thirty clients",
+        "Set up visual regression tests for the shared themes",
+      ],
+    },
+  ],
+  education: [
+    {
+      institution: "Example University",
+      area: "Computer Science",
+      studyType: "Bachelor",
+      startDate: "2015-10",
+      endDate: "2019-05",
+    },
+  ],
+  skills: [
+    {
+      name: "Frontend",
+      keywords: ["TypeScript", "React", "Next.js", "Tailwind CSS", "Motion"],
+    },
+    {
+      name: "Backend",
+      keywords: ["Node.js", "PostgreSQL", "REST", "GraphQL"],
+    },
+    {
+      name: "Tooling",
+      keywords: ["Git", "GitHub Actions", "ESLint", "Vitest", "Playwright"],
+    },
+  ],
+  languages: [
+    { language: "English", fluency: "Fluent" },
+    { language: "German", fluency: "Native speaker" },
+  ],
+  projects: [
+    {
+      name: "JSCODEMY CLI",
+      description:
+        "Interactive git wizards that stage, commit and push following a shared conventional commit convention.",
+      keywords: ["Node.js", "commitlint", "Husky"],
+      startDate: "2025-06",
+    },
+  ],
+  meta: {
+    canonical: "https://jscodemy.dev/resume.json",
+    version: "v1.0.0",
+    lastModified: "2025-06-02",
+  },
+};
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { getClientIp, rateLimit } from "./rate-limit";
+
+const MINUTE = 60 * 1000;
+
+describe("getClientIp", () => {
+  const ipFor = (
+    headers: Record<string, string>,
+    env: Record<string, string | undefined> = {},
+  ) => getClientIp(new Headers(headers), env);
+
+  it("takes the entry the proxy appended", () => {
+    assert.equal(
+      ipFor({ "x-forwarded-for": "1.2.3.4, 203.0.113.7" }),
+      "203.0.113.7",
+    );
+    assert.equal(ipFor({ "x-forwarded-for": "203.0.113.7" }), "203.0.113.7");
+  });
+
+  it("counts CONTACT_TRUSTED_PROXIES entries from the right", () => {
+    const headers = { "x-forwarded-for": "1.2.3.4, 203.0.113.7, 10.0.0.2" };
+
+    assert.equal(
+      ipFor(headers, { CONTACT_TRUSTED_PROXIES: "2" }),
+      "203.0.113.7",
+    );
+    assert.equal(ipFor(headers, { CONTACT_TRUSTED_PROXIES: "3" }), "1.2.3.4");
+    assert.equal(ipFor(headers, { CONTACT_TRUSTED_PROXIES: "4" }), null);
+  });
+
+  it("ignores the headers without a trusted proxy", () => {
+    assert.equal(
+      ipFor(
+        { "x-forwarded-for": "203.0.113.7", "x-real-ip": "203.0.113.8" },
+        { CONTACT_TRUSTED_PROXIES: "0" },
+      ),
+      null,
+    );
+  });
+
+  it("falls back to one proxy for settings that aren't a count", () => {
+    const headers = { "x-forwarded-for": "1.2.3.4, 203.0.113.7" };
+
+    assert.equal(
+      ipFor(headers, { CONTACT_TRUSTED_PROXIES: "many" }),
+      "203.0.113.7",
+    );
+    assert.equal(
+      ipFor(headers, { CONTACT_TRUSTED_PROXIES: "-1" }),
+      "203.0.113.7",
+    );
+  });
+
+  it("doesn't trust x-real-ip, which the client can set", () => {
+    assert.equal(ipFor({ "x-real-ip": "203.0.113.8" }), null);
+    assert.equal(ipFor({ "x-forwarded-for": " , " }), null);
+  });
+});
+
+describe("rateLimit", () => {
+  it("allows a few messages per window, then says when to retry", () => {
+    const start = Date.UTC(2025, 0, 1);
+    const results = Array.from({ length: 6 }, (_, n) =>
+      rateLimit("198.51.100.1", start + n * MINUTE),
+    );
+
+    assert.deepEqual(
+      results.map((result) => result.allowed),
+      [true, true, true, true, true, false],
+    );
+    assert.deepEqual(results[5], {
+      allowed: false,
+      retryAfterMs: 5 * MINUTE,
+    });
+  });
+
+  it("allows more once the oldest message leaves the window", () => {
+    const start = Date.UTC(2025, 0, 2);
+    for (let n = 0; n < 5; n++) rateLimit("198.51.100.2", start + n * MINUTE);
+
+    assert.equal(rateLimit("198.51.100.2", start + 9 * MINUTE).allowed, false);
+    assert.equal(rateLimit("198.51.100.2", start + 10 * MINUTE).allowed, true);
+  });
+
+  it("counts every client on its own", () => {
+    const start = Date.UTC(2025, 0, 3);
+    for (let n = 0; n < 5; n++) rateLimit("198.51.100.3", start + n);
+
+    assert.equal(rateLimit("198.51.100.3", start + 5).allowed, false);
+    assert.equal(rateLimit("198.51.100.4", start + 5).allowed, true);
+  });
+});
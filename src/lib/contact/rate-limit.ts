@@ -0,0 +1,54 @@
+const WINDOW_MS = 10 * 60 * 1000;
+const MAX_MESSAGES = 5;
+
+// Sliding window per IP. It lives in memory, so every server instance
+// counts on its own and a restart forgets everything: enough to stop one
+// client from flooding the inbox, not a distributed limiter.
+const hits = new Map<string, number[]>();
+
+export type RateLimit =
+  | { allowed: true }
+  | { allowed: false; retryAfterMs: number };
+
+export function rateLimit(key: string, now = Date.now()): RateLimit {
+  for (const [client, times] of hits) {
+    if (times[times.length - 1] <= now - WINDOW_MS) hits.delete(client);
+  }
+
+  const recent = (hits.get(key) ?? []).filter((time) => time > now - WINDOW_MS);
+
+  if (recent.length >= MAX_MESSAGES) {
+    hits.set(key, recent);
+    return { allowed: false, retryAfterMs: recent[0] + WINDOW_MS - now };
+  }
+
+  hits.set(key, [...recent, now]);
+  return { allowed: true };
+}
+
+// Each proxy in front of the app appends the address it got the request
+// from to x-forwarded-for, so only the last CONTACT_TRUSTED_PROXIES entries
+// (default 1) can be trusted; anything left of them came from the client.
+// The limit only holds behind such a proxy: `next start` on its own keeps
+// an x-forwarded-for the client sent, so the client picks its own address.
+// Set CONTACT_TRUSTED_PROXIES=0 there to ignore the header. Null without a
+// trusted address, rather than one bucket shared by everyone.
+export function getClientIp(
+  headers: Headers,
+  env: Record<string, string | undefined> = process.env,
+) {
+  const setting = Number(env.CONTACT_TRUSTED_PROXIES || 1);
+  if (setting === 0) return null;
+
+  const trustedProxies = Number.isInteger(setting) && setting > 0 ? setting : 1;
+
+  const forwardedFor = (headers.get("x-forwarded-for") ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  // A shorter chain didn't pass through every proxy
+  if (forwardedFor.length < trustedProxies) return null;
+
+  return forwardedFor[forwardedFor.length - trustedProxies];
+}
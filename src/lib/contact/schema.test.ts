@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { readContactValues, validateContact } from "./schema";
+
+const VALID = {
+  name: "Ada Lovelace",
+  email: "ada@example.com",
+  message: "I have a question about your engine.",
+};
+
+describe("readContactValues", () => {
+  it("reads every field, as an empty string when missing or a file", () => {
+    const formData = new FormData();
+    formData.set("name", "Ada");
+    formData.set("email", new Blob(["ada@example.com"]));
+    formData.set("website", "spam.example");
+
+    assert.deepEqual(readContactValues(formData), {
+      name: "Ada",
+      email: "",
+      message: "",
+    });
+  });
+});
+
+describe("validateContact", () => {
+  it("trims what it accepts", () => {
+    assert.deepEqual(validateContact({ ...VALID, name: "  Ada Lovelace \n" }), {
+      success: true,
+      data: VALID,
+    });
+  });
+
+  it("reports what is wrong with every field", () => {
+    const result = validateContact({
+      name: "   ",
+      email: "ada@",
+      message: "Hi",
+    });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors, {
+      name: ["Please enter your name"],
+      email: ["Please enter a valid email address"],
+      message: ["Please write at least 10 characters"],
+    });
+  });
+
+  it("limits the length of every field", () => {
+    const result = validateContact({
+      name: "a".repeat(101),
+      email: `${"a".repeat(250)}@example.com`,
+      message: "a".repeat(5001),
+    });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors, {
+      name: ["Please keep your name under 100 characters"],
+      email: ["Please enter a shorter email address"],
+      message: ["Please keep your message under 5000 characters"],
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { z } from "zod";
+
+// Shared by the form, which checks before sending, and the server action,
+// which never trusts what the browser sent
+export const contactSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, { error: "Please enter your name" })
+    .max(100, { error: "Please keep your name under 100 characters" }),
+  email: z
+    .string()
+    .trim()
+    .min(1, { error: "Please enter your email address" })
+    .max(254, { error: "Please enter a shorter email address" })
+    .pipe(z.email({ error: "Please enter a valid email address" })),
+  message: z
+    .string()
+    .trim()
+    .min(10, { error: "Please write at least 10 characters" })
+    .max(5000, { error: "Please keep your message under 5000 characters" }),
+});
+
+export type ContactInput = z.infer<typeof contactSchema>;
+
+// The spam checks' fields. People never see the honeypot, so anything typed
+// into it came from a bot.
+export const HONEYPOT_FIELD = "website";
+// Issued by the server when the form is shown, for the time trap
+export const FORM_TOKEN_FIELD = "formToken";
+
+export type ContactField = keyof ContactInput;
+
+export const CONTACT_FIELDS = Object.keys(
+  contactSchema.shape,
+) as ContactField[];
+
+export type ContactFieldErrors = Partial<Record<ContactField, string[]>>;
+
+export type ContactFormState =
+  | { status: "idle" }
+  | { status: "success" }
+  | {
+      status: "invalid" | "error";
+      message?: string;
+      errors?: ContactFieldErrors;
+      // Sent back so the form keeps what was typed
+      values: Partial<Record<ContactField, string>>;
+    };
+
+export function readContactValues(formData: FormData) {
+  return Object.fromEntries(
+    CONTACT_FIELDS.map((field) => {
+      const value = formData.get(field);
+      return [field, typeof value === "string" ? value : ""];
+    }),
+  ) as Record<ContactField, string>;
+}
+
+export function validateContact(values: Record<ContactField, string>) {
+  const result = contactSchema.safeParse(values);
+
+  return result.success
+    ? ({ success: true, data: result.data } as const)
+    : ({
+        success: false,
+        errors: z.flattenError(result.error).fieldErrors as ContactFieldErrors,
+      } as const);
+}
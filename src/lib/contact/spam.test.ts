@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { FORM_TOKEN_FIELD, HONEYPOT_FIELD } from "./schema";
+import { checkSpam, createFormToken } from "./spam";
+
+const ENV = { CONTACT_FORM_SECRET: "test secret" };
+const ISSUED_AT = Date.UTC(2025, 0, 1);
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
+
+const submission = (fields: Record<string, string>) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => formData.set(name, value));
+  return formData;
+};
+
+const check = (fields: Record<string, string>, elapsed = 10 * SECOND) =>
+  checkSpam(submission(fields), ISSUED_AT + elapsed, ENV);
+
+const token = createFormToken(ISSUED_AT, ENV);
+
+describe("checkSpam", () => {
+  it("accepts a form filled in at a human pace", () => {
+    assert.equal(check({ [FORM_TOKEN_FIELD]: token }), "ok");
+    assert.equal(check({ [FORM_TOKEN_FIELD]: token }, 23 * HOUR), "ok");
+  });
+
+  it("takes a filled-in honeypot for a bot", () => {
+    assert.equal(
+      check({ [FORM_TOKEN_FIELD]: token, [HONEYPOT_FIELD]: "spam.example" }),
+      "bot",
+    );
+  });
+
+  it("takes a form sent within seconds for a bot", () => {
+    assert.equal(check({ [FORM_TOKEN_FIELD]: token }, 2 * SECOND), "bot");
+  });
+
+  it("expires forms after a day", () => {
+    assert.equal(check({ [FORM_TOKEN_FIELD]: token }, 25 * HOUR), "expired");
+  });
+
+  it("expires forms without a token, like those sent without JavaScript", () => {
+    assert.equal(check({}), "expired");
+    assert.equal(check({ [FORM_TOKEN_FIELD]: "" }), "expired");
+  });
+
+  it("rejects start times the server didn't sign", () => {
+    const [, signature] = token.split(".");
+    const forged = [
+      String(ISSUED_AT - HOUR),
+      `${ISSUED_AT - HOUR}.${signature}`,
+      `${ISSUED_AT}.${signature}x`,
+      `${ISSUED_AT}.${signature}.${signature}`,
+      createFormToken(ISSUED_AT, { CONTACT_FORM_SECRET: "another secret" }),
+    ];
+
+    forged.forEach((value) =>
+      assert.equal(check({ [FORM_TOKEN_FIELD]: value }), "expired", value),
+    );
+  });
+
+  it("signs with a key of its own without CONTACT_FORM_SECRET", () => {
+    const unsigned = createFormToken(ISSUED_AT, {});
+
+    assert.equal(
+      checkSpam(
+        submission({ [FORM_TOKEN_FIELD]: unsigned }),
+        ISSUED_AT + 10 * SECOND,
+        {},
+      ),
+      "ok",
+    );
+    assert.notEqual(unsigned, token);
+  });
+});
@@ -0,0 +1,65 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+import { FORM_TOKEN_FIELD, HONEYPOT_FIELD } from "./schema";
+
+// Faster than anyone can type a message
+const MIN_FILL_MS = 3_000;
+// Older forms are more likely replayed than still being written
+const MAX_FILL_MS = 24 * 60 * 60 * 1000;
+
+// Without CONTACT_FORM_SECRET every server instance signs with its own key,
+// and a restart expires the forms that are open
+const processSecret = randomBytes(32).toString("hex");
+
+type Env = Record<string, string | undefined>;
+
+const getSecret = (env: Env) => env.CONTACT_FORM_SECRET || processSecret;
+
+const sign = (issuedAt: string, secret: string) =>
+  createHmac("sha256", secret).update(issuedAt).digest("base64url");
+
+// The time the form was shown, signed so a bot posting directly can't make
+// up an older one: "<ms since epoch>.<HMAC>"
+export function createFormToken(now = Date.now(), env: Env = process.env) {
+  const issuedAt = String(now);
+  return `${issuedAt}.${sign(issuedAt, getSecret(env))}`;
+}
+
+// When the token was issued, or null when it wasn't issued by this server
+function readFormToken(token: string, env: Env) {
+  const [issuedAt, signature, ...rest] = token.split(".");
+  if (!/^\d+$/.test(issuedAt) || !signature || rest.length) return null;
+
+  const expected = Buffer.from(sign(issuedAt, getSecret(env)));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return Number(issuedAt);
+}
+
+// "bot" should look like it worked, so there is nothing to tune against.
+// "expired" also covers browsers without JavaScript, which never get a
+// token, and tokens signed with another key, so those people get a message
+// instead.
+export type SpamCheck = "ok" | "bot" | "expired";
+
+export function checkSpam(
+  formData: FormData,
+  now = Date.now(),
+  env: Env = process.env,
+): SpamCheck {
+  const honeypot = formData.get(HONEYPOT_FIELD);
+  if (typeof honeypot === "string" && honeypot !== "") return "bot";
+
+  const token = formData.get(FORM_TOKEN_FIELD);
+  const issuedAt = typeof token === "string" ? readFormToken(token, env) : null;
+  if (issuedAt === null) return "expired";
+
+  const elapsed = now - issuedAt;
+  if (elapsed < MIN_FILL_MS) return "bot";
+  if (elapsed > MAX_FILL_MS) return "expired";
+
+  return "ok";
+}
@@ -0,0 +1,186 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createHmac } from "crypto";
+import { createServer, type IncomingMessage } from "http";
+import type { AddressInfo } from "net";
+import os from "os";
+import path from "path";
+import { after, before, describe, it, mock } from "node:test";
+
+import {
+  ContactDeliveryError,
+  createContactTransport,
+  type ContactMessage,
+} from "./transports";
+import { formatContactMessage } from "./transports/types";
+
+const MESSAGE: ContactMessage = {
+  name: "Ada Lovelace",
+  email: "ada@example.com",
+  message: "I have a question about your engine.",
+  ip: "203.0.113.7",
+  receivedAt: "2025-01-01T12:00:00.000Z",
+};
+
+describe("createContactTransport", () => {
+  it("logs to the console outside production by default", () => {
+    assert.equal(createContactTransport({}).name, "console");
+    assert.equal(
+      createContactTransport({ NODE_ENV: "development" }).name,
+      "console",
+    );
+  });
+
+  it("makes production choose a transport", () => {
+    assert.throws(
+      () => createContactTransport({ NODE_ENV: "production" }),
+      ContactDeliveryError,
+    );
+  });
+
+  it("rejects unknown transports and missing settings", () => {
+    assert.throws(
+      () => createContactTransport({ CONTACT_TRANSPORT: "pigeon" }),
+      /Unknown CONTACT_TRANSPORT "pigeon"/,
+    );
+    assert.throws(
+      () => createContactTransport({ CONTACT_TRANSPORT: "webhook" }),
+      /CONTACT_WEBHOOK_URL is required/,
+    );
+    assert.throws(
+      () =>
+        createContactTransport({
+          CONTACT_TRANSPORT: "smtp",
+          CONTACT_SMTP_URL: "smtp://localhost:2525",
+        }),
+      /CONTACT_EMAIL_FROM is required/,
+    );
+  });
+});
+
+describe("formatContactMessage", () => {
+  it("leads with the sender and leaves out a missing address", () => {
+    assert.equal(
+      formatContactMessage(MESSAGE),
+      [
+        "From: Ada Lovelace <ada@example.com>",
+        "Received: 2025-01-01T12:00:00.000Z (203.0.113.7)",
+        "",
+        "I have a question about your engine.",
+      ].join("\n"),
+    );
+    assert.match(
+      formatContactMessage({ ...MESSAGE, ip: null }),
+      /^Received: 2025-01-01T12:00:00.000Z$/m,
+    );
+  });
+});
+
+describe("file transport", () => {
+  it("appends one JSON message per line, creating the directory", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jscodemy-contact-"));
+    const filePath = path.join(dir, "inbox", "messages.jsonl");
+    const transport = createContactTransport({
+      CONTACT_TRANSPORT: "file",
+      CONTACT_FILE_PATH: filePath,
+    });
+
+    try {
+      await transport.send(MESSAGE);
+      await transport.send({ ...MESSAGE, ip: null });
+
+      const lines = fs.readFileSync(filePath, "utf-8").trimEnd().split("\n");
+      assert.deepEqual(
+        lines.map((line) => JSON.parse(line)),
+        [MESSAGE, { ...MESSAGE, ip: null }],
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("console transport", () => {
+  it("logs the formatted message", async () => {
+    const info = mock.method(console, "info", () => {});
+
+    try {
+      await createContactTransport({ CONTACT_TRANSPORT: "console" }).send(
+        MESSAGE,
+      );
+    } finally {
+      info.mock.restore();
+    }
+
+    assert.equal(info.mock.callCount(), 1);
+    assert.equal(
+      info.mock.calls[0].arguments[0],
+      `New contact message\n${formatContactMessage(MESSAGE)}`,
+    );
+  });
+});
+
+describe("webhook transport", () => {
+  const requests: { headers: IncomingMessage["headers"]; body: string }[] = [];
+  let status = 200;
+  let url = "";
+
+  const server = createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      requests.push({ headers: request.headers, body });
+      response.writeHead(status).end();
+    });
+  });
+
+  before(async () => {
+    await new Promise<void>((resolve) =>
+      server.listen(0, "127.0.0.1", resolve),
+    );
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/hook`;
+  });
+
+  after(() => server.close());
+
+  it("posts the message as JSON, signed with the secret", async () => {
+    status = 200;
+    await createContactTransport({
+      CONTACT_TRANSPORT: "webhook",
+      CONTACT_WEBHOOK_URL: url,
+      CONTACT_WEBHOOK_SECRET: "webhook secret",
+    }).send(MESSAGE);
+
+    const { headers, body } = requests.at(-1)!;
+    assert.deepEqual(JSON.parse(body), MESSAGE);
+    assert.equal(headers["content-type"], "application/json");
+    assert.equal(
+      headers["x-contact-signature"],
+      `sha256=${createHmac("sha256", "webhook secret").update(body).digest("hex")}`,
+    );
+  });
+
+  it("sends no signature without a secret", async () => {
+    status = 204;
+    await createContactTransport({
+      CONTACT_TRANSPORT: "webhook",
+      CONTACT_WEBHOOK_URL: url,
+    }).send(MESSAGE);
+
+    assert.equal(requests.at(-1)!.headers["x-contact-signature"], undefined);
+  });
+
+  it("reports a failed delivery", async () => {
+    status = 502;
+
+    await assert.rejects(
+      createContactTransport({
+        CONTACT_TRANSPORT: "webhook",
+        CONTACT_WEBHOOK_URL: url,
+      }).send(MESSAGE),
+      (error) =>
+        error instanceof ContactDeliveryError &&
+        /responded with 502/.test(error.message),
+    );
+  });
+});
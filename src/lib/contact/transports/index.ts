@@ -0,0 +1,74 @@
+import path from "path";
+
+import { createConsoleTransport, createFileTransport } from "./local";
+import { createSmtpTransport } from "./smtp";
+import { ContactDeliveryError, type ContactTransport } from "./types";
+import { createWebhookTransport } from "./webhook";
+
+export {
+  ContactDeliveryError,
+  type ContactMessage,
+  type ContactTransport,
+} from "./types";
+
+type Env = Record<string, string | undefined>;
+
+function requireEnv(env: Env, name: string) {
+  const value = env[name];
+  if (!value) {
+    throw new ContactDeliveryError(`${name} is required by this transport`);
+  }
+  return value;
+}
+
+// Picked by CONTACT_TRANSPORT:
+//   smtp     CONTACT_SMTP_URL, CONTACT_EMAIL_FROM, CONTACT_EMAIL_TO
+//   webhook  CONTACT_WEBHOOK_URL, CONTACT_WEBHOOK_SECRET (optional)
+//   file     CONTACT_FILE_PATH (default .contact/messages.jsonl)
+//   console  logs the message on the server
+// Outside production it defaults to console; production has to choose, so
+// messages are never silently dropped.
+export function createContactTransport(
+  env: Env = process.env,
+): ContactTransport {
+  const name =
+    env.CONTACT_TRANSPORT ||
+    (env.NODE_ENV === "production" ? undefined : "console");
+
+  switch (name) {
+    case "smtp":
+      return createSmtpTransport({
+        url: requireEnv(env, "CONTACT_SMTP_URL"),
+        from: requireEnv(env, "CONTACT_EMAIL_FROM"),
+        to: requireEnv(env, "CONTACT_EMAIL_TO"),
+      });
+    case "webhook":
+      return createWebhookTransport({
+        url: requireEnv(env, "CONTACT_WEBHOOK_URL"),
+        secret: env.CONTACT_WEBHOOK_SECRET,
+      });
+    case "file":
+      return createFileTransport(
+        path.resolve(env.CONTACT_FILE_PATH || ".contact/messages.jsonl"),
+      );
+    case "console":
+      return createConsoleTransport();
+    case undefined:
+      throw new ContactDeliveryError(
+        "CONTACT_TRANSPORT is not set (smtp, webhook, file or console)",
+      );
+    default:
+      throw new ContactDeliveryError(
+        `Unknown CONTACT_TRANSPORT "${name}" (smtp, webhook, file or console)`,
+      );
+  }
+}
+
+let transport: ContactTransport | undefined;
+
+// Created on first use, so a misconfigured transport fails a submission
+// instead of the build
+export function getContactTransport() {
+  transport ??= createContactTransport();
+  return transport;
+}
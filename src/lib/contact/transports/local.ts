@@ -0,0 +1,24 @@
+import fs from "fs/promises";
+import path from "path";
+
+import { formatContactMessage, type ContactTransport } from "./types";
+
+// One JSON message per line, easy to read back in tests
+export function createFileTransport(filePath: string): ContactTransport {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(message)}\n`);
+    },
+  };
+}
+
+export function createConsoleTransport(): ContactTransport {
+  return {
+    name: "console",
+    async send(message) {
+      console.info(`New contact message\n${formatContactMessage(message)}`);
+    },
+  };
+}
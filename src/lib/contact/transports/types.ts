@@ -0,0 +1,30 @@
+import type { ContactInput } from "../schema";
+
+export type ContactMessage = ContactInput & {
+  // Null when the app runs without a proxy that reports it
+  ip: string | null;
+  receivedAt: string;
+};
+
+// Anything that can take a validated message somewhere. Throw to report a
+// failed delivery; the form then asks the visitor to try again later.
+export type ContactTransport = {
+  name: string;
+  send: (message: ContactMessage) => Promise<void>;
+};
+
+export class ContactDeliveryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ContactDeliveryError";
+  }
+}
+
+export function formatContactMessage(message: ContactMessage) {
+  return [
+    `From: ${message.name} <${message.email}>`,
+    `Received: ${message.receivedAt}${message.ip ? ` (${message.ip})` : ""}`,
+    "",
+    message.message,
+  ].join("\n");
+}
@@ -0,0 +1,44 @@
+import { createHmac } from "crypto";
+
+import { ContactDeliveryError, type ContactTransport } from "./types";
+
+const TIMEOUT_MS = 10_000;
+
+// POSTs the message as JSON. With a secret, the body is signed like GitHub
+// webhooks do (x-contact-signature: sha256=<hex HMAC>), so the receiver can
+// check where it came from.
+export function createWebhookTransport({
+  url,
+  secret,
+}: {
+  url: string;
+  secret?: string;
+}): ContactTransport {
+  return {
+    name: "webhook",
+    async send(message) {
+      const body = JSON.stringify(message);
+      const headers: Record<string, string> = {
+        "content-type": "application/json",
+      };
+
+      if (secret) {
+        headers["x-contact-signature"] =
+          `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+      }
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new ContactDeliveryError(
+          `Webhook responded with ${response.status} ${response.statusText}`,
+        );
+      }
+    },
+  };
+}
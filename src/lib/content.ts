@@ -0,0 +1,83 @@
+import fs from "fs";
+import path from "path";
+
+import matter from "gray-matter";
+import { z } from "zod";
+
+const CONTENT_DIR = path.join(process.cwd(), "src", "content");
+
+const CONTENT_EXTENSIONS = [".mdx", ".md"];
+
+// YAML turns unquoted dates (2025-05-12) into Date objects already
+export const contentDate = () =>
+  z.coerce.date({ error: "must be a date like 2025-05-12" });
+
+export type ContentEntry<Frontmatter> = {
+  slug: string;
+  frontmatter: Frontmatter;
+  content: string;
+};
+
+export class FrontmatterError extends Error {
+  constructor(filePath: string, issues: string[]) {
+    super(
+      `Invalid frontmatter in ${path.relative(process.cwd(), filePath)}:\n${issues
+        .map((issue) => `  - ${issue}`)
+        .join("\n")}`,
+    );
+    this.name = "FrontmatterError";
+  }
+}
+
+function readEntry<Frontmatter>(
+  filePath: string,
+  schema: z.ZodType<Frontmatter>,
+): ContentEntry<Frontmatter> {
+  const { data, content } = matter(fs.readFileSync(filePath, "utf-8"));
+  const result = schema.safeParse(data);
+
+  if (!result.success) {
+    throw new FrontmatterError(
+      filePath,
+      result.error.issues.map(
+        (issue) => `${issue.path.join(".") || "frontmatter"}: ${issue.message}`,
+      ),
+    );
+  }
+
+  return {
+    slug: path.basename(filePath, path.extname(filePath)),
+    frontmatter: result.data,
+    content,
+  };
+}
+
+// Every Markdown and MDX file of src/content/<directory>, newest first.
+// Throws on invalid frontmatter or on two files with the same slug, which
+// fails `next build` while the pages are generated.
+export function readCollection<Frontmatter extends { date: Date }>(
+  directory: string,
+  schema: z.ZodType<Frontmatter>,
+): ContentEntry<Frontmatter>[] {
+  const collectionDir = path.join(CONTENT_DIR, directory);
+  if (!fs.existsSync(collectionDir)) return [];
+
+  const entries = fs
+    .readdirSync(collectionDir)
+    .filter((fileName) => CONTENT_EXTENSIONS.includes(path.extname(fileName)))
+    .map((fileName) => readEntry(path.join(collectionDir, fileName), schema));
+
+  const slugs = new Set<string>();
+  entries.forEach(({ slug }) => {
+    if (slugs.has(slug)) {
+      throw new Error(
+        `Two files in src/content/${directory} share the slug "${slug}"`,
+      );
+    }
+    slugs.add(slug);
+  });
+
+  return entries.sort(
+    (a, b) => b.frontmatter.date.getTime() - a.frontmatter.date.getTime(),
+  );
+}
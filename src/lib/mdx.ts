@@ -0,0 +1,194 @@
+import rehypeShiki, { type RehypeShikiOptions } from "@shikijs/rehype";
+import {
+  transformerMetaHighlight,
+  transformerNotationDiff,
+  transformerNotationHighlight,
+} from "@shikijs/transformers";
+import type { Element, Root, RootContent } from "hast";
+import { compileMDX } from "next-mdx-remote/rsc";
+import type { ShikiTransformer } from "shiki";
+
+import { mdxComponents } from "@/components/mdx/mdx-components";
+
+import type { PlaygroundLanguage } from "./playground";
+
+export type TocEntry = {
+  id: string;
+  title: string;
+  depth: 2 | 3;
+};
+
+function toText(node: Root | RootContent): string {
+  if (node.type === "text") return node.value;
+  if ("children" in node) return node.children.map(toText).join("");
+  return "";
+}
+
+function slugify(text: string) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Gives every h2 and h3 an id to link to, and lists them in toc
+function rehypeHeadings({ toc }: { toc: TocEntry[] }) {
+  return (tree: Root) => {
+    const used = new Map<string, number>();
+
+    const visit = (node: Root | Element) => {
+      node.children.forEach((child) => {
+        if (child.type !== "element") return;
+
+        if (child.tagName === "h2" || child.tagName === "h3") {
+          const title = toText(child);
+          const base = slugify(title) || "section";
+          const count = used.get(base) ?? 0;
+          const id = count === 0 ? base : `${base}-${count}`;
+
+          used.set(base, count + 1);
+          child.properties.id = id;
+          toc.push({ id, title, depth: child.tagName === "h2" ? 2 : 3 });
+          return;
+        }
+
+        visit(child);
+      });
+    };
+
+    visit(tree);
+  };
+}
+
+// ```ts title="src/app/page.tsx" {2-3}
+function parseCodeMeta(meta: string) {
+  return Object.fromEntries(
+    Array.from(meta.matchAll(/(\w+)="([^"]*)"/g), ([, key, value]) => [
+      key,
+      value,
+    ]),
+  );
+}
+
+const PLAYGROUND_LANGUAGES: Record<string, PlaygroundLanguage> = {
+  js: "js",
+  javascript: "js",
+  ts: "ts",
+  typescript: "ts",
+};
+
+// Turns ```js playground fences into <Playground>, before Shiki sees them
+function rehypePlayground() {
+  return (tree: Root) => {
+    const visit = (node: Root | Element) => {
+      node.children.forEach((child, index) => {
+        if (child.type !== "element") return;
+
+        const [code] = child.children;
+        if (child.tagName !== "pre" || code?.type !== "element") {
+          visit(child);
+          return;
+        }
+
+        // Quoted values are left out, so title="playground.js" is no flag
+        const meta = (code.data as { meta?: string } | undefined)?.meta ?? "";
+        if (!/\bplayground\b/.test(meta.replace(/"[^"]*"/g, ""))) return;
+
+        const languageClass = (
+          code.properties.className as string[] | undefined
+        )?.find((className) => className.startsWith("language-"));
+        const language =
+          PLAYGROUND_LANGUAGES[languageClass?.replace("language-", "") ?? ""];
+        if (!language) return;
+
+        const { title } = parseCodeMeta(meta);
+        const attribute = (name: string, value: string) => ({
+          type: "mdxJsxAttribute",
+          name,
+          value,
+        });
+
+        // An MDX JSX node, which hast has no type for
+        node.children[index] = {
+          type: "mdxJsxFlowElement",
+          name: "Playground",
+          attributes: [
+            attribute("code", toText(code).replace(/\n$/, "")),
+            attribute("language", language),
+            ...(title ? [attribute("title", title)] : []),
+          ],
+          children: [],
+        } as unknown as Element;
+      });
+    };
+
+    visit(tree);
+  };
+}
+
+// Hands the title and language to the pre component (see CodeBlock)
+const transformerCodeMeta: ShikiTransformer = {
+  name: "jscodemy:code-meta",
+  pre(node) {
+    // Shiki copies parsed meta onto the pre, where title would be a tooltip
+    const { title } = node.properties;
+    delete node.properties.title;
+
+    if (typeof title === "string") node.properties["data-title"] = title;
+    node.properties["data-language"] = this.options.lang;
+  },
+};
+
+// Highlighted at build time, with both themes in CSS variables; globals.css
+// switches between them with the .dark class next-themes sets
+const SHIKI_OPTIONS: RehypeShikiOptions = {
+  themes: { light: "github-light", dark: "github-dark" },
+  defaultColor: false,
+  langs: [
+    "bash",
+    "css",
+    "diff",
+    "html",
+    "javascript",
+    "json",
+    "jsx",
+    "markdown",
+    "mdx",
+    "tsx",
+    "typescript",
+    "yaml",
+  ],
+  defaultLanguage: "text",
+  fallbackLanguage: "text",
+  parseMetaString: parseCodeMeta,
+  transformers: [
+    // {1,3-4} after the language
+    transformerMetaHighlight(),
+    // // [!code highlight], // [!code ++] and // [!code --] in the code
+    transformerNotationHighlight(),
+    transformerNotationDiff(),
+    transformerCodeMeta,
+  ],
+};
+
+export async function compileMdx(source: string) {
+  const toc: TocEntry[] = [];
+  const { content } = await compileMDX({
+    source,
+    components: mdxComponents,
+    options: {
+      mdxOptions: {
+        rehypePlugins: [
+          [rehypeHeadings, { toc }],
+          rehypePlayground,
+          [rehypeShiki, SHIKI_OPTIONS],
+        ],
+      },
+    },
+  });
+
+  return { content, toc };
+}
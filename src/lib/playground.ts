@@ -0,0 +1,31 @@
+export type PlaygroundLanguage = "js" | "ts";
+
+export type ConsoleLevel = "log" | "info" | "warn" | "error" | "debug";
+
+// What the worker sends back while the code runs
+export type PlaygroundMessage =
+  | { type: "console"; level: ConsoleLevel; text: string }
+  | { type: "clear" }
+  | { type: "error"; name: string; message: string; line?: number }
+  | { type: "done" };
+
+export type PlaygroundRequest = {
+  code: string;
+  language: PlaygroundLanguage;
+};
+
+export const PLAYGROUND_PATH = "/playground";
+
+// Snippets travel in the hash (/playground#lang=ts&code=...), which never
+// reaches the server, so shared links work on the static export and offline
+export function toShareHash({ code, language }: PlaygroundRequest) {
+  return `#${new URLSearchParams({ lang: language, code })}`;
+}
+
+export function readShareHash(hash: string): PlaygroundRequest | null {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const code = params.get("code");
+  if (code === null) return null;
+
+  return { code, language: params.get("lang") === "ts" ? "ts" : "js" };
+}
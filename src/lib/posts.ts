@@ -0,0 +1,68 @@
+import { cache } from "react";
+
+import { z } from "zod";
+
+import { contentDate, readCollection, type ContentEntry } from "./content";
+
+const WORDS_PER_MINUTE = 220;
+
+export const postFrontmatterSchema = z.strictObject({
+  title: z.string().min(1),
+  description: z.string().min(1),
+  date: contentDate(),
+  updated: contentDate().optional(),
+  // Tags end up in URLs (/blog/tags/react), so they are kept URL-safe
+  tags: z
+    .array(
+      z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, {
+        error: "tags are lowercase words joined by dashes, like next-js",
+      }),
+    )
+    .default([]),
+  // Listed while developing, left out of production builds
+  draft: z.boolean().default(false),
+});
+
+export type PostFrontmatter = z.infer<typeof postFrontmatterSchema>;
+
+export type Post = ContentEntry<PostFrontmatter> & {
+  readingTime: number;
+};
+
+// Minutes, rounded up; code counts like prose, which reads slower anyway
+export function getReadingTime(content: string) {
+  const words = content.match(/[\p{L}\p{N}_'-]+/gu)?.length ?? 0;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+}
+
+// Every published post, newest first
+export const getPosts = cache((): Post[] =>
+  readCollection("blog", postFrontmatterSchema)
+    .filter(
+      ({ frontmatter }) =>
+        !frontmatter.draft || process.env.NODE_ENV !== "production",
+    )
+    .map((post) => ({ ...post, readingTime: getReadingTime(post.content) })),
+);
+
+export function getPost(slug: string) {
+  return getPosts().find((post) => post.slug === slug) ?? null;
+}
+
+// Every tag in use with its post count, most used first
+export function getPostTags() {
+  const counts = new Map<string, number>();
+  getPosts().forEach(({ frontmatter }) =>
+    frontmatter.tags.forEach((tag) =>
+      counts.set(tag, (counts.get(tag) ?? 0) + 1),
+    ),
+  );
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag),
+  );
+}
+
+export function getPostsByTag(tag: string) {
+  return getPosts().filter(({ frontmatter }) => frontmatter.tags.includes(tag));
+}
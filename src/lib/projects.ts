@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+import { cache } from "react";
+
+import { z } from "zod";
+
+import { contentDate, readCollection, type ContentEntry } from "./content";
+
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+
+// Paths like /projects/cover.png, checked against the public folder so a
+// missing image fails the build instead of the page
+const publicAsset = z
+  .string()
+  .startsWith("/", {
+    error: "must be a path inside public/, starting with /",
+    abort: true,
+  })
+  .refine((asset) => fs.existsSync(path.join(PUBLIC_DIR, asset)), {
+    message: "file not found in public/",
+  });
+
+export const projectFrontmatterSchema = z.strictObject({
+  title: z.string().min(1),
+  description: z.string().min(1),
+  stack: z.array(z.string().min(1)).min(1),
+  tags: z.array(z.string().min(1)).default([]),
+  repo: z.url().optional(),
+  live: z.url().optional(),
+  cover: publicAsset.optional(),
+  date: contentDate(),
+  featured: z.boolean().default(false),
+});
+
+export type ProjectFrontmatter = z.infer<typeof projectFrontmatterSchema>;
+
+export type Project = ContentEntry<ProjectFrontmatter>;
+
+// What the client components get: no MDX source, and the date as a string
+// so it can cross the server/client boundary
+export type ProjectSummary = Omit<ProjectFrontmatter, "date"> & {
+  slug: string;
+  date: string;
+};
+
+// Every project, newest first
+export const getProjects = cache((): Project[] =>
+  readCollection("projects", projectFrontmatterSchema),
+);
+
+export function getProject(slug: string) {
+  return getProjects().find((project) => project.slug === slug) ?? null;
+}
+
+export function toProjectSummary({
+  slug,
+  frontmatter,
+}: Project): ProjectSummary {
+  return { ...frontmatter, slug, date: frontmatter.date.toISOString() };
+}
+
+// Every tag and stack entry in use, for the filters
+export function getProjectFilters(projects: ProjectSummary[]) {
+  const unique = (values: string[]) =>
+    Array.from(new Set(values)).sort((a, b) => a.localeCompare(b));
+
+  return {
+    tags: unique(projects.flatMap((project) => project.tags)),
+    stack: unique(projects.flatMap((project) => project.stack)),
+  };
+}
@@ -0,0 +1,30 @@
+import type { ResumeBasics } from "@/data/resume";
+
+const MONTH_FORMAT = new Intl.DateTimeFormat("en-US", {
+  month: "short",
+  year: "numeric",
+  timeZone: "UTC",
+});
+
+// "2024" → "2024", "2024-03" or "2024-03-18" → "Mar 2024"
+export function formatResumeDate(date: string) {
+  const [year, month] = date.split("-");
+  if (!month) return year;
+
+  return MONTH_FORMAT.format(
+    new Date(Date.UTC(Number(year), Number(month) - 1)),
+  );
+}
+
+// "Mar 2022 – Present" when there is no end date
+export function formatDateRange(startDate?: string, endDate?: string) {
+  if (!startDate) return endDate ? formatResumeDate(endDate) : "";
+
+  return `${formatResumeDate(startDate)} – ${endDate ? formatResumeDate(endDate) : "Present"}`;
+}
+
+export function formatLocation(location: ResumeBasics["location"]) {
+  return [location?.city, location?.region, location?.countryCode]
+    .filter(Boolean)
+    .join(", ");
+}